@@ -0,0 +1,142 @@
+/**
+ * Imports the central configuration object.
+ * Needed for the history length limit.
+ */
+import { SimulationConfig } from './config.js';
+
+/**
+ * Undoable player action: before/after snapshots of the squares the action changed
+ * (the target, neighbors reached by water splash or structure connections, the squares a mass action hit),
+ * together with money and harvest totals.
+ * Undo and redo restore those snapshots, so simulated time that passed in between is not rewound
+ * for any other square.
+ */
+export class SnapshotCommand {
+    /**
+     * Creates a new command from snapshots made with Simulation.captureSquares().
+     * @param {string} label - Description for logs/tooltips (e.g., "till 3,4").
+     * @param {object} before - Snapshot taken before the action.
+     * @param {object} after - Snapshot taken after the action.
+     */
+    constructor(label, before, after) {
+        this.label = label;
+        this.before = before;
+        this.after = after;
+    }
+
+    /**
+     * Restores the state before the action.
+     * @param {Simulation} simulation - The simulation to modify.
+     * @returns {string[]} Keys of the restored squares.
+     */
+    undo(simulation) {
+        return simulation.restoreSquares(this.before);
+    }
+
+    /**
+     * Restores the state after the action.
+     * @param {Simulation} simulation - The simulation to modify.
+     * @returns {string[]} Keys of the restored squares.
+     */
+    redo(simulation) {
+        return simulation.restoreSquares(this.after);
+    }
+} // --- End SnapshotCommand Class ---
+
+/**
+ * Drops the squares an action left unchanged from its before/after snapshots.
+ * The footprint covers every square the action might touch; storing only the changed ones keeps undo
+ * from rewinding squares that just kept growing (e.g., every unharvested plant after a mass harvest).
+ * @private
+ * @param {object} before - Snapshot taken before the action (see Simulation.captureSquares()).
+ * @param {object} after - Snapshot of the same squares taken after the action.
+ * @returns {{before: object, after: object}} The snapshots, limited to the changed squares.
+ */
+function keepChangedSquares(before, after) {
+    const changed = after.squares.map(([, data], i) => JSON.stringify(data) !== JSON.stringify(before.squares[i][1]));
+    return {
+        before: { ...before, squares: before.squares.filter((entry, i) => changed[i]) },
+        after: { ...after, squares: after.squares.filter((entry, i) => changed[i]) }
+    };
+}
+
+/**
+ * Undo/redo stacks of player action commands.
+ */
+export class ActionHistory {
+    /**
+     * Creates an empty history.
+     * @param {number} [limit] - Maximum number of undoable commands kept (oldest dropped first).
+     */
+    constructor(limit = SimulationConfig.UNDO_HISTORY_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /** @returns {boolean} True if there is a command to undo. */
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /** @returns {boolean} True if there is a command to redo. */
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /** Forgets all commands, e.g. after a reset or after loading a save. */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Applies an action to the simulation and records it as an undoable command if it succeeded.
+     * A new action discards the redo stack. Resizing the garden clears the history, since the
+     * recorded snapshots describe the previous layout.
+     * @param {Simulation} simulation - The simulation to apply the action to.
+     * @param {object} action - The action (see Simulation.applyAction()).
+     * @returns {object} The outcome returned by Simulation.applyAction().
+     */
+    execute(simulation, action) {
+        const footprint = simulation.getActionFootprint(action);
+        const before = simulation.captureSquares(footprint);
+        const outcome = simulation.applyAction(action);
+        if (outcome.success && action.type === 'resize_grid') {
+            this.clear();
+        } else if (outcome.success && footprint.length > 0) {
+            const label = action.key ? `${action.type} ${action.key}` : action.type;
+            const snapshots = keepChangedSquares(before, simulation.captureSquares(footprint));
+            this.undoStack.push(new SnapshotCommand(label, snapshots.before, snapshots.after));
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift(); // Drop the oldest command
+            }
+            this.redoStack = [];
+        }
+        return outcome;
+    }
+
+    /**
+     * Undoes the most recent command.
+     * @param {Simulation} simulation - The simulation to modify.
+     * @returns {{label: string, updatedKeys: string[]} | null} What was undone, or null if nothing to undo.
+     */
+    undo(simulation) {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        this.redoStack.push(command);
+        return { label: command.label, updatedKeys: command.undo(simulation) };
+    }
+
+    /**
+     * Redoes the most recently undone command.
+     * @param {Simulation} simulation - The simulation to modify.
+     * @returns {{label: string, updatedKeys: string[]} | null} What was redone, or null if nothing to redo.
+     */
+    redo(simulation) {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        this.undoStack.push(command);
+        return { label: command.label, updatedKeys: command.redo(simulation) };
+    }
+} // --- End ActionHistory Class ---
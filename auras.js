@@ -0,0 +1,219 @@
+/**
+ * Imports configuration, utilities, the Soil defaults and the event names.
+ */
+import { SimulationConfig } from './config.js';
+import { clamp } from './utils.js';
+import { Soil } from './soil.js';
+import { SimulationEvents } from './events.js';
+
+/**
+ * Declarative plant neighbor effects ("auras").
+ * Each plant in PLANT_PROPERTIES may list auras; this module applies them, so new companion
+ * effects (e.g., "Borage repels Aphids within radius 2") need only a config entry.
+ *
+ * Aura fields:
+ * - target:        One of AuraTargets (what the aura changes).
+ * - magnitude:     Amount added per tick (soil targets), chance per tick (pestRemoval),
+ *                  or multiplier (evaporation, pestSpawn, rain; 0.5 halves the value).
+ * - radius:        Reach in squares (default 1), same shape as getNeighbors() / Grid neighbor lists.
+ * - diagonal:      Whether diagonal squares are included at radius 1 (default false).
+ * - includeSelf:   Whether the plant's own square is affected (default false).
+ * - pestType:      Pest affected by pestSpawn / pestRemoval auras (null = all pests).
+ * - healthBonus:   Strength multiplier while the plant's roots are dense and healthy
+ *                  (THRESHOLDS.goodRootDensity / goodRootHealth). For multipliers it scales the reduction.
+ * - requiredStage: Minimum growth stage for the aura to be active (default 0).
+ * - minSize:       Minimum plant size for the aura to be active (default 0).
+ */
+
+/** Names of the variables an aura can target. */
+export const AuraTargets = Object.freeze({
+    ORGANIC_MATTER: 'organicMatter', // Adds to neighbor soil organic matter
+    MICROBES: 'microbes', // Adds to neighbor soil microbes
+    EVAPORATION: 'evaporation', // Multiplies evaporation (shading)
+    RAIN: 'rain', // Multiplies rain reaching the soil (canopy)
+    PEST_SPAWN: 'pestSpawn', // Multiplies pest spawn chance
+    PEST_REMOVAL: 'pestRemoval' // Chance to reduce neighbor pests by one level
+});
+
+/** Largest configured radius per multiplier target (null: no aura), filled on first use; see getMaxAuraRadius(). */
+const maxRadiusCache = new Map();
+
+/** Soil targets with their allowed range. */
+const SOIL_TARGET_LIMITS = {
+    [AuraTargets.ORGANIC_MATTER]: { min: 0, max: Infinity },
+    [AuraTargets.MICROBES]: { min: 0, max: 1000 }
+};
+
+/** Targets read by the affected square (see getAuraMultiplier) rather than applied by the plant. */
+const MULTIPLIER_TARGETS = [AuraTargets.EVAPORATION, AuraTargets.PEST_SPAWN, AuraTargets.RAIN];
+
+/**
+ * Checks whether a plant currently meets an aura's stage and size requirements.
+ * @param {Plant} plant - The source plant.
+ * @param {object} aura - Aura definition.
+ * @returns {boolean} True if the aura is active.
+ */
+export function isAuraActive(plant, aura) {
+    return (plant.growthStage ?? 0) >= (aura.requiredStage ?? 0) && (plant.size || 0) >= (aura.minSize ?? 0);
+}
+
+/**
+ * Returns an aura's effective magnitude for a plant, including the health-based bonus.
+ * @param {Plant} plant - The source plant.
+ * @param {object} aura - Aura definition.
+ * @returns {number} Amount, chance or multiplier, depending on the target.
+ */
+export function getAuraStrength(plant, aura) {
+    const Config = SimulationConfig;
+    const magnitude = aura.magnitude ?? 0;
+    const isHealthy = (plant.rootDensity || 0) >= Config.THRESHOLDS.goodRootDensity && (plant.rootHealth || 0) >= Config.THRESHOLDS.goodRootHealth;
+    const bonus = (isHealthy && aura.healthBonus) ? aura.healthBonus : 1.0;
+    if (MULTIPLIER_TARGETS.includes(aura.target)) {
+        return Math.max(0, 1 - (1 - magnitude) * bonus); // Scale the reduction, not the multiplier
+    }
+    return magnitude * bonus;
+}
+
+/**
+ * Checks whether a square lies within an aura's reach, using the same shape as getNeighbors().
+ * @private
+ * @param {number} dx - Column offset from the plant's square to the square to check.
+ * @param {number} dy - Row offset from the plant's square to the square to check.
+ * @param {object} aura - Aura definition.
+ * @returns {boolean} True if the aura reaches the square.
+ */
+function _isInAuraRange(dx, dy, aura) {
+    const radius = aura.radius ?? 1;
+    if (dx === 0 && dy === 0) return !!aura.includeSelf;
+    if (!aura.diagonal && dx !== 0 && dy !== 0 && radius === 1) return false;
+    return dx * dx + dy * dy <= radius * radius;
+}
+
+/**
+ * Returns the keys of every square an aura reaches from a square.
+ * @param {Square} square - The plant's square (linked to the grid, see Square.linkNeighbors()).
+ * @param {object} aura - Aura definition.
+ * @returns {string[]} Affected square keys (own square first if includeSelf).
+ */
+export function getAuraKeys(square, aura) {
+    const neighbors = square.grid ? square.grid.getNeighborKeys(square.index, !!aura.diagonal, aura.radius ?? 1) : [];
+    return aura.includeSelf ? [square.key, ...neighbors] : neighbors;
+}
+
+/**
+ * Applies the per-tick auras (soil additions, pest removal) of the plant in a square to the squares around it.
+ * Multiplier auras are not applied here; affected squares read them with getAuraMultiplier().
+ * Neighbors are read from squareState and changed through globalState.updateNeighbor(), so two-phase ticks
+ * can defer the changes until every square has been updated.
+ * @param {Square} square - The square containing the source plant.
+ * @param {Map<string, Square>} squareState - Map of all square states (read-only).
+ * @param {object} globalState - Global simulation variables (random, emit, updateNeighbor).
+ */
+export function applyPlantAuras(square, squareState, globalState) {
+    const plant = square.plant;
+    const auras = plant?.properties?.auras;
+    if (!auras?.length) return;
+
+    auras.forEach(aura => {
+        if (MULTIPLIER_TARGETS.includes(aura.target) || !isAuraActive(plant, aura)) return;
+        const strength = getAuraStrength(plant, aura);
+
+        getAuraKeys(square, aura).forEach(nKey => {
+            const nSq = squareState.get(nKey);
+            if (!nSq) return;
+
+            // --- Soil additions (e.g., Beans adding OM/MIC) ---
+            const limits = SOIL_TARGET_LIMITS[aura.target];
+            if (limits) {
+                globalState.updateNeighbor(nKey, neighbor => {
+                    if (!neighbor.soil) return;
+                    const value = clamp((neighbor.soil[aura.target] || 0) + strength, limits.min, limits.max);
+                    neighbor.soil[aura.target] = isNaN(value) ? Soil.DEFAULTS[aura.target] : value;
+                    // Neighbor's derived variables are refreshed by its own tick, avoiding cascading updates
+                });
+                return;
+            }
+
+            // --- Pest removal (e.g., Marigold suppressing Nematodes) ---
+            if (aura.target === AuraTargets.PEST_REMOVAL) {
+                const pestType = nSq.variables?.pests?.type;
+                if (!pestType || (aura.pestType && pestType !== aura.pestType)) return;
+                if (globalState.random.next() < strength) {
+                    globalState.updateNeighbor(nKey, neighbor => {
+                        const pests = neighbor.variables.pests;
+                        if (pests.type !== pestType) return; // Already removed this tick
+                        pests.level = Math.max(0, pests.level - 1);
+                        if (pests.level === 0) {
+                            pests.type = null;
+                            globalState.emit?.(SimulationEvents.PEST_REMOVED, {
+                                key: nKey, pestType, cause: 'companion', sourceKey: square.key, sourcePlantType: plant.type
+                            });
+                        }
+                    });
+                }
+                return;
+            }
+
+            console.warn(`Unknown aura target '${aura.target}' on ${plant.type}.`);
+        });
+    });
+}
+
+/**
+ * Combines the multiplier auras (evaporation, pest spawn, rain) that reach a square.
+ * The strongest aura wins when several overlap, so neighboring plants do not stack.
+ * @param {Square} square - The affected square.
+ * @param {Map<string, Square>} squareState - Map of all square states.
+ * @param {string} target - AuraTargets.EVAPORATION, AuraTargets.PEST_SPAWN or AuraTargets.RAIN.
+ * @param {string | null} [pestType=null] - Pest being spawned (pestSpawn auras only).
+ * @returns {number} Multiplier for the target (1.0 when no aura applies).
+ */
+export function getAuraMultiplier(square, squareState, target, pestType = null) {
+    const maxRadius = getMaxAuraRadius(target);
+    if (maxRadius === null) return 1.0; // No plant declares this aura
+
+    const grid = square.grid;
+    if (!grid) return 1.0; // Square not linked to a grid
+
+    let multiplier = 1.0;
+    const checkSource = sourceIndex => {
+        const plant = squareState.get(grid.keyOf(sourceIndex))?.plant;
+        plant?.properties?.auras?.forEach(aura => {
+            if (aura.target !== target) return;
+            if (pestType && aura.pestType && aura.pestType !== pestType) return;
+            const dx = square.x - grid.xOf(sourceIndex);
+            const dy = square.y - grid.yOf(sourceIndex);
+            if (!_isInAuraRange(dx, dy, aura) || !isAuraActive(plant, aura)) return;
+            multiplier = Math.min(multiplier, getAuraStrength(plant, aura));
+        });
+    };
+    checkSource(square.index);
+    grid.getNeighborIndices(square.index, true, maxRadius).forEach(checkSource);
+    return multiplier;
+}
+
+/**
+ * Returns the largest radius of any configured aura with a target.
+ * Computed once per target, since getAuraMultiplier() needs it several times per square and tick.
+ * @param {string} target - One of AuraTargets.
+ * @returns {number | null} Largest radius, or null if no plant declares such an aura.
+ */
+export function getMaxAuraRadius(target) {
+    if (maxRadiusCache.has(target)) return maxRadiusCache.get(target);
+    let maxRadius = null;
+    Object.values(SimulationConfig.PLANT_PROPERTIES).forEach(props => {
+        props.auras?.forEach(aura => {
+            if (aura.target === target) maxRadius = Math.max(maxRadius ?? 0, aura.radius ?? 1);
+        });
+    });
+    maxRadiusCache.set(target, maxRadius);
+    return maxRadius;
+}
+
+/**
+ * Forgets the cached aura radii, so the next getMaxAuraRadius() call reads PLANT_PROPERTIES again
+ * (after config overrides changed them).
+ */
+export function clearAuraRadiusCache() {
+    maxRadiusCache.clear();
+}
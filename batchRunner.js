@@ -0,0 +1,284 @@
+/**
+ * Imports the Node file system, the headless experiment helpers and the settings they accept.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { parseLayout, runExperiment, summarizeRuns, getMetricColumns, applyConfigOverrides, toCSV, HarvestPolicies } from './experiment.js';
+import { SimulationConfig } from './config.js';
+import { TickModes } from './simulation.js';
+
+/**
+ * Command-line batch runner for Monte Carlo balance experiments (Node.js).
+ * Runs one garden layout headless for a range of seeds and writes aggregate statistics
+ * (yield per crop, money, plant deaths by cause, pest incidence) as JSON or CSV.
+ *
+ * Usage:
+ *   node batchRunner.js --layout layout.json [options]
+ *
+ * Options:
+ *   --layout <file>       Garden layout JSON (format: see experiment.js). Required.
+ *   --climate <name>      Climate (Temperate, Tropical, Arid). Default: Temperate.
+ *   --seeds <range>       Seeds to run: "1-500", "1,2,7" or a single seed. Default: 1-100.
+ *   --days <n>            Simulated days per run. Default: 60.
+ *   --tick-mode <mode>    twoPhase or legacy. Default: SimulationConfig.DEFAULT_TICK_MODE.
+ *   --harvest <policy>    daily, end or none (see HarvestPolicies). Default: daily.
+ *   --set <path=value>    Override a config value for all runs, e.g. --set RATES.pestSpawnBaseChance=0.002.
+ *                         May be repeated.
+ *   --format <json|csv>   Output format. Default: from the --out extension, else json.
+ *   --per-run             CSV only: write one line per run instead of the summary.
+ *   --out <file>          Output file. Default: standard output.
+ *
+ * JSON output: { settings, summary: { metric: { mean, sd, min, median, max, n } }, runs: [...] }.
+ * CSV output: one line per metric (metric,mean,sd,min,median,max,n), or one line per run with --per-run.
+ * Progress is written to standard error.
+ */
+
+const DEFAULTS = { climate: 'Temperate', seeds: '1-100', days: 60, harvest: HarvestPolicies.DAILY };
+const MAX_SEEDS = 100000; // Guards against typos like "1-10000000"
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} args - Arguments after the script name.
+ * @param {object} [extraOptions={}] - Options of tools built on this runner: flag -> (options, value) => void,
+ * called with the flag's value.
+ * @param {object} [defaults={}] - Default values that replace the runner's own (e.g., a shorter seed range).
+ * @returns {object} Options: layout, climate, seeds, days, tickMode, harvest, overrides, format, perRun, out, help.
+ * @throws {Error} On unknown options or missing values.
+ */
+export function parseArgs(args, extraOptions = {}, defaults = {}) {
+    const options = { ...DEFAULTS, ...defaults, overrides: {}, perRun: false, help: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const next = () => {
+            if (i + 1 >= args.length) throw new Error(`Missing value for ${arg}`);
+            return args[++i];
+        };
+        switch (arg) {
+            case '--layout': options.layout = next(); break;
+            case '--climate': options.climate = next(); break;
+            case '--seeds': options.seeds = next(); break;
+            case '--days': options.days = Number(next()); break;
+            case '--tick-mode': options.tickMode = next(); break;
+            case '--harvest': options.harvest = next(); break;
+            case '--format': options.format = next(); break;
+            case '--out': options.out = next(); break;
+            case '--per-run': options.perRun = true; break;
+            case '--set': {
+                const [path, value] = parseOverride(next());
+                options.overrides[path] = value;
+                break;
+            }
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (!Object.hasOwn(extraOptions, arg)) throw new Error(`Unknown option: ${arg}`);
+                extraOptions[arg](options, next());
+        }
+    }
+    return options;
+}
+
+/**
+ * Splits a "--set" value into a config path and a value (numbers and true/false are converted; other text is kept).
+ * @param {string} text - "PATH=VALUE".
+ * @returns {[string, *]} The path and the value.
+ * @throws {Error} If there is no "=".
+ */
+export function parseOverride(text) {
+    const separator = text.indexOf('=');
+    if (separator <= 0) throw new Error(`Expected PATH=VALUE, got "${text}"`);
+    const path = text.slice(0, separator).trim();
+    const raw = text.slice(separator + 1).trim();
+    let value = raw;
+    if (raw === 'true' || raw === 'false') value = raw === 'true';
+    else if (raw !== '' && Number.isFinite(Number(raw))) value = Number(raw);
+    return [path, value];
+}
+
+/**
+ * Expands a seed list: "1-500" (inclusive range), "1,2,7" (list, entries may be ranges) or a single seed.
+ * Non-numeric entries are kept as text seeds (they are hashed like seeds typed into the UI).
+ * @param {string} text - The seed list.
+ * @returns {Array<number|string>} The seeds, in order.
+ * @throws {Error} If a range is reversed or the list is too long.
+ */
+export function parseSeeds(text) {
+    const seeds = [];
+    String(text).split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const range = part.match(/^(\d+)-(\d+)$/);
+        if (!range) {
+            seeds.push(/^\d+$/.test(part) ? Number(part) : part);
+            return;
+        }
+        const [first, last] = [Number(range[1]), Number(range[2])];
+        if (last < first) throw new Error(`Seed range ${part} is reversed.`);
+        if (seeds.length + (last - first + 1) > MAX_SEEDS) throw new Error(`At most ${MAX_SEEDS} seeds per batch.`);
+        for (let seed = first; seed <= last; seed++) seeds.push(seed);
+    });
+    if (seeds.length === 0) throw new Error("No seeds given.");
+    return seeds;
+}
+
+/**
+ * Runs a batch: one experiment per seed, with the config overrides applied for the whole batch.
+ * @param {object} parsedLayout - Result of parseLayout().
+ * @param {object} options - Options from parseArgs() (seeds already expanded into an array).
+ * @param {function(number, number): void} [onProgress] - Called after each run with (runsDone, totalRuns).
+ * @returns {{settings: object, summary: object, runs: object[]}} Batch settings, statistics and per-run records.
+ */
+export function runBatch(parsedLayout, options, onProgress = null) {
+    const restoreConfig = applyConfigOverrides(options.overrides || {}); // Throws on unknown settings
+    const runs = [];
+    try {
+        options.seeds.forEach((seed, index) => {
+            runs.push(runExperiment(parsedLayout, {
+                seed,
+                days: options.days,
+                climate: options.climate,
+                tickMode: options.tickMode,
+                harvest: options.harvest
+            }));
+            onProgress?.(index + 1, options.seeds.length);
+        });
+    } finally {
+        restoreConfig();
+    }
+    return {
+        settings: {
+            climate: options.climate,
+            days: options.days,
+            tickMode: options.tickMode || SimulationConfig.DEFAULT_TICK_MODE,
+            harvest: options.harvest,
+            overrides: options.overrides || {},
+            runs: runs.length
+        },
+        summary: summarizeRuns(runs),
+        runs
+    };
+}
+
+/**
+ * Formats a batch result for output.
+ * @param {object} result - Result of runBatch().
+ * @param {string} format - 'json' or 'csv'.
+ * @param {boolean} [perRun=false] - CSV only: one line per run instead of one per metric.
+ * @returns {string} The output text.
+ */
+export function formatBatchResult(result, format, perRun = false) {
+    if (format === 'json') {
+        return JSON.stringify(result, null, 2) + '\n';
+    }
+    if (perRun) {
+        return toCSV(result.runs, ['seed', ...getMetricColumns(result.runs)]);
+    }
+    const rows = Object.entries(result.summary).map(([metric, stats]) => ({ metric, ...stats }));
+    return toCSV(rows, ['metric', 'mean', 'sd', 'min', 'median', 'max', 'n']);
+}
+
+/**
+ * Checks the options that runExperiment() does not check itself.
+ * @param {object} options - Options from parseArgs().
+ * @throws {Error} On an invalid climate, day count, tick mode, harvest policy or format.
+ */
+export function validateRunOptions(options) {
+    if (!SimulationConfig.CLIMATE_PROPERTIES[options.climate]) {
+        throw new Error(`Unknown climate: ${options.climate}`);
+    }
+    if (!(options.days > 0)) {
+        throw new Error("--days must be a positive number.");
+    }
+    if (options.tickMode && !Object.values(TickModes).includes(options.tickMode)) {
+        throw new Error(`Unknown tick mode: ${options.tickMode}`);
+    }
+    if (!Object.values(HarvestPolicies).includes(options.harvest)) {
+        throw new Error(`Unknown harvest policy: ${options.harvest}`);
+    }
+    if (options.format && !['json', 'csv'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+}
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} path - File path.
+ * @returns {*} The parsed JSON.
+ * @throws {Error} If the file cannot be read or is not JSON.
+ */
+export function readJSONFile(path) {
+    let text;
+    try {
+        text = readFileSync(path, 'utf8');
+    } catch (e) {
+        throw new Error(`Cannot read ${path}: ${e.message}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`${path} is not valid JSON: ${e.message}`);
+    }
+}
+
+/**
+ * Writes output to a file, or to standard output if no file is given.
+ * @param {string} text - Output text.
+ * @param {string} [path] - Output file.
+ */
+export function writeOutput(text, path) {
+    if (path) {
+        writeFileSync(path, text);
+        process.stderr.write(`Wrote ${path}\n`);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+/**
+ * Prints the usage text (the "Usage" and "Options" part of this file's header).
+ */
+function printUsage() {
+    process.stdout.write(
+        "Usage: node batchRunner.js --layout layout.json [--climate Temperate] [--seeds 1-100] [--days 60]\n" +
+        "       [--tick-mode twoPhase|legacy] [--harvest daily|end|none] [--set PATH=VALUE ...]\n" +
+        "       [--format json|csv] [--per-run] [--out file]\n"
+    );
+}
+
+/**
+ * Entry point: parses arguments, runs the batch and writes the result.
+ * @param {string[]} args - Arguments after the script name.
+ * @returns {number} Process exit code.
+ */
+function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+        if (options.help) {
+            printUsage();
+            return 0;
+        }
+        if (!options.layout) throw new Error("--layout is required.");
+        validateRunOptions(options);
+        options.seeds = parseSeeds(options.seeds);
+        options.format ??= options.out?.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+
+        const parsedLayout = parseLayout(readJSONFile(options.layout));
+        const startedAt = Date.now();
+        const result = runBatch(parsedLayout, options, (done, total) => {
+            process.stderr.write(`\rRun ${done}/${total}`);
+        });
+        process.stderr.write(` done in ${((Date.now() - startedAt) / 1000).toFixed(1)} s\n`);
+        writeOutput(formatBatchResult(result, options.format, options.perRun), options.out);
+        return 0;
+    } catch (e) {
+        process.stderr.write(`Error: ${e.message}\n`);
+        printUsage();
+        return 1;
+    }
+}
+
+// Run only when started directly, not when imported by another tool
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,155 @@
+/**
+ * Imports the event names and the log formatter (breakpoint messages read like log entries).
+ */
+import { SimulationEvents } from './events.js';
+import { EventLog } from './eventLog.js';
+
+/**
+ * Pause-on-event breakpoints for the Gardening Grid Simulation.
+ * The SimulationHost checks the monitor after every tick of its loop and every single step; the first breakpoint that is hit
+ * pauses the loop and is reported to the UI, which flashes the square it happened on.
+ * Has no DOM access.
+ */
+
+/**
+ * Breakpoint types. A breakpoint is { type, value }; `value` is only used by:
+ * - PLANT_STAGE: the growth stage to stop at (1 vegetative, 2 flowering, 3 fruiting/harvestable, 4 senescent).
+ * - MONEY_AT_LEAST: the amount of money to stop at.
+ */
+export const BreakpointTypes = Object.freeze({
+    PEST_SPAWNED: 'pestSpawned', // Pests appear on any square
+    PLANT_STAGE: 'plantStage', // A plant reaches a growth stage
+    PLANT_HARVESTABLE: 'plantHarvestable', // A plant becomes ready to harvest (Square.getHarvestInfo(), incl. pollination)
+    OLLA_EMPTY: 'ollaEmpty', // An Olla runs dry
+    MONEY_AT_LEAST: 'moneyAtLeast' // Money reaches an amount
+});
+
+/**
+ * Watches a simulation for the active breakpoints.
+ * Event breakpoints match the events emitted since the last clearHit(); the money breakpoint is checked
+ * against the current amount and fires once each time money rises to the amount (it re-arms when money drops below).
+ * The harvestable breakpoint compares the squares ready to harvest with the previous check, so it also fires
+ * when a plant past its harvestable stage is pollinated; plants already ready when it is set do not count.
+ */
+export class BreakpointMonitor {
+    /**
+     * Creates a monitor with no breakpoints and subscribes it to the simulation's events.
+     * @param {Simulation} simulation - The simulation to watch (subscriptions survive reset() and loading).
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.breakpoints = []; // Active { type, value } entries
+        this.hit = null; // First breakpoint hit since the last clearHit(): { type, key, text }
+        this.moneyArmed = false; // Whether the money breakpoint may fire (false while money is already at the amount)
+        this.readyKeys = null; // Keys of squares ready to harvest at the last check (only while PLANT_HARVESTABLE is set)
+        simulation.events.on('*', event => this._onEvent(event));
+    }
+
+    /**
+     * Replaces the active breakpoints.
+     * @param {object[]} breakpoints - Breakpoints { type: one of BreakpointTypes, value }.
+     * @throws {Error} If a breakpoint has an unknown type or an invalid value.
+     */
+    setBreakpoints(breakpoints) {
+        if (!Array.isArray(breakpoints)) {
+            throw new Error("Breakpoints must be a list.");
+        }
+        breakpoints.forEach(({ type, value }) => {
+            if (!Object.values(BreakpointTypes).includes(type)) {
+                throw new Error(`Unknown breakpoint: ${type}`);
+            }
+            if (type === BreakpointTypes.PLANT_STAGE && !(Number.isInteger(value) && value >= 1 && value <= 4)) {
+                throw new Error("Breakpoint stage must be between 1 and 4.");
+            }
+            if (type === BreakpointTypes.MONEY_AT_LEAST && !Number.isFinite(value)) {
+                throw new Error("Breakpoint money amount must be a number.");
+            }
+        });
+        this.breakpoints = breakpoints.map(({ type, value }) => ({ type, value: value ?? null }));
+        const money = this._getBreakpoint(BreakpointTypes.MONEY_AT_LEAST);
+        this.moneyArmed = !!money && this.simulation.playerMoney < money.value; // Already reached: wait for a drop
+        this.readyKeys = this._getBreakpoint(BreakpointTypes.PLANT_HARVESTABLE) ? this._getHarvestableKeys() : null;
+        this.hit = null;
+    }
+
+    /** Forgets any hit (called before each tick, so only that tick's events count). */
+    clearHit() {
+        this.hit = null;
+    }
+
+    /**
+     * Returns the breakpoint hit during the current tick: an event breakpoint, else money, else a newly harvestable plant.
+     * @returns {{type: string, key: string | null, text: string} | null} The hit (key is null for money), or null.
+     */
+    check() {
+        const money = this._getBreakpoint(BreakpointTypes.MONEY_AT_LEAST);
+        if (money) {
+            const playerMoney = this.simulation.playerMoney;
+            if (playerMoney < money.value) {
+                this.moneyArmed = true;
+            } else if (this.moneyArmed) {
+                this.moneyArmed = false;
+                this.hit ??= { type: money.type, key: null, text: `Money reached $${playerMoney} (breakpoint $${money.value})` };
+            }
+        }
+        if (this.readyKeys) {
+            const readyKeys = this._getHarvestableKeys();
+            const newKey = [...readyKeys].find(key => !this.readyKeys.has(key));
+            this.readyKeys = readyKeys;
+            if (newKey !== undefined) {
+                const plantType = this.simulation.squareState.get(newKey).plant.type;
+                this.hit ??= { type: BreakpointTypes.PLANT_HARVESTABLE, key: newKey, text: `${plantType} at ${newKey} is ready to harvest` };
+            }
+        }
+        return this.hit;
+    }
+
+    /**
+     * Records the first event that matches an active breakpoint.
+     * @private
+     * @param {object} event - Event payload from the simulation's event bus.
+     */
+    _onEvent(event) {
+        if (this.hit || this.breakpoints.length === 0) return;
+        let matched = null;
+        switch (event.type) {
+            case SimulationEvents.PEST_SPAWNED:
+                matched = this._getBreakpoint(BreakpointTypes.PEST_SPAWNED);
+                break;
+            case SimulationEvents.STAGE_CHANGED: {
+                const stage = this._getBreakpoint(BreakpointTypes.PLANT_STAGE);
+                if (stage && event.to === stage.value && event.to > event.from) matched = stage;
+                break;
+            }
+            case SimulationEvents.OLLA_EMPTY:
+                matched = this._getBreakpoint(BreakpointTypes.OLLA_EMPTY);
+                break;
+        }
+        if (matched) {
+            this.hit = { type: matched.type, key: event.key ?? null, text: EventLog.formatEvent(event)?.text ?? event.type };
+        }
+    }
+
+    /**
+     * Returns the keys of all squares whose plant is ready to harvest.
+     * @private
+     * @returns {Set<string>} Keys of harvestable squares.
+     */
+    _getHarvestableKeys() {
+        const keys = new Set();
+        this.simulation.squareState.forEach((sqInstance, key) => {
+            if (sqInstance.plant && sqInstance.getHarvestInfo().ready) keys.add(key);
+        });
+        return keys;
+    }
+
+    /**
+     * Returns the active breakpoint of a type.
+     * @private
+     * @param {string} type - One of BreakpointTypes.
+     * @returns {object | undefined} The breakpoint, if active.
+     */
+    _getBreakpoint(type) {
+        return this.breakpoints.find(breakpoint => breakpoint.type === type);
+    }
+} // --- End BreakpointMonitor Class ---
@@ -0,0 +1,153 @@
+/**
+ * Imports the central configuration object.
+ * Needed for the calendar layout and the frost threshold.
+ */
+import { SimulationConfig } from './config.js';
+
+/**
+ * Calendar and seasons for the Gardening Grid Simulation.
+ * Converts simulated days into calendar dates (a simplified year of 12 equal months) and
+ * looks up a climate's weather profile for a date, interpolating between the monthly values
+ * so the weather drifts smoothly through the year. Has no DOM access.
+ */
+
+/** Short month names, January first. */
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/** Seasons (meteorological, northern hemisphere: winter is December to February). */
+export const Seasons = Object.freeze({
+    WINTER: 'Winter',
+    SPRING: 'Spring',
+    SUMMER: 'Summer',
+    AUTUMN: 'Autumn'
+});
+
+const SEASON_BY_MONTH = [
+    Seasons.WINTER, Seasons.WINTER, Seasons.SPRING, Seasons.SPRING, Seasons.SPRING, Seasons.SUMMER,
+    Seasons.SUMMER, Seasons.SUMMER, Seasons.AUTUMN, Seasons.AUTUMN, Seasons.AUTUMN, Seasons.WINTER
+];
+
+/**
+ * Returns the number of days in a calendar year.
+ * @returns {number} Days per year (12 months of CALENDAR.DAYS_PER_MONTH days).
+ */
+export function getDaysPerYear() {
+    return MONTH_NAMES.length * SimulationConfig.CALENDAR.DAYS_PER_MONTH;
+}
+
+/**
+ * Converts simulated days elapsed into a calendar date.
+ * Day 0 of a garden is CALENDAR.START_DAY_OF_YEAR of year 1.
+ * @param {number} daysElapsed - Fractional simulated days since the garden was created.
+ * @returns {{year: number, month: number, dayOfMonth: number, dayOfYear: number, season: string}}
+ * The date: year (from 1), month (0 = January), day of the month (from 1),
+ * fractional day of the year (from 0) and season (one of Seasons).
+ */
+export function getCalendarDate(daysElapsed) {
+    const { DAYS_PER_MONTH, START_DAY_OF_YEAR } = SimulationConfig.CALENDAR;
+    const daysPerYear = getDaysPerYear();
+    const absoluteDay = START_DAY_OF_YEAR + Math.max(0, daysElapsed || 0);
+    const dayOfYear = absoluteDay % daysPerYear;
+    const month = Math.floor(dayOfYear / DAYS_PER_MONTH);
+    return {
+        year: Math.floor(absoluteDay / daysPerYear) + 1,
+        month,
+        dayOfMonth: Math.floor(dayOfYear % DAYS_PER_MONTH) + 1,
+        dayOfYear,
+        season: SEASON_BY_MONTH[month]
+    };
+}
+
+/**
+ * Formats a calendar date as "Apr 12, Year 1 (Spring)".
+ * @param {object} date - Result of getCalendarDate().
+ * @returns {string} The formatted date.
+ */
+export function formatCalendarDate(date) {
+    return `${MONTH_NAMES[date.month]} ${date.dayOfMonth}, Year ${date.year} (${date.season})`;
+}
+
+/**
+ * Formats a calendar date as "Apr 12".
+ * @param {object} date - Result of getCalendarDate().
+ * @returns {string} The formatted date.
+ */
+export function formatShortDate(date) {
+    return `${MONTH_NAMES[date.month]} ${date.dayOfMonth}`;
+}
+
+/**
+ * Reads a monthly value for a day of the year. Each monthly value applies at the middle of its month;
+ * days in between are interpolated linearly (December blends into January).
+ * @param {Array<number>} values - Twelve values, January first.
+ * @param {number} dayOfYear - Fractional day of the year.
+ * @returns {number} The interpolated value.
+ */
+export function interpolateMonthly(values, dayOfYear) {
+    const daysPerMonth = SimulationConfig.CALENDAR.DAYS_PER_MONTH;
+    const position = dayOfYear / daysPerMonth - 0.5; // In months, 0 = middle of January
+    const before = Math.floor(position);
+    const fraction = position - before;
+    const first = values[(before + 12) % 12];
+    const second = values[(before + 13) % 12];
+    return first + (second - first) * fraction;
+}
+
+/**
+ * Returns a climate's weather profile for a day of the year.
+ * Climates without monthly tables use their annual values all year.
+ * @param {object} climateProps - A CLIMATE_PROPERTIES entry.
+ * @param {number} dayOfYear - Fractional day of the year.
+ * @returns {{tempRange: Array<number>, humidityAvg: number, windChance: number}} Daily temperature range (night low, afternoon high),
+ * target humidity and wind chance for that day.
+ */
+export function getClimateProfile(climateProps, dayOfYear) {
+    const temps = climateProps.monthlyTempRanges;
+    return {
+        tempRange: temps
+            ? [interpolateMonthly(temps.map(range => range[0]), dayOfYear), interpolateMonthly(temps.map(range => range[1]), dayOfYear)]
+            : climateProps.tempRange,
+        humidityAvg: climateProps.monthlyHumidityAvg ? interpolateMonthly(climateProps.monthlyHumidityAvg, dayOfYear) : climateProps.humidityAvg,
+        windChance: climateProps.monthlyWindChance ? interpolateMonthly(climateProps.monthlyWindChance, dayOfYear) : climateProps.windChance
+    };
+}
+
+/**
+ * Finds a climate's frost-free window: the longest run of months whose night low stays above THRESHOLDS.frostTemp.
+ * @param {object} climateProps - A CLIMATE_PROPERTIES entry.
+ * @returns {{allYear: boolean, firstMonth: number, lastMonth: number} | null} The window (months 0-11, may wrap
+ * around the new year), or null if every month can freeze.
+ */
+export function getFrostFreeWindow(climateProps) {
+    const frostTemp = SimulationConfig.THRESHOLDS.frostTemp;
+    const lows = climateProps.monthlyTempRanges?.map(range => range[0]) ?? new Array(12).fill(climateProps.tempRange[0]);
+    const frostFree = lows.map(low => low > frostTemp);
+    if (frostFree.every(Boolean)) return { allYear: true, firstMonth: 0, lastMonth: 11 };
+
+    let best = null;
+    const firstFrostMonth = frostFree.indexOf(false);
+    let runStart = null;
+    // Walk one full year starting after a frost month, so a window spanning December/January stays in one piece
+    for (let i = 1; i <= 12; i++) {
+        const month = (firstFrostMonth + i) % 12;
+        if (frostFree[month]) {
+            runStart ??= i;
+            const length = i - runStart + 1;
+            if (!best || length > best.length) best = { length, firstMonth: (firstFrostMonth + runStart) % 12, lastMonth: month };
+        } else {
+            runStart = null;
+        }
+    }
+    return best && { allYear: false, firstMonth: best.firstMonth, lastMonth: best.lastMonth };
+}
+
+/**
+ * Formats a frost-free window as "Apr-Oct", "all year" or "none".
+ * @param {object | null} window - Result of getFrostFreeWindow().
+ * @returns {string} The formatted window.
+ */
+export function formatFrostFreeWindow(window) {
+    if (!window) return 'none';
+    if (window.allYear) return 'all year';
+    return `${MONTH_NAMES[window.firstMonth]}-${MONTH_NAMES[window.lastMonth]}`;
+}
@@ -0,0 +1,65 @@
+/**
+ * Imports the central configuration object.
+ * Needed for step size, day length and catch-up limits.
+ */
+import { SimulationConfig } from './config.js';
+
+/**
+ * Fixed-timestep accumulator that converts irregular real-time deltas into
+ * a whole number of constant-size simulation steps.
+ * Keeps plant physiology, microbes and Olla release independent of timer jitter,
+ * tab throttling or blocking dialogs: large deltas are split into sub-steps and
+ * anything beyond the catch-up cap is dropped instead of being applied in one jump.
+ */
+export class FixedStepClock {
+    /**
+     * Creates a new clock.
+     * @param {object} [options={}] - Optional overrides for the configured values.
+     * @param {number} [options.stepMinutes] - Simulated minutes per step.
+     * @param {number} [options.maxSteps] - Maximum steps returned by a single advance() call.
+     */
+    constructor(options = {}) {
+        this.stepMinutes = options.stepMinutes ?? SimulationConfig.FIXED_STEP_SIM_MINUTES;
+        this.maxSteps = options.maxSteps ?? SimulationConfig.MAX_CATCH_UP_STEPS;
+        this.accumulatedMinutes = 0; // Simulated time owed but not yet stepped
+        this.droppedMinutes = 0; // Total simulated time discarded by the catch-up cap (for debugging)
+    }
+
+    /**
+     * Clears any accumulated time, e.g. after a pause or a speed change.
+     */
+    reset() {
+        this.accumulatedMinutes = 0;
+    }
+
+    /**
+     * Converts elapsed real time into simulated minutes at the given speed.
+     * @param {number} elapsedRealMs - Real milliseconds elapsed.
+     * @param {number} speed - Speed multiplier.
+     * @returns {number} Simulated minutes.
+     */
+    static realMsToSimMinutes(elapsedRealMs, speed) {
+        const elapsedSimSeconds = (Math.max(0, elapsedRealMs) / 1000) * speed;
+        return elapsedSimSeconds * ((24 * 60) / (SimulationConfig.SIMULATED_DAY_LENGTH_SECONDS || 20));
+    }
+
+    /**
+     * Adds elapsed real time to the accumulator and returns how many fixed steps to run now.
+     * @param {number} elapsedRealMs - Real milliseconds since the previous call.
+     * @param {number} speed - Current speed multiplier.
+     * @returns {number} Number of steps of `stepMinutes` to run (0 to maxSteps).
+     */
+    advance(elapsedRealMs, speed) {
+        this.accumulatedMinutes += FixedStepClock.realMsToSimMinutes(elapsedRealMs, speed);
+
+        let steps = Math.floor(this.accumulatedMinutes / this.stepMinutes);
+        this.accumulatedMinutes -= steps * this.stepMinutes;
+
+        // Cap catch-up: drop the backlog rather than simulating a burst of steps
+        if (steps > this.maxSteps) {
+            this.droppedMinutes += (steps - this.maxSteps) * this.stepMinutes;
+            steps = this.maxSteps;
+        }
+        return steps;
+    }
+} // --- End FixedStepClock Class ---
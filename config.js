@@ -4,13 +4,42 @@
  */
 export const SimulationConfig = {
     // --- Grid & Timing ---
-    GRID_ROWS: 15,
-    GRID_COLS: 15,
+    GRID_ROWS: 15, // Default garden height; the live size can be changed at runtime (Simulation.resize)
+    GRID_COLS: 15, // Default garden width
+    MIN_GRID_SIZE: 3, // Smallest allowed number of rows/columns
+    MAX_GRID_SIZE: 60, // Largest allowed number of rows/columns
+    GRID_CELL_SIZE_PX: 40, // On-screen square size for gardens that fit within MAX_GRID_WIDTH_PX
+    MIN_GRID_CELL_SIZE_PX: 14, // Smallest on-screen square size for large gardens
+    MAX_GRID_WIDTH_PX: 640, // Squares shrink so wide gardens stay within roughly this width
     BASE_UPDATE_INTERVAL_MS: 1000, // Base interval for 1x speed
     SIMULATED_DAY_LENGTH_SECONDS: 20, // Target duration of a simulated day at 1x speed [cite: 99]
+    FIXED_STEP_SIM_MINUTES: 72, // Simulated minutes advanced by every simulation step (one 1x tick: 1440 min / 20 s)
+    MAX_CATCH_UP_STEPS: 8, // Max steps run per timer callback; any larger backlog (throttled tab, GC pause) is dropped
+    SPEED_STEPS: [0.25, 0.5, 1, 2, 3, 4, 8, 16, 32], // Speed multipliers offered by the speed slider (slowest first)
+    SKIP_AHEAD_MAX_DAYS: 365, // Most simulated days a single "Skip ahead" may run
+    SKIP_AHEAD_CHUNK_MS: 50, // Real time spent stepping between progress updates (and cancel checks) while skipping
+    DEFAULT_TICK_MODE: 'twoPhase', // 'twoPhase': squares read a start-of-tick snapshot, neighbor changes are committed after all squares; 'legacy': in-place updates in grid order
+    AUTOSAVE_INTERVAL_DAYS: 5, // Default simulated days between autosaves (0 disables autosave)
+    AUTOSAVE_HISTORY_SIZE: 5, // Number of autosaves kept; the oldest is dropped when a new one is written
+    UNDO_HISTORY_LIMIT: 100, // Max player actions that can be undone (Ctrl+Z)
+    EVENT_LOG_LIMIT: 500, // Max entries kept in the garden event log (oldest dropped first)
     WIND_UPDATE_INTERVAL_TICKS: 5, // How often wind speed is recalculated
     WIND_DIRECTION_CHANGE_INTERVAL_DAYS: 3, // How often wind direction changes [cite: 103]
     TEMP_FLUCTUATION_AMOUNT: 1.5, // Max random temperature variation per update
+    WEATHER_EVENT_LEAD_DAYS: [2, 5], // Min/Max days between a multi-day weather event being forecast and its start
+    FORECAST: {
+        DAYS: 7, // Days planned ahead and forecast (the forecast panel shows 3 to this many)
+        // Max day-to-day deviation of the weather from the climate profile: °C on lows and highs, humidity points,
+        // relative change of the wind chance, and change of the rain chance's log-odds (0.7: odds up to 2x or 1/2x,
+        // so a 60% chance varies between 43% and 75% and never reaches 100%)
+        DAY_ANOMALY: { temperature: 3, humidity: 8, windChance: 0.5, rainChance: 0.7 },
+        // Max forecast error per day of lead time (tomorrow: 1x, in 7 days: 7x), in the same units as the forecast values
+        ERROR_PER_DAY: { temperature: 0.8, humidity: 3, wind: 0.8, rainChance: 0.06 },
+    },
+    CALENDAR: {
+        DAYS_PER_MONTH: 30, // Simplified calendar: 12 months of equal length (360-day year)
+        START_DAY_OF_YEAR: 120, // Day of the year a new garden starts on (120 = May 1, after the last Temperate frost)
+    },
 
     // --- Initial State ---
     INITIAL_WEED_CHANCE: 0.08, // Chance for a square to start with a weed
@@ -41,13 +70,16 @@ export const SimulationConfig = {
         humidityEffectOnEvap: 0.9, // Factor linking humidity to evaporation (higher humidity reduces evap)
         evaporationHumidityGain: 0.05, // How much evaporation increases local humidity
         windHumidityLoss: 0.1, // How much wind decreases local humidity
+        rainHumidityGain: 0.15, // Share of the gap to 100% humidity closed per tick while it rains
+        stormRainMultiplier: 4, // Storms rain this many times harder than the climate's normal intensity
+        stormWindMultiplier: 1.5, // Storm wind: this multiple of the climate's maximum wind speed
+        netRainInterception: 0.3, // Share of rain kept off the soil by a Net
 
         // Microbes
         microbeGrowthOxygen: 0.1, // Microbe growth rate bonus from high oxygen
         microbeConversionBase: 1.0, // Base rate microbes convert OM to BN
         microbeDeathLowOM: 0.2, // Rate microbes die off with low organic matter
         tempEffectOnMicrobes: 0.05, // Factor determining temperature impact on microbe activity
-        beansMICRate: 0.2, // Rate beans add microbes to neighbors
 
         // Plant Base
         plantConsumption: 0.5, // Base rate plants consume resources (scaled by size/mods)
@@ -66,9 +98,6 @@ export const SimulationConfig = {
         leafDevRate: 0.01, // Rate leaf density adjusts towards target [cite: 102]
         senescenceShrinkRate: 0.001, // Rate plants shrink when senescent [cite: 102]
 
-        // Beans Effect
-        beansOMRate: 0.1, // Rate beans add organic matter to neighbors
-
         // Pests & Weeds
         pestSpawnBaseChance: 0.001, // Base chance for pests to appear
         pestLevelUpChance: 0.01, // Chance for existing pests to increase level
@@ -99,6 +128,9 @@ export const SimulationConfig = {
         rootDamageLowOxygen: 0.4, // Root damage rate in low oxygen conditions
         rootDamageWetness: 0.2, // Root damage rate in wet conditions (scaled by sensitivity)
         rootDamageHighTempFactor: 0.15, // Factor determining root damage from high temperatures
+        frostLeafDamage: 0.03, // Leaf density lost per tick per °C below a plant's frostTolerance
+        frostStemDamage: 3, // Stem health lost per tick per °C below a plant's frostTolerance (stem health 0 kills the plant)
+        stemHealthRecovery: 2, // Stem health regained per tick while the square is within or above the plant's growing range
 
         // Beneficials & Pollination
         beneficialAttractionGain: 0.5, // Rate beneficial attraction increases per suitable plant
@@ -138,8 +170,8 @@ export const SimulationConfig = {
         soilConditionGrow: 65, // Minimum soil condition score required for plant growth
         moistureShrink: 20, // Moisture level below which plants start shrinking
         plantMaxSize: 1.0, // Maximum size a plant can reach (relative value)
-        goodRootDensity: 1.0, // Root density level considered good (e.g., for Bean bonus)
-        goodRootHealth: 80, // Root health level considered good
+        goodRootDensity: 1.0, // Root density level considered good (e.g., for aura healthBonus)
+        goodRootHealth: 80, // Root health level considered good (e.g., for aura healthBonus)
         maxRootDensity: 2.5, // Maximum possible root density
         minRootDensity: 0.1, // Minimum possible root density
 
@@ -164,6 +196,10 @@ export const SimulationConfig = {
         optimalTempPlantLow: 15, // Lower bound of optimal temperature for plants
         optimalTempPlantHigh: 30, // Upper bound of optimal temperature for plants
         maxTempPlantSlowdown: 35, // Temperature above which plant growth starts slowing down
+        frostTemp: 0, // Night lows at or below this temperature bring frost (defines a climate's frost-free window)
+        soilFreezeTemp: -2, // Square temperature at or below which the soil freezes (microbes dormant, no root uptake)
+        hardFreezeTemp: -4, // Square temperature at or below which a well-filled Olla cracks
+        ollaCrackFillRatio: 0.5, // Share of ollaMaxWater above which an Olla cracks in a hard freeze
 
         // Pests, Weeds, Pollination, Beneficials
         pollinationWindThreshold: 5, // Minimum wind speed required for wind pollination (can be reduced by bees)
@@ -174,7 +210,6 @@ export const SimulationConfig = {
         beneficialAttractionThreshold: 5, // Level of attraction needed for beneficial effects (e.g., ladybeetles)
         plantMaturityForBeneficials: 0.85, // Minimum maturity progress for plants to attract beneficials
         windStressThreshold: 8, // Wind speed above which plants might strengthen stems
-        squashEffectSize: 0.5, // Minimum size Squash plant needs to be to provide evaporation reduction
 
          // Structures
          ollaMaxWater: 200, // Maximum water capacity of an Olla
@@ -194,18 +229,63 @@ export const SimulationConfig = {
             humidityAvg: 60, // Average humidity target
             windChance: 0.4, // Chance of wind occurring each wind update interval
             windSpeedRange: [2, 15], // Min/Max wind speed when wind occurs
+            rainChancePerDay: 0.35, // Chance that a shower starts on any given day
+            rainIntensityRange: [0.1, 0.6], // Min/Max moisture added per simulated hour to uncovered soil while it rains
+            rainDurationHoursRange: [2, 8], // Min/Max length of a shower in simulated hours
+            stormChance: 0.1, // Share of showers that are storms (heavier rain, strong wind)
+            // Monthly profiles (January first); values apply mid-month and blend into the next month.
+            // The annual values above are used by climates without these tables.
+            monthlyTempRanges: [[-4, 5], [-3, 7], [0, 12], [4, 17], [8, 22], [12, 26], [14, 29], [13, 28], [10, 24], [5, 17], [0, 10], [-2, 6]], // Night low / afternoon high
+            monthlyHumidityAvg: [76, 72, 68, 63, 60, 58, 57, 58, 62, 68, 73, 77],
+            monthlyWindChance: [0.55, 0.55, 0.5, 0.45, 0.35, 0.3, 0.3, 0.3, 0.35, 0.45, 0.5, 0.55],
+            // Multi-day weather events, rolled once a day (in this order) while no event is forecast or active.
+            // chancePerDay: chance to forecast the event; durationDaysRange: Min/Max length in days;
+            // months: months (0 = January) in which it can be forecast, all year if omitted.
+            // Effects: tempBoost (°C added to lows and highs), humidityFactor (multiplies the humidity target; droughts also stop rain),
+            // humidityBoost (added to the humidity target; humid spells favor Aphids).
+            weatherEvents: {
+                heatwave: { chancePerDay: 0.04, durationDaysRange: [3, 7], months: [5, 6, 7], tempBoost: 8 },
+                drought: { chancePerDay: 0.01, durationDaysRange: [7, 20], humidityFactor: 0.6 },
+                humidSpell: { chancePerDay: 0.03, durationDaysRange: [3, 6], humidityBoost: 20 },
+            },
         },
         "Tropical": {
             tempRange: [22, 33],
             humidityAvg: 80,
             windChance: 0.3,
             windSpeedRange: [5, 25],
+            rainChancePerDay: 0.6,
+            rainIntensityRange: [0.2, 0.8],
+            rainDurationHoursRange: [1, 5],
+            stormChance: 0.15,
+            // Warm all year; the wet season (May-October) is the humid one
+            monthlyTempRanges: [[22, 31], [22, 32], [23, 33], [23, 33], [23, 32], [22, 31], [22, 30], [22, 30], [22, 31], [23, 32], [23, 32], [22, 31]],
+            monthlyHumidityAvg: [72, 70, 72, 78, 84, 88, 88, 88, 86, 82, 78, 74],
+            monthlyWindChance: [0.35, 0.35, 0.3, 0.25, 0.25, 0.3, 0.3, 0.3, 0.3, 0.3, 0.35, 0.35],
+            weatherEvents: {
+                heatwave: { chancePerDay: 0.02, durationDaysRange: [3, 5], months: [2, 3, 4], tempBoost: 4 },
+                drought: { chancePerDay: 0.02, durationDaysRange: [10, 25], months: [11, 0, 1, 2, 3], humidityFactor: 0.7 },
+                humidSpell: { chancePerDay: 0.05, durationDaysRange: [4, 8], months: [4, 5, 6, 7, 8, 9], humidityBoost: 10 },
+            },
         },
         "Arid": {
             tempRange: [15, 42],
             humidityAvg: 30,
             windChance: 0.6,
             windSpeedRange: [10, 35],
+            rainChancePerDay: 0.05,
+            rainIntensityRange: [0.2, 1],
+            rainDurationHoursRange: [1, 3],
+            stormChance: 0.2,
+            // Mild winters, scorching summers
+            monthlyTempRanges: [[2, 18], [4, 21], [8, 26], [13, 31], [18, 36], [23, 41], [26, 43], [25, 42], [20, 38], [13, 31], [7, 24], [3, 18]],
+            monthlyHumidityAvg: [40, 36, 30, 24, 20, 18, 22, 25, 24, 28, 34, 40],
+            monthlyWindChance: [0.55, 0.6, 0.7, 0.7, 0.65, 0.6, 0.55, 0.55, 0.55, 0.55, 0.55, 0.55],
+            weatherEvents: {
+                heatwave: { chancePerDay: 0.05, durationDaysRange: [4, 10], months: [4, 5, 6, 7, 8], tempBoost: 5 },
+                drought: { chancePerDay: 0.03, durationDaysRange: [14, 40], humidityFactor: 0.5 },
+                humidSpell: { chancePerDay: 0.01, durationDaysRange: [2, 4], months: [6, 7], humidityBoost: 25 },
+            },
         }
     },
 
@@ -213,7 +293,9 @@ export const SimulationConfig = {
     PLANT_PROPERTIES: { // Updated keys: daysToHarvestableStage, removed lifespanDays, added isPerennial [cite: 105, 106, 107]
         'Test': {
             name: 'Test Plant',
-            colorClass: 'dot-Test',
+            debugOnly: true, // Hidden from the info table (still plantable for testing)
+            color: '#000000', // Dot color on the grid, in the info table and in save thumbnails
+            colorName: 'Black', // Color name shown in the plant selector
             H2O_Mod: 1.0, // Water consumption modifier
             BN_Mod: 1.0, // Bioavailable Nutrition consumption modifier
             O2_Mod: 1.0, // Oxygen consumption modifier
@@ -222,16 +304,24 @@ export const SimulationConfig = {
             calPerUnit: 0, // Calories per unit (future use)
             attractsBeneficials: false, // Attracts beneficial insects?
             wetnessSensitivity: 1.0, // Multiplier for root damage from wetness
-            suppressesNematodes: false, // Helps suppress nematodes nearby?
+            growingTempRange: null, // Optimal growing temperature [low, high] in °C; null uses THRESHOLDS.optimalTempPlantLow/High
+            frostTolerance: 0, // Temperature (°C) below which frost damages leaves and stems (lower = hardier); seedlings die below it
+            auras: [], // Neighbor effects applied by auras.js: { target, magnitude, radius, diagonal, includeSelf, pestType, healthBonus, requiredStage, minSize }
             description: "A baseline test plant.",
             effects: "None.",
             daysToHarvestableStage: 10, // Approx days to reach harvestable stage under good conditions [cite: 105]
             isPerennial: true, // Does it survive after harvest/senescence? [cite: 107]
+            harvestableStage: 3, // Minimum growth stage for harvest (2: Flowering, 3: Fruiting)
+            requiresPollination: false, // Must be pollinated (wind/bee) before it can be harvested
+            minHarvestYield: 0, // Units a ready harvest always gives (for plants valued for the harvest itself)
+            trellisBonus: null, // { yieldMultiplier, bnMultiplier } when growing on a Trellis, or null
             maxHeight: 10 // Max height in cm (for future shading logic)
         },
         'Corn': {
             name: 'Corn',
-            colorClass: 'dot-Corn',
+            color: '#FFFF00',
+            colorName: 'Yellow',
+            borderColor: 'rgba(0,0,0,0.5)', // Optional dot border color (light dots need contrast)
             H2O_Mod: 6.0,
             BN_Mod: 5.0,
             O2_Mod: 2.0,
@@ -240,55 +330,80 @@ export const SimulationConfig = {
             calPerUnit: 80,
             attractsBeneficials: false,
             wetnessSensitivity: 1.0,
-            suppressesNematodes: false,
+            growingTempRange: [18, 32], // Warm-season crop
+            frostTolerance: 0,
+            auras: [],
             description: "Heavy feeder.",
             effects: "High H2O/BN use.",
             daysToHarvestableStage: 60, // [cite: 105]
             isPerennial: false, // [cite: 107]
+            harvestableStage: 3,
+            requiresPollination: true,
+            minHarvestYield: 0,
+            trellisBonus: null,
             maxHeight: 200
         },
         'Beans': {
             name: 'Beans',
-            colorClass: 'dot-Beans',
+            color: 'green',
+            colorName: 'Green',
             H2O_Mod: 1.0,
             BN_Mod: 1.0,
             O2_Mod: 1.0,
-            addsOM: true, // Special property: Adds Organic Matter
-            addsMIC: true, // Special property: Adds Microbes
             maxYield: 3,
             price: 40,
             calPerUnit: 60,
             attractsBeneficials: false,
             wetnessSensitivity: 1.0,
-            suppressesNematodes: false,
+            growingTempRange: [16, 29],
+            frostTolerance: 0,
+            auras: [ // Nitrogen-fixer: enriches neighboring soil, more with healthy roots
+                { target: 'organicMatter', magnitude: 0.1, radius: 1, diagonal: true, healthBonus: 1.5 },
+                { target: 'microbes', magnitude: 0.2, radius: 1, diagonal: true, healthBonus: 1.5 }
+            ],
             description: "Adds OM/Microbes.",
             effects: "+OM, +MIC (Neighbors).",
             daysToHarvestableStage: 50, // [cite: 105]
             isPerennial: false, // [cite: 107]
+            harvestableStage: 3,
+            requiresPollination: true,
+            minHarvestYield: 0,
+            trellisBonus: { yieldMultiplier: 1.3, bnMultiplier: 0.75 },
             maxHeight: 150
         },
         'Squash': {
             name: 'Squash',
-            colorClass: 'dot-Squash',
+            color: 'orange',
+            colorName: 'Orange',
             H2O_Mod: 1.0,
             BN_Mod: 1.0,
             O2_Mod: 1.0,
-            reducesEVP: true, // Special property: Reduces evaporation nearby
             maxYield: 1,
             price: 70,
             calPerUnit: 40,
             attractsBeneficials: false,
             wetnessSensitivity: 1.0,
-            suppressesNematodes: false,
-            description: "Reduces evaporation.",
-            effects: "-Evaporation (Nearby).",
+            growingTempRange: [18, 32], // Warm-season crop
+            frostTolerance: 1, // Frost-tender
+            auras: [ // Large leaves shade the soil, halving evaporation on its own and neighboring squares
+                { target: 'evaporation', magnitude: 0.5, radius: 1, diagonal: true, includeSelf: true, minSize: 0.5 },
+                // ...and catch part of the rain before it reaches the soil
+                { target: 'rain', magnitude: 0.6, radius: 1, diagonal: true, includeSelf: true, minSize: 0.5 }
+            ],
+            description: "Reduces evaporation; its canopy catches some rain.",
+            effects: "-Evaporation, -Rain (Nearby).",
             daysToHarvestableStage: 55, // [cite: 105]
             isPerennial: false, // [cite: 107]
+            harvestableStage: 3,
+            requiresPollination: true,
+            minHarvestYield: 0,
+            trellisBonus: { yieldMultiplier: 1.3, bnMultiplier: 0.75 },
             maxHeight: 30
         },
         'Tomato': {
             name: 'Tomato',
-            colorClass: 'dot-Tomato',
+            color: 'red',
+            colorName: 'Red',
             H2O_Mod: 1.2,
             BN_Mod: 1.8,
             O2_Mod: 1.0,
@@ -297,16 +412,23 @@ export const SimulationConfig = {
             calPerUnit: 20,
             attractsBeneficials: false,
             wetnessSensitivity: 1.5, // More sensitive to wet conditions
-            suppressesNematodes: false,
-            description: "Needs good nutrients.",
+            growingTempRange: [20, 30], // Warm-season crop: struggles in cool weather
+            frostTolerance: 1, // Frost-tender
+            auras: [],
+            description: "Needs good nutrients and warmth (slow in cool months).",
             effects: "High BN use, Root Damage if Wet.",
             daysToHarvestableStage: 70, // [cite: 105]
             isPerennial: false, // [cite: 107]
+            harvestableStage: 3,
+            requiresPollination: true,
+            minHarvestYield: 0,
+            trellisBonus: { yieldMultiplier: 1.3, bnMultiplier: 0.75 },
             maxHeight: 100
         },
         'Basil': {
             name: 'Basil',
-            colorClass: 'dot-Basil',
+            color: '#006400',
+            colorName: 'Dk Green',
             H2O_Mod: 1.0,
             BN_Mod: 1.0,
             O2_Mod: 1.0,
@@ -315,16 +437,23 @@ export const SimulationConfig = {
             calPerUnit: 10,
             attractsBeneficials: true, // [cite: 107]
             wetnessSensitivity: 1.0,
-            suppressesNematodes: false,
-            description: "Attracts beneficials.",
+            growingTempRange: [20, 30], // Frost-tender herb
+            frostTolerance: 2, // Very frost-tender
+            auras: [],
+            description: "Attracts beneficials; likes warmth.",
             effects: "+Beneficial Attraction.",
             daysToHarvestableStage: 40, // [cite: 105]
             isPerennial: false, // Typically grown as annual [cite: 107]
+            harvestableStage: 2,
+            requiresPollination: true,
+            minHarvestYield: 0,
+            trellisBonus: null,
             maxHeight: 50
         },
         'Flower': {
             name: 'Flower', // Generic attractive flower
-            colorClass: 'dot-Flower',
+            color: '#FFC0CB',
+            colorName: 'Pink',
             H2O_Mod: 1.5,
             BN_Mod: 1.5,
             O2_Mod: 1.0,
@@ -333,16 +462,23 @@ export const SimulationConfig = {
             calPerUnit: 0,
             attractsBeneficials: true, // [cite: 107]
             wetnessSensitivity: 1.2,
-            suppressesNematodes: false,
+            growingTempRange: null,
+            frostTolerance: -2, // Hardy
+            auras: [],
             description: "Attracts beneficials.",
             effects: "+Beneficial Attraction, High H2O/BN use.",
             daysToHarvestableStage: 45, // [cite: 105]
             isPerennial: false, // Assuming annual flower [cite: 107]
+            harvestableStage: 2,
+            requiresPollination: false,
+            minHarvestYield: 1,
+            trellisBonus: null,
             maxHeight: 40
         },
         'Marigold': {
             name: 'Marigold',
-            colorClass: 'dot-Marigold',
+            color: '#FFA500',
+            colorName: 'Org/Ylw',
             H2O_Mod: 1.6,
             BN_Mod: 1.2,
             O2_Mod: 1.0,
@@ -351,11 +487,20 @@ export const SimulationConfig = {
             calPerUnit: 0,
             attractsBeneficials: true, // [cite: 107]
             wetnessSensitivity: 1.0,
-            suppressesNematodes: true, // [cite: 107]
+            growingTempRange: null, // Hardy
+            frostTolerance: -3, // Hardy
+            auras: [ // Suppresses nematodes nearby [cite: 107]
+                { target: 'pestSpawn', pestType: 'Nematodes', magnitude: 0.1, radius: 1, diagonal: true, includeSelf: true },
+                { target: 'pestRemoval', pestType: 'Nematodes', magnitude: 0.1, radius: 1, diagonal: true }
+            ],
             description: "Suppresses nematodes.",
             effects: "+Beneficial Attraction, -Nematode Chance (Nearby), High H2O use.",
             daysToHarvestableStage: 50, // [cite: 105]
             isPerennial: false, // Typically grown as annual [cite: 107]
+            harvestableStage: 2,
+            requiresPollination: false,
+            minHarvestYield: 1,
+            trellisBonus: null,
             maxHeight: 60
         },
     }, // End PLANT_PROPERTIES
@@ -383,7 +528,7 @@ export const SimulationConfig = {
         'Olla':{
             name:'Olla',
             visualClass:'structure-olla',
-            description:'Clay pot that slowly releases stored water.',
+            description:'Clay pot that slowly releases stored water. Cracks if left full in a hard freeze.',
             effects:'+Moisture (Nearby)',
             counters:'Water Action (Refill)'
         },
@@ -398,7 +543,8 @@ export const SimulationConfig = {
             name:'Net',
             visualClass:'structure-net',
             description:'Protective netting.',
-            effects:'Mitigates High Temp, -Aphid Chance/Effect',
+            effects:'Mitigates High Temp, -Aphid Chance/Effect, -Rain, Frost Protection',
+            frostProtection: 3, // °C a cover adds to frosty temperatures on its square (any structure may define this)
             counters:'Tilling (Removes)'
         }
     } // End STRUCTURE_INFO
@@ -0,0 +1,159 @@
+/**
+ * Imports the central configuration object and the event names.
+ */
+import { SimulationConfig } from './config.js';
+import { SimulationEvents } from './events.js';
+import { getCalendarDate, formatShortDate } from './calendar.js';
+
+/**
+ * Garden event log: turns simulation events into timestamped, human-readable entries
+ * ("Day 12 06:40 - Aphids (lvl 1) appeared on Tomato at 4,7") and filters them by category and square.
+ * Has no DOM access; UIManager renders the entries.
+ */
+
+/** Display names of the multi-day weather events (see WeatherEventTypes). */
+export const WEATHER_EVENT_NAMES = { heatwave: 'Heatwave', drought: 'Drought', humidSpell: 'Humid spell' };
+
+/** Log categories, in the order shown in the filter dropdown. */
+export const EVENT_LOG_CATEGORIES = ['plants', 'pests', 'weeds', 'harvest', 'structures', 'weather'];
+
+const STAGE_NAMES = { 0: 'Seedling', 1: 'Vegetative', 2: 'Flowering', 3: 'Fruiting', 4: 'Senescent' };
+const DEATH_CAUSES = { senescence: 'end of life (senescence)', rootDamage: 'root health 0', withered: 'withered away (size 0)', frost: 'killed by frost' };
+const PEST_REMOVAL_CAUSES = {
+    ladybeetles: 'eaten by ladybeetles',
+    microbes: 'outcompeted by soil microbes',
+    neem: 'removed with Neem',
+    hostLost: 'left (no host plant)'
+};
+
+/**
+ * Formats simulated time as "Day D HH:MM".
+ * @param {number} day - Fractional simulated days elapsed.
+ * @param {number} timeOfDay - Minutes past midnight.
+ * @returns {string} The formatted timestamp.
+ */
+export function formatSimTimestamp(day, timeOfDay) {
+    const hours = Math.floor((timeOfDay || 0) / 60);
+    const minutes = Math.floor((timeOfDay || 0) % 60);
+    return `Day ${Math.floor(day || 0)} ${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Describes rain intensity in words.
+ * @param {number} intensity - Moisture added per simulated hour to uncovered soil.
+ * @returns {string} 'Light', 'Steady' or 'Heavy'.
+ */
+export function describeRain(intensity) {
+    if (intensity < 0.4) return 'Light';
+    return intensity < 1 ? 'Steady' : 'Heavy';
+}
+
+/**
+ * Stores formatted log entries for the simulation events it is subscribed to.
+ */
+export class EventLog {
+    /**
+     * Creates an empty log.
+     * @param {number} [limit] - Maximum number of entries kept.
+     */
+    constructor(limit = SimulationConfig.EVENT_LOG_LIMIT) {
+        this.limit = limit;
+        this.entries = []; // Oldest first
+        this.nextId = 1;
+        this.version = 0; // Incremented on every change so the UI knows when to re-render
+    }
+
+    /**
+     * Subscribes the log to every event of a simulation.
+     * @param {Simulation} simulation - The simulation to listen to.
+     * @returns {function(): void} Function that unsubscribes the log.
+     */
+    subscribe(simulation) {
+        return simulation.events.on('*', event => this.add(event));
+    }
+
+    /** Removes all entries (e.g., after a reset or load). */
+    clear() {
+        this.entries = [];
+        this.version++;
+    }
+
+    /**
+     * Adds an entry for a simulation event; events without a known format are ignored.
+     * @param {object} event - Event payload from the simulation's event bus.
+     * @returns {object | null} The new entry, or null if the event is not logged.
+     */
+    add(event) {
+        const formatted = EventLog.formatEvent(event);
+        if (!formatted) return null;
+        const entry = {
+            id: this.nextId++,
+            tick: event.tick,
+            timestamp: formatSimTimestamp(event.day, event.timeOfDay),
+            category: formatted.category,
+            key: event.key ?? null,
+            text: formatted.text
+        };
+        this.entries.push(entry);
+        if (this.entries.length > this.limit) {
+            this.entries.splice(0, this.entries.length - this.limit); // Drop the oldest
+        }
+        this.version++;
+        return entry;
+    }
+
+    /**
+     * Returns entries matching the given filters, newest first.
+     * @param {object} [filters={}] - Filters; empty values match everything.
+     * @param {string} [filters.category] - One of EVENT_LOG_CATEGORIES.
+     * @param {string} [filters.key] - Square key "x,y".
+     * @returns {object[]} Matching entries.
+     */
+    filter(filters = {}) {
+        return this.entries
+            .filter(entry => (!filters.category || entry.category === filters.category) &&
+                             (!filters.key || entry.key === filters.key))
+            .reverse();
+    }
+
+    /**
+     * Builds the category and text of a log entry for an event.
+     * @param {object} event - Event payload.
+     * @returns {{category: string, text: string} | null} Formatted entry, or null for unknown events.
+     */
+    static formatEvent(event) {
+        switch (event.type) {
+            case SimulationEvents.PLANT_DIED:
+                return { category: 'plants', text: `${event.plantType} at ${event.key} died: ${DEATH_CAUSES[event.cause] || event.cause}` };
+            case SimulationEvents.STAGE_CHANGED:
+                return { category: 'plants', text: `${event.plantType} at ${event.key} ${event.to > event.from ? 'reached' : 'fell back to'} ${STAGE_NAMES[event.to] ?? `stage ${event.to}`}` };
+            case SimulationEvents.PEST_SPAWNED:
+                return { category: 'pests', text: `${event.pestType} (lvl ${event.level ?? 1}) appeared ${event.plantType ? `on ${event.plantType} ` : ''}at ${event.key}` };
+            case SimulationEvents.PEST_REMOVED:
+                if (event.cause === 'companion') {
+                    return { category: 'pests', text: `${event.pestType} at ${event.key} repelled by ${event.sourcePlantType} at ${event.sourceKey}` };
+                }
+                return { category: 'pests', text: `${event.pestType} at ${event.key} ${PEST_REMOVAL_CAUSES[event.cause] || `removed (${event.cause})`}` };
+            case SimulationEvents.WEED_SPREAD:
+                return { category: 'weeds', text: `Weeds spread from ${event.fromKey} to ${event.key}${event.windDirection && event.windDirection !== 'None' ? ` (wind ${event.windDirection})` : ''}` };
+            case SimulationEvents.HARVESTED:
+                return { category: 'harvest', text: `Harvested ${event.yield} ${event.plantType} at ${event.key} for $${event.value}` };
+            case SimulationEvents.OLLA_EMPTY:
+                return { category: 'structures', text: `Olla at ${event.key} ran dry` };
+            case SimulationEvents.OLLA_CRACKED:
+                return { category: 'structures', text: `Olla at ${event.key} cracked in a hard freeze (remove and replace it)` };
+            case SimulationEvents.RAIN_STARTED:
+                return { category: 'weather', text: `${event.isStorm ? 'Storm: heavy rain and strong wind' : `${describeRain(event.intensity)} rain`} for about ${Math.round(event.hours)} h` };
+            case SimulationEvents.RAIN_ENDED:
+                return { category: 'weather', text: event.isStorm ? 'The storm passed' : 'Rain stopped' };
+            case SimulationEvents.WEATHER_EVENT_FORECAST:
+                return { category: 'weather', text: `Forecast: ${(WEATHER_EVENT_NAMES[event.weatherType] ?? event.weatherType).toLowerCase()} from ${formatShortDate(getCalendarDate(event.startDay))}, lasting ${event.endDay - event.startDay} days` };
+            case SimulationEvents.WEATHER_EVENT_STARTED:
+                return { category: 'weather', text: `${WEATHER_EVENT_NAMES[event.weatherType] ?? event.weatherType} began (ends ${formatShortDate(getCalendarDate(event.endDay))})` };
+            case SimulationEvents.WEATHER_EVENT_ENDED:
+                return { category: 'weather', text: `${WEATHER_EVENT_NAMES[event.weatherType] ?? event.weatherType} ended` };
+            default:
+                return null;
+        }
+    }
+} // --- End EventLog Class ---
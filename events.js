@@ -0,0 +1,103 @@
+/**
+ * Publish/subscribe event bus for simulation lifecycle events.
+ * The Simulation owns one bus and emits the typed events listed in SimulationEvents;
+ * UI, logging and automation code subscribe instead of polling square state.
+ */
+
+/**
+ * Names of all events emitted by the simulation.
+ * Every payload also carries `type`, `tick`, `day` (fractional simulated days) and `timeOfDay` (minutes past midnight).
+ *
+ * Payloads:
+ * - plantDied:           { key, plantType, cause: 'senescence' | 'rootDamage' | 'withered' | 'frost' }
+ * - stageChanged:        { key, plantType, from, to } (stages: 0 seedling, 1 vegetative, 2 flowering, 3 fruiting, 4 senescent)
+ * - pestSpawned:         { key, pestType, level, plantType } (plantType is null on bare soil)
+ * - pestRemoved:         { key, pestType, cause: 'ladybeetles' | 'microbes' | 'companion' | 'neem' | 'hostLost' }
+ *                        (companion removals also carry sourceKey and sourcePlantType of the plant aura)
+ * - weedSpread:          { key, fromKey, windDirection } (key is the newly infested square)
+ * - harvested:           { key, plantType, yield, value }
+ * - ollaEmpty:           { key }
+ * - ollaCracked:         { key } (a full Olla froze; it holds no water until replaced)
+ * - rainStarted:         { intensity, isStorm, hours } (intensity: moisture per hour on uncovered soil)
+ * - rainEnded:           { isStorm }
+ * - weatherEventForecast: { weatherType, startDay, endDay } (weatherType: one of WeatherEventTypes; days are whole simulated days)
+ * - weatherEventStarted:  { weatherType, startDay, endDay }
+ * - weatherEventEnded:    { weatherType, startDay, endDay }
+ */
+export const SimulationEvents = Object.freeze({
+    PLANT_DIED: 'plantDied',
+    STAGE_CHANGED: 'stageChanged',
+    PEST_SPAWNED: 'pestSpawned',
+    PEST_REMOVED: 'pestRemoved',
+    WEED_SPREAD: 'weedSpread',
+    HARVESTED: 'harvested',
+    OLLA_EMPTY: 'ollaEmpty',
+    OLLA_CRACKED: 'ollaCracked',
+    RAIN_STARTED: 'rainStarted',
+    RAIN_ENDED: 'rainEnded',
+    WEATHER_EVENT_FORECAST: 'weatherEventForecast',
+    WEATHER_EVENT_STARTED: 'weatherEventStarted',
+    WEATHER_EVENT_ENDED: 'weatherEventEnded'
+});
+
+/**
+ * Minimal synchronous event emitter.
+ * Handlers run in subscription order during emit(); an exception in one handler is logged
+ * and does not stop the simulation or the remaining handlers.
+ */
+export class EventBus {
+    /**
+     * Creates an event bus with no subscribers.
+     */
+    constructor() {
+        this.handlers = new Map(); // Event type (or '*') -> Set of handler functions
+    }
+
+    /**
+     * Subscribes to an event type.
+     * @param {string} type - Event name from SimulationEvents, or '*' for every event.
+     * @param {function(object): void} handler - Called with the event payload.
+     * @returns {function(): void} Function that removes this subscription.
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Removes a subscription added with on().
+     * @param {string} type - Event name or '*'.
+     * @param {function(object): void} handler - The handler to remove.
+     */
+    off(type, handler) {
+        this.handlers.get(type)?.delete(handler);
+    }
+
+    /**
+     * Removes every subscription (e.g., when a headless run is finished).
+     */
+    clear() {
+        this.handlers.clear();
+    }
+
+    /**
+     * Delivers an event to the handlers of its type, then to '*' handlers.
+     * @param {string} type - Event name.
+     * @param {object} payload - Event data; `type` is added if missing.
+     */
+    emit(type, payload = {}) {
+        const event = { type, ...payload };
+        [this.handlers.get(type), this.handlers.get('*')].forEach(handlerSet => {
+            handlerSet?.forEach(handler => {
+                try {
+                    handler(event);
+                } catch (e) {
+                    console.error(`Error in '${type}' event handler:`, e);
+                }
+            });
+        });
+    }
+} // --- End EventBus Class ---
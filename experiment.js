@@ -0,0 +1,286 @@
+/**
+ * Imports the central configuration object, the headless engine, the event names, the Grid size check
+ * and the aura radius cache (reset by config overrides).
+ */
+import { SimulationConfig } from './config.js';
+import { Simulation } from './simulation.js';
+import { SimulationEvents } from './events.js';
+import { Grid } from './grid.js';
+import { clearAuraRadiusCache } from './auras.js';
+
+/**
+ * Headless experiments for the Gardening Grid Simulation.
+ * Runs a garden layout for a number of simulated days without any UI and measures the outcome
+ * (yield per crop, money, soil condition, plant deaths by cause, pest incidence), so config changes can be compared
+ * across many seeds. Has no browser or Node APIs; the command-line tools (batchRunner.js, parameterSweep.js) do the file I/O.
+ *
+ * A layout is a JSON object:
+ *   {
+ *     "cols": 15, "rows": 15,                          // Optional garden size (defaults: GRID_COLS/GRID_ROWS)
+ *     "structures": { "5,5": "Olla", "3,2": "Trellis" }, // Placed first (Olla, Trellis or Net)
+ *     "plants": { "3,3": "Tomato", "4,3": "Basil" },     // Planted after the structures
+ *     "actions": [{ "type": "add_compost", "key": "3,3" }], // Any Simulation actions, applied after planting
+ *     "daily": [{ "type": "water", "key": "5,5" }]     // Simulation actions applied at the start of every day
+ *   }
+ */
+
+/** When a run harvests ready plants (the `harvest` option of runExperiment()). */
+export const HarvestPolicies = Object.freeze({
+    DAILY: 'daily', // Mass harvest at the end of every simulated day (and at the end of the run)
+    END: 'end', // One mass harvest at the end of the run
+    NONE: 'none' // Never harvest; yield columns stay 0
+});
+
+const STRUCTURE_ACTIONS = { 'Olla': 'add_olla', 'Trellis': 'add_trellis', 'Net': 'add_net' };
+const DEATH_CAUSES = ['senescence', 'rootDamage', 'withered', 'frost']; // See SimulationEvents.PLANT_DIED
+
+/**
+ * Checks a layout and turns it into the actions that build it.
+ * @param {object} layout - Parsed layout (see the format above).
+ * @returns {{cols: number, rows: number, setup: object[], daily: object[]}} Garden size, the actions applied
+ * once after reset (structures, plants, then `actions`) and the actions applied every day.
+ * @throws {Error} If the layout is malformed (unknown plant or structure, square outside the garden, ...).
+ */
+export function parseLayout(layout) {
+    const Config = SimulationConfig;
+    if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+        throw new Error("Layout must be a JSON object.");
+    }
+    const cols = layout.cols ?? Config.GRID_COLS;
+    const rows = layout.rows ?? Config.GRID_ROWS;
+    if (!Grid.isValidSize(cols, rows)) {
+        throw new Error(`Layout size must be between ${Config.MIN_GRID_SIZE} and ${Config.MAX_GRID_SIZE} squares per side.`);
+    }
+    const grid = new Grid(cols, rows);
+    const checkKey = (key, where) => {
+        if (grid.indexOfKey(key) === -1) throw new Error(`Square "${key}" in ${where} is outside the ${cols}x${rows} garden.`);
+    };
+    const checkActions = (actions, where) => {
+        if (actions === undefined) return [];
+        if (!Array.isArray(actions) || !actions.every(action => typeof action?.type === 'string')) {
+            throw new Error(`"${where}" must be a list of actions with a type.`);
+        }
+        actions.forEach(action => { if (action.key !== undefined) checkKey(action.key, where); });
+        return actions.map(action => ({ ...action }));
+    };
+
+    const setup = [];
+    Object.entries(layout.structures ?? {}).forEach(([key, structureType]) => {
+        checkKey(key, 'structures');
+        if (!STRUCTURE_ACTIONS[structureType]) throw new Error(`Unknown structure "${structureType}" at ${key}.`);
+        setup.push({ type: STRUCTURE_ACTIONS[structureType], key });
+    });
+    Object.entries(layout.plants ?? {}).forEach(([key, plantType]) => {
+        checkKey(key, 'plants');
+        if (!Config.PLANT_PROPERTIES[plantType]) throw new Error(`Unknown plant "${plantType}" at ${key}.`);
+        setup.push({ type: 'plant', key, plantType });
+    });
+    setup.push(...checkActions(layout.actions, 'actions'));
+
+    return { cols, rows, setup, daily: checkActions(layout.daily, 'daily') };
+}
+
+/**
+ * Runs one garden headless and measures the outcome.
+ * The run is reproducible: the same layout, options and config always give the same result.
+ * @param {object} parsedLayout - Result of parseLayout().
+ * @param {object} options - Run settings.
+ * @param {number|string} options.seed - Seed of the garden.
+ * @param {number} options.days - Simulated days to run.
+ * @param {string} [options.climate='Temperate'] - Climate key (SimulationConfig.CLIMATE_PROPERTIES).
+ * @param {string} [options.tickMode] - One of TickModes (defaults to SimulationConfig.DEFAULT_TICK_MODE).
+ * @param {string} [options.harvest=HarvestPolicies.DAILY] - One of HarvestPolicies.
+ * @returns {object} Flat record of metrics (see getMetricColumns() for the numeric columns), plus the seed.
+ */
+export function runExperiment(parsedLayout, options) {
+    const Config = SimulationConfig;
+    const harvest = options.harvest ?? HarvestPolicies.DAILY;
+    const simulation = new Simulation({
+        seed: options.seed,
+        climate: options.climate ?? 'Temperate',
+        tickMode: options.tickMode,
+        cols: parsedLayout.cols,
+        rows: parsedLayout.rows
+    });
+
+    // --- Event Counters ---
+    const deaths = Object.fromEntries(DEATH_CAUSES.map(cause => [cause, 0]));
+    const pestSpawns = Object.fromEntries(Object.keys(Config.PEST_INFO).map(pestType => [pestType, 0]));
+    simulation.events.on(SimulationEvents.PLANT_DIED, event => { deaths[event.cause] = (deaths[event.cause] ?? 0) + 1; });
+    simulation.events.on(SimulationEvents.PEST_SPAWNED, event => { pestSpawns[event.pestType] = (pestSpawns[event.pestType] ?? 0) + 1; });
+    let harvestValue = 0;
+    simulation.events.on(SimulationEvents.HARVESTED, event => { harvestValue += event.value || 0; });
+
+    // --- Build the Layout ---
+    let failedSetupActions = 0;
+    parsedLayout.setup.forEach(action => {
+        if (!simulation.applyAction(action).success) failedSetupActions++; // E.g., planting on an Olla
+    });
+    const plantsPlanted = countPlants(simulation);
+
+    // --- Run ---
+    const stepMinutes = Config.FIXED_STEP_SIM_MINUTES;
+    const stepsPerDay = Math.round((24 * 60) / stepMinutes);
+    const totalSteps = Math.round(options.days * stepsPerDay);
+    let pestSquareSamples = 0; // Squares with pests, summed over the daily samples
+    let plantSquareSamples = 0; // Squares with plants, summed over the daily samples
+    for (let step = 0; step < totalSteps; step++) {
+        if (step % stepsPerDay === 0) {
+            parsedLayout.daily.forEach(action => simulation.applyAction(action));
+        }
+        simulation.step(stepMinutes);
+        if ((step + 1) % stepsPerDay === 0) {
+            // --- End of Day: Sample Pests, Harvest ---
+            simulation.squareState.forEach(sqInstance => {
+                if (sqInstance.plant) plantSquareSamples++;
+                if (sqInstance.variables.pests?.type) pestSquareSamples++;
+            });
+            if (harvest === HarvestPolicies.DAILY) simulation.applyAction({ type: 'mass_harvest' });
+        }
+    }
+    if (harvest !== HarvestPolicies.NONE) simulation.applyAction({ type: 'mass_harvest' });
+
+    // --- Metrics ---
+    const record = {
+        seed: simulation.random.seed,
+        money: simulation.playerMoney,
+        harvestValue,
+        totalYield: 0,
+        avgSoilCondition: averageSoilCondition(simulation), // At the end of the run
+        plantsPlanted,
+        plantsAlive: countPlants(simulation),
+        failedSetupActions,
+        // Share of squares (out of those with plants) with pests at the daily samples
+        pestIncidence: plantSquareSamples > 0 ? pestSquareSamples / plantSquareSamples : 0
+    };
+    Object.entries(pestSpawns).forEach(([pestType, count]) => { record[`pestSpawns_${pestType}`] = count; });
+    Object.entries(deaths).forEach(([cause, count]) => { record[`deaths_${cause}`] = count; });
+    Object.keys(Config.PLANT_PROPERTIES).forEach(plantType => {
+        record[`yield_${plantType}`] = simulation.harvestData[plantType]?.yield || 0;
+        record.totalYield += record[`yield_${plantType}`];
+    });
+    simulation.events.clear();
+    return record;
+} // End runExperiment
+
+/**
+ * Counts the squares with a living plant.
+ * @param {Simulation} simulation - The simulation to count in.
+ * @returns {number} Number of plants.
+ */
+function countPlants(simulation) {
+    let count = 0;
+    simulation.squareState.forEach(sqInstance => { if (sqInstance.plant) count++; });
+    return count;
+}
+
+/**
+ * Averages the soil condition over all squares.
+ * @param {Simulation} simulation - The simulation to measure.
+ * @returns {number} Mean soil condition (0-100).
+ */
+function averageSoilCondition(simulation) {
+    let total = 0;
+    simulation.squareState.forEach(sqInstance => { total += sqInstance.soil?.soilCondition || 0; });
+    return simulation.squareState.size > 0 ? total / simulation.squareState.size : 0;
+}
+
+/**
+ * Returns the numeric metric columns of run records, in output order.
+ * @param {object[]} runs - Records from runExperiment().
+ * @returns {string[]} Column names (every numeric field except the seed).
+ */
+export function getMetricColumns(runs) {
+    const columns = [];
+    runs.forEach(run => Object.entries(run).forEach(([column, value]) => {
+        if (column !== 'seed' && typeof value === 'number' && !columns.includes(column)) columns.push(column);
+    }));
+    return columns;
+}
+
+/**
+ * Aggregates run records into per-metric statistics.
+ * @param {object[]} runs - Records from runExperiment().
+ * @returns {object} Metric name -> { mean, sd, min, median, max, n } (sd is the sample standard deviation).
+ */
+export function summarizeRuns(runs) {
+    const summary = {};
+    getMetricColumns(runs).forEach(column => {
+        const values = runs.map(run => run[column]).filter(Number.isFinite).sort((a, b) => a - b);
+        const n = values.length;
+        const mean = n > 0 ? values.reduce((sum, value) => sum + value, 0) / n : 0;
+        const variance = n > 1 ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1) : 0;
+        const middle = Math.floor(n / 2);
+        summary[column] = {
+            mean,
+            sd: Math.sqrt(variance),
+            min: n > 0 ? values[0] : 0,
+            median: n === 0 ? 0 : (n % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2),
+            max: n > 0 ? values[n - 1] : 0,
+            n
+        };
+    });
+    return summary;
+}
+
+/**
+ * Finds the object holding a config value addressed by a dotted path (e.g., "RATES.pestSpawnBaseChance").
+ * @param {string} path - Dotted path below SimulationConfig.
+ * @returns {{parent: object, name: string}} The containing object and the property name.
+ * @throws {Error} If the path does not exist.
+ */
+function resolveConfigPath(path) {
+    const parts = String(path).split('.');
+    const name = parts.pop();
+    const parent = parts.reduce((object, part) => (object && typeof object === 'object' ? object[part] : undefined), SimulationConfig);
+    if (!parent || typeof parent !== 'object' || !(name in parent)) {
+        throw new Error(`Unknown config setting: ${path}`);
+    }
+    return { parent, name };
+}
+
+/**
+ * Reads a config value by dotted path.
+ * @param {string} path - Dotted path below SimulationConfig (e.g., "THRESHOLDS.ollaMaxWater").
+ * @returns {*} The current value.
+ * @throws {Error} If the path does not exist.
+ */
+export function getConfigValue(path) {
+    const { parent, name } = resolveConfigPath(path);
+    return parent[name];
+}
+
+/**
+ * Sets config values by dotted path (e.g., "RATES.pestSpawnBaseChance"), for balance experiments.
+ * @param {object} overrides - Path -> new value. Every path must already exist in SimulationConfig.
+ * @returns {function(): void} Function that restores the previous values.
+ * @throws {Error} If a path does not exist (nothing is changed then).
+ */
+export function applyConfigOverrides(overrides) {
+    const targets = Object.entries(overrides).map(([path, value]) => {
+        const { parent, name } = resolveConfigPath(path);
+        return { parent, name, value, previous: parent[name] };
+    });
+    targets.forEach(target => { target.parent[target.name] = target.value; });
+    clearAuraRadiusCache(); // An override may change aura radii
+    return () => {
+        targets.reverse().forEach(target => { target.parent[target.name] = target.previous; });
+        clearAuraRadiusCache();
+    };
+}
+
+/**
+ * Formats rows as CSV (comma-separated, quoted where needed, header line first).
+ * @param {object[]} rows - Objects to write, one line each.
+ * @param {string[]} columns - Keys to write, in order (also the header).
+ * @returns {string} CSV text ending with a newline.
+ */
+export function toCSV(rows, columns) {
+    const escape = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(cells => cells.map(escape).join(','))
+        .join('\n') + '\n';
+}
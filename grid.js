@@ -0,0 +1,169 @@
+/**
+ * Imports the central configuration object (grid size limits).
+ */
+import { SimulationConfig } from './config.js';
+
+/**
+ * Grid topology for the Gardening Grid Simulation.
+ * Maps square keys ("x,y") to integer indices (index = y * cols + x) and precomputes neighbor lists,
+ * so per-tick code never parses keys or rebuilds neighbor arrays.
+ * Neighbor lists have the same shape and order as getNeighbors() in utils.js.
+ * Lists are frozen and shared; callers must not modify them.
+ */
+export class Grid {
+    /**
+     * Builds the topology for a grid and precomputes the neighbor lists used every tick
+     * (radius 1 with and without diagonals, radius 2 with diagonals).
+     * @param {number} cols - Number of columns.
+     * @param {number} rows - Number of rows.
+     */
+    constructor(cols, rows) {
+        this.cols = cols;
+        this.rows = rows;
+        this.size = cols * rows;
+
+        // --- Index <-> Key Lookup ---
+        this.keys = new Array(this.size); // Index -> "x,y"
+        this.indexByKey = new Map(); // "x,y" -> index
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                const index = y * cols + x;
+                const key = `${x},${y}`;
+                this.keys[index] = key;
+                this.indexByKey.set(key, index);
+            }
+        }
+
+        // --- Neighbor Tables ---
+        // "diagonals:radius" -> { indices: Array<number[]>, keys: Array<string[]> }, one list per square
+        this.neighborTables = new Map();
+        this._getNeighborTable(true, 1);
+        this._getNeighborTable(false, 1);
+        this._getNeighborTable(true, 2);
+    } // End constructor
+
+    /**
+     * Checks whether dimensions are whole numbers within SimulationConfig.MIN_GRID_SIZE and MAX_GRID_SIZE.
+     * @param {number} cols - Number of columns.
+     * @param {number} rows - Number of rows.
+     * @returns {boolean} True if a garden of this size is allowed.
+     */
+    static isValidSize(cols, rows) {
+        const { MIN_GRID_SIZE, MAX_GRID_SIZE } = SimulationConfig;
+        return [cols, rows].every(n => Number.isInteger(n) && n >= MIN_GRID_SIZE && n <= MAX_GRID_SIZE);
+    }
+
+    /**
+     * Returns the index of a coordinate.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     * @returns {number} The index, or -1 if the coordinate is outside the grid.
+     */
+    indexOf(x, y) {
+        return (x >= 0 && x < this.cols && y >= 0 && y < this.rows) ? y * this.cols + x : -1;
+    }
+
+    /**
+     * Returns the index of a square key.
+     * @param {string} key - Square key "x,y".
+     * @returns {number} The index, or -1 if the key is not on the grid.
+     */
+    indexOfKey(key) {
+        return this.indexByKey.get(key) ?? -1;
+    }
+
+    /**
+     * Returns the key of an index.
+     * @param {number} index - Square index.
+     * @returns {string | undefined} Square key "x,y".
+     */
+    keyOf(index) {
+        return this.keys[index];
+    }
+
+    /** @param {number} index - Square index. @returns {number} Column of the square. */
+    xOf(index) {
+        return index % this.cols;
+    }
+
+    /** @param {number} index - Square index. @returns {number} Row of the square. */
+    yOf(index) {
+        return Math.floor(index / this.cols);
+    }
+
+    /**
+     * Returns the indices of a square's neighbors (the square itself excluded).
+     * @param {number} index - Square index.
+     * @param {boolean} [includeDiagonals=false] - Whether diagonal neighbors count at radius 1.
+     * @param {number} [radius=1] - Reach in squares (Euclidean, like getNeighbors()).
+     * @returns {number[]} Frozen list of neighbor indices.
+     */
+    getNeighborIndices(index, includeDiagonals = false, radius = 1) {
+        return this._getNeighborTable(includeDiagonals, radius).indices[index] ?? [];
+    }
+
+    /**
+     * Returns the keys of a square's neighbors (the square itself excluded).
+     * @param {number} index - Square index.
+     * @param {boolean} [includeDiagonals=false] - Whether diagonal neighbors count at radius 1.
+     * @param {number} [radius=1] - Reach in squares (Euclidean, like getNeighbors()).
+     * @returns {string[]} Frozen list of neighbor keys.
+     */
+    getNeighborKeys(index, includeDiagonals = false, radius = 1) {
+        return this._getNeighborTable(includeDiagonals, radius).keys[index] ?? [];
+    }
+
+    /**
+     * Returns the indices of the squares at exactly one radius step further out than radius - 1
+     * (e.g., radius 2 gives the ring around the radius-1 neighbors, as used by Olla watering).
+     * @param {number} index - Square index.
+     * @param {number} radius - Outer radius of the ring (>= 2).
+     * @returns {number[]} Frozen list of ring indices.
+     */
+    getRingIndices(index, radius) {
+        const table = this._getNeighborTable(true, radius);
+        if (!table.rings) {
+            // Built on first use per radius, then cached with the table
+            table.rings = table.indices.map((outer, i) => {
+                const inner = new Set(this._getNeighborTable(true, radius - 1).indices[i]);
+                return Object.freeze(outer.filter(n => !inner.has(n)));
+            });
+        }
+        return table.rings[index] ?? [];
+    }
+
+    /**
+     * Returns (building and caching on first use) the neighbor lists for every square.
+     * @private
+     * @param {boolean} includeDiagonals - Whether diagonal neighbors count at radius 1.
+     * @param {number} radius - Reach in squares.
+     * @returns {{indices: Array<number[]>, keys: Array<string[]>}} Neighbor lists by square index.
+     */
+    _getNeighborTable(includeDiagonals, radius) {
+        const tableKey = `${includeDiagonals}:${radius}`;
+        let table = this.neighborTables.get(tableKey);
+        if (table) return table;
+
+        table = { indices: new Array(this.size), keys: new Array(this.size) };
+        for (let index = 0; index < this.size; index++) {
+            const x = this.xOf(index);
+            const y = this.yOf(index);
+            const neighborIndices = [];
+            // Same iteration order and rules as getNeighbors(), so random picks stay reproducible
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (dx === 0 && dy === 0) continue;
+                    if (!includeDiagonals && dx !== 0 && dy !== 0 && radius === 1) continue;
+                    const neighborIndex = this.indexOf(x + dx, y + dy);
+                    if (neighborIndex !== -1 && dx * dx + dy * dy <= radius * radius) {
+                        neighborIndices.push(neighborIndex);
+                    }
+                }
+            }
+            table.indices[index] = Object.freeze(neighborIndices);
+            table.keys[index] = Object.freeze(neighborIndices.map(n => this.keys[n]));
+        }
+        this.neighborTables.set(tableKey, table);
+        return table;
+    }
+} // --- End Grid Class ---
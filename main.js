@@ -1,19 +1,19 @@
 /**
  * Main script for the Gardening Grid Simulation.
- * Imports necessary modules, sets up the simulation state,
- * runs the main simulation loop, handles user interactions,
- * and initializes the application.
+ * Thin browser adapter around the headless Simulation engine, which runs with its loop in a Web Worker:
+ * translates user interactions into requests to the worker, and renders the state diffs it sends
+ * (kept in SimulationClient's mirror simulation) via UIManager.
  */
 
 // --- Module Imports ---
 import { SimulationConfig } from './config.js';
-import { Square } from './square.js';
-// Plant, Soil, Structure classes are used implicitly via Square, but import if direct access needed
-// import { Plant } from './plant.js';
-// import { Soil } from './soil.js';
-// import { Structure } from './structure.js';
+import { SimulationClient } from './simulationClient.js'; // Engine in a Web Worker, mirrored on this thread
+import { HostRequests, SkipStopConditions } from './simulationHost.js';
+import { Grid } from './grid.js'; // Garden size limits
 import { UIManager } from './uiManager.js';
-import { clamp, getNeighbors } from './utils.js'; // getNeighbors might be needed globally? Check usage.
+import { writeLocalSave, readLocalSave, downloadSaveGame, readSaveFile, downloadJSONFile } from './saveGame.js';
+import { SaveSlotStore } from './saveSlots.js';
+import { EventLog, formatSimTimestamp } from './eventLog.js';
 
 // --- Wait for DOM to Load ---
 document.addEventListener('DOMContentLoaded', () => {
@@ -22,34 +22,25 @@ document.addEventListener('DOMContentLoaded', () => {
     // SECTION 3: APPLICATION STATE VARIABLES (Global Scope for main.js)
     // =============================================
 
-    const squareState = new Map(); // Holds Square instances { key: "x,y", value: Square }
+    // --- Simulation Engine ---
+    // The worker owns all garden, weather and money state plus the loop, undo history and replays;
+    // `simulation` is the client's read-only mirror of it (changes go through client.request())
+    const client = new SimulationClient();
+    const simulation = client.simulation;
+    const eventLog = new EventLog(); // Human-readable log of simulation events (delivered with every message)
+    let renderedEventLogVersion = -1; // EventLog.version last shown in the log panel
+
+    // --- UI / Loop State ---
     let currentMode = 'water'; // Default interaction mode
-    let mainIntervalId = null; // ID for the main simulation interval timer
-    let simulationSpeed = 1; // Speed multiplier (1x, 2x, 3x, 4x)
-    let isPaused = false; // Simulation pause state
-
-    // --- Weather / Time State ---
-    let currentClimate = "Temperate"; // Default climate
-    let ambientTemperature = 20; // Current global temperature
-    let currentHumidity = 60; // Current global humidity
-    let currentWindSpeed = 0; // Current global wind speed
-    let currentWindDirection = 'None'; // Current wind direction ('N', 'E', 'S', 'W', 'None')
-    let isPollinated = false; // Global flag if pollination conditions met (wind/bee activity)
-    let simulatedTimeOfDay = 6 * 60; // Start at 6:00 AM (minutes past midnight)
-    let simulatedDaysElapsed = 0; // Total simulated days passed (can be fractional)
-    let lastWindChangeDay = -1; // Tracks the last day wind direction changed
-
-    // --- Game State ---
-    let tickCounter = 0; // Counts simulation ticks
-    let lastTickTimestamp = Date.now(); // Timestamp of the last tick for delta time calculation
-    let harvestData = {}; // Stores cumulative harvest { plantType: { yield: number, price: number } }
-    let beneficialAttractionLevel = 0; // Global level attracting beneficial insects
-    let playerMoney = SimulationConfig.STARTING_MONEY; // Player's currency
-    // Initial Bee Position (will be randomized in initializeGrid)
-    let beePosition = {
-        x: Math.floor(SimulationConfig.GRID_COLS / 2),
-        y: Math.floor(SimulationConfig.GRID_ROWS / 2)
-    };
+    let simulationSpeed = 1; // Speed multiplier (SimulationConfig.SPEED_STEPS), as last reported by the worker
+    let isPaused = false; // Simulation pause state, as last reported by the worker
+    let isReplaying = false; // True while the worker plays back a replay
+    let isSkipping = false; // True while a skip ahead runs (no per-tick updates meanwhile)
+
+    // --- Save Slots / Autosave State ---
+    const slotStore = new SaveSlotStore(); // Named slots and autosave history in localStorage
+    let autosaveIntervalDays = SimulationConfig.AUTOSAVE_INTERVAL_DAYS; // 0 disables autosave
+    let lastAutosaveDay = 0; // Simulated day of the last autosave (or of the reset/load)
 
     // --- UI Manager Instance ---
     // Needs to be declared here to be accessible by initialization and event handlers
@@ -57,234 +48,229 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
     // =============================================
-    // SECTION 6: SIMULATION LOGIC FUNCTIONS
+    // SECTION 6: SIMULATION UPDATES (from the worker)
     // =============================================
 
     /**
-     * Resets and potentially restarts the main simulation interval timer
-     * based on the current simulation speed and pause state.
+     * Builds the global state object expected by UIManager.updateAllVisuals from the simulation.
+     * @returns {object} Global display state.
      */
-    function resetInterval() {
-        if (mainIntervalId) {
-            clearInterval(mainIntervalId); // Clear existing interval if any
-            mainIntervalId = null;
-        }
-        // Start new interval only if not paused
-        if (!isPaused) {
-            // Calculate interval duration based on base time and speed multiplier
-            const newIntervalMs = (SimulationConfig.BASE_UPDATE_INTERVAL_MS || 1000) / simulationSpeed;
-            lastTickTimestamp = Date.now(); // Reset timestamp for accurate delta time on first tick
-            // Set up the interval to call updateAllSquares repeatedly
-            mainIntervalId = setInterval(updateAllSquares, newIntervalMs);
-            // console.log(`Interval set to ${newIntervalMs}ms for ${simulationSpeed}x speed.`); // DEBUG
-        }
+    function getVisualState() {
+        const state = simulation.getState();
+        return {
+            ambientTemperature: state.ambientTemperature,
+            currentHumidity: state.currentHumidity,
+            currentWindSpeed: state.currentWindSpeed,
+            currentWindDirection: state.currentWindDirection,
+            rainIntensity: state.rainIntensity,
+            isStorm: state.isStorm,
+            weatherEvents: state.weatherEvents,
+            forecast: state.forecast,
+            isPollinated: state.isPollinated,
+            simulatedTimeOfDay: state.simulatedTimeOfDay,
+            playerMoney: state.playerMoney,
+            beePosition: state.beePosition,
+            seed: state.seed,
+            tickCounter: state.tickCounter,
+            simulatedDaysElapsed: state.simulatedDaysElapsed,
+            currentClimate: state.currentClimate
+        };
     }
 
     /**
-     * Updates the global weather state (temperature, humidity, wind, pollination)
-     * based on climate, time of day, and simulation events (evaporation). (Instruction H)
-     * @param {number} totalEvaporation - Total evaporation from all squares in the last tick.
-     * @param {number} elapsedSimMinutes - Simulated minutes passed since the last tick.
+     * Refreshes the hover box content if a square is currently hovered. (Instruction I.1)
      */
-    function updateWeather(totalEvaporation, elapsedSimMinutes) {
-        const Config = SimulationConfig;
-        const climateProps = Config.CLIMATE_PROPERTIES[currentClimate];
-        if (!climateProps) {
-             console.error(`Invalid climate selected: ${currentClimate}`);
-             return; // Cannot update weather without valid climate properties
-        }
-
-        // --- Update Simulated Time ---
-        simulatedTimeOfDay = (simulatedTimeOfDay + elapsedSimMinutes) % (24 * 60); // Wrap around 24 hours
-
-        // --- Update Wind Direction (Instruction H.1 & H.2) ---
-        const currentSimDay = Math.floor(simulatedDaysElapsed); // Integer part of days elapsed
-        // Check if enough days have passed since the last change
-        if (currentSimDay > lastWindChangeDay && currentSimDay % (Config.WIND_DIRECTION_CHANGE_INTERVAL_DAYS || 3) === 0) {
-            const directions = ['N', 'E', 'S', 'W', 'None', 'None']; // Possible directions (None is twice as likely)
-            currentWindDirection = directions[Math.floor(Math.random() * directions.length)];
-            lastWindChangeDay = currentSimDay; // Record the day of the change
-            // console.log(`Wind direction changed to: ${currentWindDirection} on day ${Math.round(currentSimDay)}`); // DEBUG
-        }
-
-        // --- Update Temperature ---
-        // Base temperature follows a sinusoidal daily cycle based on climate range
-        const timeFraction = simulatedTimeOfDay / (24 * 60); // Fraction of the day (0-1)
-        const tempAmplitude = (climateProps.tempRange[1] - climateProps.tempRange[0]) / 2;
-        const tempAverage = (climateProps.tempRange[1] + climateProps.tempRange[0]) / 2;
-        // Sine wave peaks around 2-3 PM (adjust phase shift: -0.25 shifts peak from noon to ~3pm)
-        const baseTemperature = tempAverage + tempAmplitude * Math.sin((timeFraction - 0.25) * 2 * Math.PI);
-        // Add random fluctuation
-        const fluctuation = (Math.random() - 0.5) * 2 * (Config.TEMP_FLUCTUATION_AMOUNT || 0);
-        ambientTemperature = baseTemperature + fluctuation;
-        // TODO: Add clamping based on absolute min/max possible temps?
-
-        // --- Update Wind Speed ---
-        // Recalculated periodically based on climate chance and range
-        if (tickCounter % (Config.WIND_UPDATE_INTERVAL_TICKS || 5) === 0) {
-            if (Math.random() < (climateProps.windChance || 0)) { // Chance for wind to occur
-                const windMin = climateProps.windSpeedRange[0];
-                const windMax = climateProps.windSpeedRange[1];
-                currentWindSpeed = windMin + Math.random() * (windMax - windMin); // Random speed within range
-            } else {
-                currentWindSpeed = 0; // No wind this interval
-            }
+    function refreshHoverBox() {
+        if (!uiManager || !uiManager.currentlyHoveredKey) return;
+        const currentHoveredSquare = simulation.squareState.get(uiManager.currentlyHoveredKey);
+        if (currentHoveredSquare) {
+             try {
+                 // Update innerHTML directly - UIManager's showHoverBox handles initial display & positioning
+                 uiManager.hoverInfoBox.innerHTML = uiManager.formatHoverInfo(currentHoveredSquare);
+             } catch (e) {
+                 console.error("Error formatting hover info during update:", e, currentHoveredSquare);
+                 uiManager.hoverInfoBox.textContent = "Error refreshing details"; // Fallback error message
+             }
+        } else {
+             // Hide box if the state for the hovered key somehow became invalid
+             uiManager.hideHoverBox();
         }
-
-        // --- Update Humidity ---
-        let humidityChange = 0;
-        // Increase humidity from grid evaporation
-        humidityChange += totalEvaporation * (Config.RATES.evaporationHumidityGain || 0);
-        // Decrease humidity based on wind speed
-        humidityChange -= currentWindSpeed * (Config.RATES.windHumidityLoss || 0);
-        // Nudge humidity towards the climate average
-        const humidityDiff = (climateProps.humidityAvg || 60) - currentHumidity;
-        humidityChange += humidityDiff * 0.05; // Slow adjustment towards average
-        currentHumidity = clamp(currentHumidity + humidityChange, 0, 100); // Apply change and clamp
-
-        // --- Update Pollination Status ---
-        // Based on wind speed, potentially reduced by bee activity (beneficial level)
-        const beeLevelFactor = clamp(beneficialAttractionLevel / 10, 0, 1); // Factor 0-1 based on attraction
-        const beeWindReduction = beeLevelFactor * (Config.RATES.beePollinationWindReduction || 0);
-        // Pollination happens if wind is strong enough (considering bee help)
-        isPollinated = currentWindSpeed >= (Config.THRESHOLDS.pollinationWindThreshold - beeWindReduction);
     }
 
     /**
-     * Updates the position of the bee visual, biased towards attractive plants.
+     * Handles every message from the simulation worker, after its state diff has been applied to the mirror.
+     * Tick updates refresh the whole garden; responses to requests are refreshed by the code that sent them.
+     * @param {object} message - Update or response message (see SimulationHost).
+     * @param {boolean} gridReplaced - True if the whole garden was replaced (reset, load, replay start, resize).
      */
-    function updateBee() {
-        // Ensure grid isn't empty
-        if (squareState.size === 0) return;
-
-        const currentKey = `${beePosition.x},${beePosition.y}`;
-        const neighbors = getNeighbors(beePosition.x, beePosition.y, true, 1); // Check adjacent squares
-        let preferredNeighbors = []; // Neighbors with attractive plants
-        let nonPreferredNeighbors = []; // Other neighbors
-
-        // Categorize neighbors
-        neighbors.forEach(nKey => {
-            const nState = squareState.get(nKey);
-            const plant = nState?.plant;
-            // Check if plant exists, attracts beneficials, and is mature enough
-            if (plant && plant.properties?.attractsBeneficials && (plant.maturityProgress || 0) >= Config.THRESHOLDS.plantMaturityForBeneficials) {
-                preferredNeighbors.push(nKey);
-            } else {
-                nonPreferredNeighbors.push(nKey);
-            }
-        });
+    function handleEngineMessage(message, gridReplaced) {
+        // --- 1. Log Events and Mirror the Loop State ---
+        message.events.forEach(event => eventLog.add(event));
+        syncLoopControls(message.loop);
+        const replayActions = message.replayActions || [];
+        if (replayActions.some(action => action.type === 'set_climate' || action.type === 'set_tick_mode')) {
+            syncSettingSelects();
+        }
 
-        let nextKey = null;
-        // High chance (e.g., 70%) to move to a preferred neighbor if available
-        if (preferredNeighbors.length > 0 && Math.random() < 0.7) {
-            nextKey = preferredNeighbors[Math.floor(Math.random() * preferredNeighbors.length)];
-        } else if (neighbors.length > 0) {
-             // Otherwise, move to any random neighbor (including non-preferred)
-             // This prevents bee getting stuck if no attractive plants nearby
-            nextKey = neighbors[Math.floor(Math.random() * neighbors.length)];
+        // --- 2. Update UI Layer ---
+        if (gridReplaced) {
+            buildGridView(uiManager); // New squares need new DOM elements
+        } else if (message.type === 'update') {
+            uiManager?.updateAllVisuals(simulation.squareState, getVisualState());
+            if (replayActions.length > 0) uiManager?.updateHarvestTable(simulation.harvestData); // E.g., replayed harvests
+            refreshHoverBox();
+            refreshEventLog();
         }
-        // If no neighbors somehow, stay put (nextKey remains null)
 
-        // Update bee position if a valid next key was chosen
-        if (nextKey) {
-            const [nextX, nextY] = nextKey.split(',').map(Number);
-            beePosition.x = nextX;
-            beePosition.y = nextY;
+        // --- 3. Breakpoint Hit (the worker has paused the loop) ---
+        if (message.breakpoint) {
+            const timestamp = formatSimTimestamp(simulation.simulatedDaysElapsed, simulation.simulatedTimeOfDay);
+            uiManager?.showBreakpointHit(`Paused ${timestamp}: ${message.breakpoint.text}`);
+            if (message.breakpoint.key) uiManager?.highlightSquare(simulation.squareState.get(message.breakpoint.key));
         }
-        // If bee is on a square with no neighbors (e.g., 1x1 grid?), it stays put.
-    }
 
+        // --- 4. Autosave ---
+        if (message.type === 'update') autosaveIfDue();
+    } // --- End handleEngineMessage ---
 
     /**
-     * The main simulation loop function, called by the interval timer.
-     * Updates the state of every square and the global simulation environment.
-     * (Instruction I)
+     * Shows the worker's speed, pause and replay state on the controls.
+     * @param {{speed: number, isPaused: boolean, replayProgress: number | null}} loop - Loop state from the worker.
      */
-    function updateAllSquares() {
-        // --- 1. Calculate Time Delta ---
-        const now = Date.now();
-        const elapsedRealMs = now - lastTickTimestamp;
-        lastTickTimestamp = now;
-        // Calculate elapsed simulated time based on real time and speed multiplier
-        const elapsedSimSeconds = (elapsedRealMs / 1000) * simulationSpeed;
-        const elapsedSimMinutes = elapsedSimSeconds * ((24 * 60) / (SimulationConfig.SIMULATED_DAY_LENGTH_SECONDS || 20));
-
-        tickCounter++;
-        simulatedDaysElapsed += elapsedSimMinutes / (24 * 60); // Accumulate fractional days (Instruction I.2)
-
-        // --- 2. Initialize Tick Aggregators ---
-        let totalGridEvaporation = 0;
-        let currentBeneficialAttraction = 0; // Reset attraction gain each tick
-
-        // --- 3. Create Global State Object for Passing ---
-        // Bundles global variables needed by Square update methods
-        const globalState = {
-             currentHumidity: currentHumidity,
-             currentWindSpeed: currentWindSpeed,
-             currentWindDirection: currentWindDirection,
-             isPollinated: isPollinated,
-             beneficialAttractionLevel: beneficialAttractionLevel,
-             beePosition: beePosition
-             // Add other global vars needed by Square methods here
-        };
+    function syncLoopControls(loop) {
+        if (loop.speed !== simulationSpeed) {
+            simulationSpeed = loop.speed; // Changed by a replay or a speed button
+            uiManager?.updateSpeedButtonStyles(simulationSpeed);
+        }
+        if (loop.isPaused !== isPaused) {
+            isPaused = loop.isPaused;
+            uiManager?.updatePauseButton(isPaused);
+        }
+        const wasReplaying = isReplaying;
+        isReplaying = loop.replayProgress !== null;
+        if (isReplaying || wasReplaying) {
+            uiManager?.updateReplayStatus(loop.replayProgress);
+        }
+    }
 
-        // --- 4. Update Each Square's State ---
-        squareState.forEach(squareInstance => {
-            // 4a. Environment affects Square/Soil (needs squareState for neighbor checks)
-            const evaporated = squareInstance.updateEnvironment(ambientTemperature, currentHumidity, currentWindSpeed, squareState);
-            totalGridEvaporation += evaporated;
+    /**
+     * Sets the climate and tick mode dropdowns to the simulation's current values (after loading, replays, etc.).
+     */
+    function syncSettingSelects() {
+        if (uiManager?.climateSelect) uiManager.climateSelect.value = simulation.currentClimate;
+        if (uiManager?.tickModeSelect) uiManager.tickModeSelect.value = simulation.tickMode;
+    }
 
-            // 4b. Square updates its internal Entities (Plant, Structure)
-            // Pass elapsed time, squareState map, and global state object
-            squareInstance.updateEntities(elapsedSimMinutes, squareState, globalState);
+    /**
+     * Re-renders the garden log panel if entries were added or the filters changed.
+     * @param {boolean} [force=false] - Re-render even if no entries were added (filter change).
+     */
+    function refreshEventLog(force = false) {
+        if (!uiManager || (!force && eventLog.version === renderedEventLogVersion)) return;
+        renderedEventLogVersion = eventLog.version;
+        uiManager.renderEventLog(eventLog.filter({
+            category: uiManager.eventLogCategorySelect?.value || '',
+            key: uiManager.eventLogSquareInput?.value.replace(/\s/g, '') || ''
+        }));
+    }
 
-            // 4c. Square updates its own processes (Weeds, Pests)
-            squareInstance.updateWeeds(squareState, globalState);
-            squareInstance.updatePests(squareState, globalState);
+    /**
+     * Ends replay playback, leaving the garden in its current state, and resumes normal play and recording.
+     */
+    async function stopReplay() {
+        await requestOrReport(HostRequests.STOP_REPLAY);
+    }
 
-            // 4d. Accumulate effects originating from square
-            // Check if plant attracts beneficials and is mature enough
-            if (squareInstance.plant?.properties?.attractsBeneficials && (squareInstance.plant.maturityProgress || 0) >= SimulationConfig.THRESHOLDS.plantMaturityForBeneficials) {
-                currentBeneficialAttraction += SimulationConfig.RATES.beneficialAttractionGain || 0;
-            }
+    /**
+     * Starts playing back a replay from its recorded start state.
+     * @param {object} replay - Parsed replay object.
+     */
+    async function startReplay(replay) {
+        try {
+            await client.request(HostRequests.START_REPLAY, { replay });
+        } catch (e) {
+            console.error("Error starting replay:", e);
+            alert(`Could not play replay: ${e.message}`);
+            return;
+        }
+        eventLog.clear();
+        syncSettingSelects();
+        lastAutosaveDay = Math.floor(simulation.simulatedDaysElapsed);
+        refreshEventLog(true);
+    }
 
-            // 4e. Final internal updates for the square
-            squareInstance.soil.updateDerivedVariables(); // Ensure scores are up-to-date after all changes
-            squareInstance.updateDisplayText(); // Update text cache for hover box
-        });
+    /**
+     * Sends a request to the worker and reports a failure (invalid value, worker error) to the player
+     * instead of leaving an unhandled rejection.
+     * @param {string} type - One of HostRequests.
+     * @param {object} [payload={}] - Request data.
+     * @returns {Promise<* | undefined>} The response value, or undefined if the request failed.
+     */
+    async function requestOrReport(type, payload = {}) {
+        try {
+            return await client.request(type, payload);
+        } catch (e) {
+            console.error(`Simulation request "${type}" failed:`, e);
+            alert(`The simulation could not do this: ${e.message}`);
+            return undefined;
+        }
+    }
 
-        // --- 5. Update Global Simulation State ---
-        updateWeather(totalGridEvaporation, elapsedSimMinutes); // Update temp, humidity, wind based on tick results
-        updateBee(); // Move the bee
-        // Apply beneficial attraction gain and decay
-        beneficialAttractionLevel = Math.max(0, beneficialAttractionLevel * (SimulationConfig.RATES.beneficialDecay || 1) + currentBeneficialAttraction);
-
-        // --- 6. Update UI Layer ---
-        // Pass necessary global state components to the UI manager
-        if (uiManager) {
-             uiManager.updateAllVisuals(squareState, {
-                 ambientTemperature, currentHumidity, currentWindSpeed, currentWindDirection,
-                 isPollinated, simulatedTimeOfDay, playerMoney, beePosition
-             });
+    /**
+     * Sends a player action to the worker, which records it for replay (and for undo if it succeeds) and applies it.
+     * Player actions are disabled while a replay plays back.
+     * @param {object} action - The action (see Simulation.applyAction()).
+     * @returns {Promise<object>} The outcome returned by Simulation.applyAction(), once the mirror shows it
+     * (reason 'error' if the request failed).
+     */
+    async function performAction(action) {
+        const outcome = await requestOrReport(HostRequests.ACTION, { action }) ?? { success: false, updatedKeys: [], reason: 'error' };
+        if (outcome.reason === 'replay') {
+            uiManager?.showStatusMessage("Replay in progress: actions are disabled until it ends or is stopped.");
+        } else if (outcome.reason === 'skipping') {
+            uiManager?.showStatusMessage("Skipping ahead: actions are disabled until it ends or is cancelled.");
         }
+        return outcome;
+    }
 
-        // --- 7. Refresh Hover Box Content if Active (Instruction I.1) ---
-        if (uiManager && uiManager.currentlyHoveredKey) {
-            const currentHoveredSquare = squareState.get(uiManager.currentlyHoveredKey);
-            if (currentHoveredSquare) {
-                 try {
-                     // Update innerHTML directly - UIManager's showHoverBox handles initial display & positioning
-                     uiManager.hoverInfoBox.innerHTML = uiManager.formatHoverInfo(currentHoveredSquare);
-                 } catch (e) {
-                     console.error("Error formatting hover info during update:", e, currentHoveredSquare);
-                     uiManager.hoverInfoBox.textContent = "Error refreshing details"; // Fallback error message
-                 }
-            } else {
-                 // Hide box if the state for the hovered key somehow became invalid
-                 uiManager.hideHoverBox();
-            }
+    /**
+     * Writes an autosave when at least autosaveIntervalDays simulated days passed since the last one.
+     * Storage errors (e.g., quota exceeded) are logged and do not interrupt the simulation.
+     * @returns {Promise<void>} Resolves once the autosave is written (or was not due).
+     */
+    async function autosaveIfDue() {
+        if (autosaveIntervalDays <= 0) return;
+        const currentDay = Math.floor(simulation.simulatedDaysElapsed);
+        if (currentDay - lastAutosaveDay < autosaveIntervalDays) return;
+        lastAutosaveDay = currentDay;
+        try {
+            slotStore.writeAutosave(await client.request(HostRequests.CREATE_SAVE), createThumbnail());
+        } catch (e) {
+            console.warn("Autosave failed:", e);
+            return;
+        }
+        // Keep the slot manager current if it is open
+        if (uiManager?.slotManagerOverlay?.classList.contains('lightbox-visible')) {
+            renderSlotManager();
         }
-    } // --- End updateAllSquares ---
+    }
+
+    /**
+     * Refreshes the visuals affected by a player action and the money/shop displays.
+     * @param {object} outcome - Result object returned by Simulation.applyAction().
+     */
+    function refreshAfterAction(outcome) {
+        if (!uiManager) return;
+        outcome.updatedKeys.forEach(key => {
+            const sqInstance = simulation.squareState.get(key);
+            if (sqInstance) uiManager.updateSquareVisuals(sqInstance);
+        });
+        uiManager.updateHarvestTable(simulation.harvestData);
+        uiManager.moneyDisplay.textContent = `Money: $${simulation.playerMoney}`;
+        uiManager.updateShopButtons(simulation.playerMoney); // Re-check button states
+        uiManager.updateAverageGardenInfo(simulation.squareState);
+        refreshEventLog(); // Harvests and Neem are logged
+    }
 
 
     // =============================================
@@ -293,9 +279,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     /**
      * Handles clicks on grid squares, delegating actions based on the currentMode.
+     * The action is applied by the worker; the UI updates once the mirror includes its changes.
      * @param {Event} event - The click event object.
      */
-    function handleSquareClick(event) {
+    async function handleSquareClick(event) {
         if (!uiManager) return; // Need UI Manager to be initialized
 
         const targetSquareElement = event.target.closest('.square');
@@ -305,7 +292,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const x = parseInt(targetSquareElement.dataset.x);
         const y = parseInt(targetSquareElement.dataset.y);
         const clickedKey = `${x},${y}`;
-        const sqInstance = squareState.get(clickedKey);
+        const sqInstance = simulation.squareState.get(clickedKey);
         if (!sqInstance) {
              console.warn(`No square state found for key: ${clickedKey}`);
              return; // Should not happen if grid is initialized correctly
@@ -313,102 +300,30 @@ document.addEventListener('DOMContentLoaded', () => {
 
         uiManager.applyClickFeedback(targetSquareElement); // Visual feedback
 
-        let actionResult = null; // To potentially track results/updates needed
-        let moneySpent = 0;
-
-        // --- Perform action using Square methods ---
-        // Pass squareState map if the action method needs neighbor interaction
-        switch (currentMode) {
-            case 'plant':
-                actionResult = sqInstance.tryPlanting(uiManager.plantTypeSelect.value);
-                break;
-            case 'water':
-                actionResult = sqInstance.addWater(squareState); // Needs squareState for splash
-                break;
-            case 'add_compost':
-                actionResult = sqInstance.addAmendment('compost');
-                break;
-            case 'add_crh':
-                actionResult = sqInstance.addAmendment('crh');
-                break;
-            case 'add_sand':
-                actionResult = sqInstance.addAmendment('sand');
-                break;
-            case 'add_olla':
-                actionResult = sqInstance.tryAddingStructure('Olla', squareState); // Pass squareState
-                break;
-            case 'add_trellis':
-                actionResult = sqInstance.tryAddingStructure('Trellis', squareState); // Pass squareState
-                break;
-            case 'add_net':
-                actionResult = sqInstance.tryAddingStructure('Net', squareState); // Pass squareState
-                break;
-            case 'till':
-                actionResult = sqInstance.till(squareState); // Needs squareState for connections
-                break;
-            case 'apply_neem':
-                actionResult = sqInstance.applyNeem();
-                break;
-            case 'shop': // Special case for Soil Conditioner applied per square
-                const costSC = SimulationConfig.SHOP_COSTS.soilConditioner || 0;
-                if (playerMoney >= costSC) {
-                    moneySpent = costSC;
-                    actionResult = sqInstance.applySoilConditioner();
-                } else {
-                    console.log("Not enough money for Soil Conditioner!"); // User feedback
-                    actionResult = false;
-                }
-                break;
-            case 'harvest':
-                actionResult = sqInstance.harvestPlant(); // Returns {harvested, yield, value, type, reason}
-                if (actionResult?.harvested) {
-                    // Update harvest data
-                    if (!harvestData[actionResult.type]) { initializeHarvestData(); } // Ensure entry exists
-                    harvestData[actionResult.type].yield += actionResult.yield;
-                    // Update player money
-                    playerMoney += actionResult.value;
-                    // Update UI table via UIManager
-                    uiManager.updateHarvestTable(harvestData);
-                    uiManager.moneyDisplay.textContent = `Money: $${playerMoney}`;
-                } else {
-                     // console.log(`Harvest failed: ${actionResult?.reason}`); // DEBUG feedback handled in method
-                }
-                break;
-            case 'remove':
-                const removedType = sqInstance.removeEntity(squareState); // Needs squareState for connections
-                actionResult = !!removedType; // Action considered successful if something was removed
-                // console.log(removedType ? `Removed ${removedType}` : `Nothing removed at ${clickedKey}`); // DEBUG
-                break;
-            default:
-                 console.warn(`Unknown currentMode: ${currentMode}`);
-                 return; // Do nothing if mode is unrecognized
-        }
-
-        // --- Update State & UI After Action ---
-        if (moneySpent > 0) {
-            playerMoney -= moneySpent;
-            uiManager.moneyDisplay.textContent = `Money: $${playerMoney}`;
-            uiManager.updateShopButtons(playerMoney); // Re-check button states
+        // --- Build Action for the Simulation ---
+        const action = { type: currentMode, key: clickedKey };
+        if (currentMode === 'plant') {
+            action.plantType = uiManager.plantTypeSelect.value;
+        } else if (currentMode === 'add_trellis' || currentMode === 'add_net') {
+            // Ask before connecting to adjacent structures of the same type
+            const structureType = currentMode === 'add_trellis' ? 'Trellis' : 'Net';
+            if (!sqInstance.plant && !sqInstance.structure && simulation.hasAdjacentStructure(clickedKey, structureType)) {
+                action.connect = confirm(`Adjacent ${structureType} found. Connect them? (Cancel to place standalone)`);
+            }
         }
 
-        // Update visuals for the clicked square immediately
-        uiManager.updateSquareVisuals(sqInstance);
-        // Update average info display
-        uiManager.updateAverageGardenInfo(squareState);
-
-        // TODO: Handle updates for neighbor visuals if needed (e.g., after till, remove, add structure)
-        // The actionResult object could potentially contain keys of neighbors needing updates.
-        // The main loop could collect these keys and refresh them after the event handler finishes.
-        if (['till', 'remove', 'add_trellis', 'add_net', 'add_olla', 'add_water'].includes(currentMode) && actionResult) {
-             // Potentially signal that neighbors might need visual updates
-             // This logic would likely live in the main execution context, not here.
-             // console.log("Action might require neighbor visual updates."); // Placeholder
+        const outcome = await performAction(action);
+        if (action.type === 'shop' && outcome.reason === 'funds') {
+            uiManager.showStatusMessage("Not enough money for Soil Conditioner!");
         }
 
+        // --- Update UI After Action ---
+        refreshAfterAction(outcome);
 
-        // Update hover box immediately if it's the currently hovered one
-        if (uiManager.currentlyHoveredKey === clickedKey) {
-            uiManager.showHoverBox(sqInstance, event); // Re-render hover box content
+        // Update hover box immediately if it's the currently hovered one (the mirror holds a new instance)
+        const updatedInstance = simulation.squareState.get(clickedKey);
+        if (updatedInstance && uiManager.currentlyHoveredKey === clickedKey) {
+            uiManager.showHoverBox(updatedInstance, event); // Re-render hover box content
         }
     } // End handleSquareClick
 
@@ -418,7 +333,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const targetSquareElement = event.target.closest('.square');
         if (!targetSquareElement) return; // Ignore if not entering a square element
         const key = `${targetSquareElement.dataset.x},${targetSquareElement.dataset.y}`;
-        const state = squareState.get(key);
+        const state = simulation.squareState.get(key);
         if (state) {
              uiManager.showHoverBox(state, event); // Show hover box for this square
         }
@@ -441,6 +356,205 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    /**
+     * Loads a save object into the simulation; the worker's full-state response rebuilds the grid view.
+     * Errors (invalid file, unsupported version, wrong grid size) leave the current garden untouched.
+     * The worker clears undo history, ends any playback and restarts recording and timing.
+     * @param {object | null} save - Parsed save object, or null if nothing was found.
+     */
+    async function loadGame(save) {
+        if (!save) {
+            alert("No saved garden found in this browser.");
+            return;
+        }
+        try {
+            await client.request(HostRequests.LOAD_SAVE, { save });
+        } catch (e) {
+            console.error("Error loading saved garden:", e);
+            alert(`Could not load garden: ${e.message}`);
+            return;
+        }
+        syncSettingSelects();
+        lastAutosaveDay = Math.floor(simulation.simulatedDaysElapsed); // Next autosave counts from the loaded day
+        eventLog.clear();
+        refreshEventLog(true);
+    }
+
+    /**
+     * Handles Ctrl+Z (undo) and Ctrl+Shift+Z (redo) for player actions.
+     * Ignored while typing in a text field so the browser's own text undo keeps working.
+     * @param {KeyboardEvent} event - The keydown event object.
+     */
+    async function handleUndoRedoKey(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+        if (event.target.closest?.('input, textarea, select')) return;
+        event.preventDefault();
+        if (isReplaying) return; // Replay controls the garden
+
+        const entry = await requestOrReport(event.shiftKey ? HostRequests.REDO : HostRequests.UNDO);
+        if (!entry) return; // Nothing to undo/redo (or the request failed)
+        uiManager?.showStatusMessage(`${event.shiftKey ? 'Redo' : 'Undo'}: ${entry.label}`);
+        refreshAfterAction(entry);
+        refreshHoverBox(); // Hovered square may have been replaced
+    }
+
+    /**
+     * Resizes the garden to the size in the Garden inputs, asking first if occupied squares would be removed.
+     * Undo history is cleared by ActionHistory, since its snapshots describe the previous layout.
+     * The worker's full-state response rebuilds the grid view.
+     */
+    async function handleResizeGarden() {
+        if (!uiManager) return;
+        const cols = parseInt(uiManager.gardenColsInput?.value, 10);
+        const rows = parseInt(uiManager.gardenRowsInput?.value, 10);
+        const revertInputs = () => uiManager.updateGardenSizeInputs(simulation.grid.cols, simulation.grid.rows);
+        if (cols === simulation.grid.cols && rows === simulation.grid.rows) return;
+
+        if (!Grid.isValidSize(cols, rows)) {
+            alert(`Garden size must be between ${SimulationConfig.MIN_GRID_SIZE} and ${SimulationConfig.MAX_GRID_SIZE} squares per side.`);
+            revertInputs();
+            return;
+        }
+
+        const losses = simulation.getResizeLosses(cols, rows);
+        if (losses.length > 0) {
+            const preview = losses.slice(0, 5).map(key => {
+                const sqInstance = simulation.squareState.get(key);
+                return `${sqInstance.plant?.type ?? sqInstance.structure?.type} at ${key}`;
+            }).join(', ') + (losses.length > 5 ? ', ...' : '');
+            if (!confirm(`Resizing to ${cols}x${rows} removes ${losses.length} occupied square(s): ${preview}. Continue?`)) {
+                revertInputs();
+                return;
+            }
+        }
+
+        const outcome = await performAction({ type: 'resize_grid', cols, rows });
+        if (!outcome.success) {
+            revertInputs(); // E.g., during replay playback
+        }
+    }
+
+    /**
+     * Advances exactly one tick while paused and refreshes the garden and the hover box,
+     * so plant physiology can be followed tick by tick.
+     */
+    async function handleStep() {
+        if (!uiManager || !isPaused) return;
+        const stepped = await requestOrReport(HostRequests.STEP);
+        if (!stepped) return;
+        uiManager.updateAllVisuals(simulation.squareState, getVisualState());
+        uiManager.updateHarvestTable(simulation.harvestData); // A replay may have harvested
+        syncSettingSelects(); // Or changed climate/tick mode
+        refreshHoverBox();
+        refreshEventLog();
+        autosaveIfDue();
+    }
+
+    /**
+     * Simulates the chosen number of days in the worker as fast as possible, optionally stopping at an event.
+     * Only the progress bar updates while skipping; the garden is redrawn once at the end.
+     */
+    async function handleSkipAhead() {
+        if (!uiManager || isSkipping) return;
+        const days = parseInt(uiManager.skipDaysInput?.value, 10);
+        const until = uiManager.skipUntilSelect?.value || null;
+
+        isSkipping = true;
+        uiManager.showSkipResult('');
+        uiManager.updateSkipProgress(0, simulation.simulatedDaysElapsed);
+        let result = null;
+        try {
+            result = await client.request(HostRequests.SKIP_AHEAD, { days, until });
+        } catch (e) {
+            alert(`Could not skip ahead: ${e.message}`);
+            return;
+        } finally {
+            isSkipping = false;
+            uiManager.updateSkipProgress(null);
+        }
+
+        // --- Redraw Once ---
+        uiManager.updateAllVisuals(simulation.squareState, getVisualState());
+        uiManager.updateHarvestTable(simulation.harvestData);
+        refreshHoverBox();
+        refreshEventLog();
+        autosaveIfDue();
+
+        // --- Report Why the Skip Ended ---
+        const skipped = `${result.daysSkipped.toFixed(1)} days`;
+        const sqInstance = result.key ? simulation.squareState.get(result.key) : null;
+        if (result.reason === SkipStopConditions.HARVESTABLE) {
+            uiManager.showSkipResult(`Stopped after ${skipped}: ${sqInstance?.plant?.type ?? 'plant'} at ${result.key} is ready to harvest`);
+        } else if (result.reason === SkipStopConditions.PEST_OUTBREAK) {
+            uiManager.showSkipResult(`Stopped after ${skipped}: ${sqInstance?.variables.pests.type ?? 'pests'} at ${result.key}`);
+        } else if (result.reason === 'breakpoint') {
+            uiManager.showSkipResult(`Stopped after ${skipped} at a breakpoint`);
+        } else if (result.reason === 'cancelled') {
+            uiManager.showSkipResult(`Cancelled after ${skipped}`);
+        } else {
+            uiManager.showSkipResult(`Skipped ${skipped}`);
+        }
+        if (sqInstance) uiManager.highlightSquare(sqInstance);
+    }
+
+    /**
+     * Creates a thumbnail of the current garden for save slots.
+     * @returns {string | null} Thumbnail image data URL.
+     */
+    function createThumbnail() {
+        return uiManager ? uiManager.createGridThumbnail(simulation.squareState, simulation.grid.rows, simulation.grid.cols) : null;
+    }
+
+    /** Re-renders the slot manager lists from storage. */
+    function renderSlotManager() {
+        if (!uiManager) return;
+        uiManager.renderSlotManager(slotStore.listSlots(), slotStore.listAutosaves(), autosaveIntervalDays);
+    }
+
+    /**
+     * Handles clicks on the per-slot buttons of the slot manager (delegated).
+     * @param {Event} event - The click event object.
+     * @returns {Promise<void>} Resolves once the slot list is updated.
+     */
+    async function handleSlotManagerClick(event) {
+        const button = event.target.closest('button[data-slot-action]');
+        if (!button) return;
+        const slotId = parseInt(button.dataset.slotId);
+
+        try {
+            switch (button.dataset.slotAction) {
+                case 'load':
+                    loadGame(slotStore.readSlot(slotId));
+                    uiManager.hideSlotManager();
+                    return; // Nothing in the list changed
+                case 'overwrite':
+                    if (!confirm("Overwrite this slot with the current garden?")) return;
+                    slotStore.overwriteSlot(slotId, await client.request(HostRequests.CREATE_SAVE), createThumbnail());
+                    break;
+                case 'rename': {
+                    const name = prompt("New slot name:", button.closest('.slot-row')?.querySelector('b')?.textContent || '');
+                    if (!name || !name.trim()) return;
+                    slotStore.renameSlot(slotId, name.trim());
+                    break;
+                }
+                case 'duplicate':
+                    slotStore.duplicateSlot(slotId);
+                    break;
+                case 'delete':
+                    if (!confirm("Delete this save slot?")) return;
+                    slotStore.deleteSlot(slotId);
+                    break;
+                default:
+                    console.warn(`Unknown slot action: ${button.dataset.slotAction}`);
+                    return;
+            }
+        } catch (e) {
+            console.error("Save slot operation failed:", e);
+            alert(`Save slot operation failed: ${e.message}`);
+        }
+        renderSlotManager();
+    }
+
     /**
      * Sets up all necessary event listeners for UI controls and grid interaction. (Instruction J)
      * @param {UIManager} uiMgr - The UIManager instance holding references to DOM elements.
@@ -471,7 +585,7 @@ document.addEventListener('DOMContentLoaded', () => {
                       uiMgr.toggleShopControls(currentMode === 'shop');
                       // Update shop button states immediately if shop opened
                       if (currentMode === 'shop') {
-                           uiMgr.updateShopButtons(playerMoney);
+                           uiMgr.updateShopButtons(simulation.playerMoney);
                       }
                  }
              });
@@ -483,113 +597,268 @@ document.addEventListener('DOMContentLoaded', () => {
         if (uiMgr.resetButton) {
             uiMgr.resetButton.addEventListener('click', () => {
                 // console.log("Resetting simulation..."); // DEBUG
-                if (mainIntervalId) clearInterval(mainIntervalId); // Stop current loop
                 // Reset state variables (pass uiMgr for initialization steps)
                 initializeGrid(uiMgr);
-                // Note: initializeGrid calls resetInterval internally to restart the loop
+                // Note: the worker restarts its loop once the new garden is built
+            });
+        }
+
+        // Save / Load buttons
+        if (uiMgr.saveButton) {
+            uiMgr.saveButton.addEventListener('click', async () => {
+                try {
+                    writeLocalSave(await client.request(HostRequests.CREATE_SAVE));
+                } catch (e) {
+                    console.error("Error saving garden:", e);
+                    alert(`Could not save garden: ${e.message}`);
+                }
+            });
+        }
+        if (uiMgr.loadButton) {
+            uiMgr.loadButton.addEventListener('click', () => {
+                let save = null;
+                try {
+                    save = readLocalSave();
+                } catch (e) {
+                    console.error("Error reading saved garden:", e);
+                    alert(`Could not load garden: ${e.message}`);
+                    return;
+                }
+                loadGame(save);
+            });
+        }
+        if (uiMgr.downloadSaveButton) {
+            uiMgr.downloadSaveButton.addEventListener('click', async () => {
+                try {
+                    downloadSaveGame(await client.request(HostRequests.CREATE_SAVE));
+                } catch (e) {
+                    console.error("Error saving garden:", e);
+                    alert(`Could not save garden: ${e.message}`);
+                }
+            });
+        }
+        if (uiMgr.uploadSaveButton && uiMgr.uploadSaveInput) {
+            uiMgr.uploadSaveButton.addEventListener('click', () => { uiMgr.uploadSaveInput.click(); });
+            uiMgr.uploadSaveInput.addEventListener('change', async () => {
+                const file = uiMgr.uploadSaveInput.files[0];
+                uiMgr.uploadSaveInput.value = ''; // Allow re-uploading the same file later
+                if (!file) return;
+                let save = null;
+                try {
+                    save = await readSaveFile(file);
+                } catch (e) {
+                    console.error("Error reading save file:", e);
+                    alert(`Could not load garden: ${e.message}`);
+                    return;
+                }
+                loadGame(save);
+            });
+        }
+
+        // Undo / Redo
+        document.addEventListener('keydown', handleUndoRedoKey);
+
+        // Garden log filters and click-to-locate
+        if (uiMgr.eventLogCategorySelect) {
+            uiMgr.eventLogCategorySelect.addEventListener('change', () => refreshEventLog(true));
+        }
+        if (uiMgr.eventLogSquareInput) {
+            uiMgr.eventLogSquareInput.addEventListener('input', () => refreshEventLog(true));
+        }
+        if (uiMgr.eventLogClearFilterButton) {
+            uiMgr.eventLogClearFilterButton.addEventListener('click', () => {
+                if (uiMgr.eventLogCategorySelect) uiMgr.eventLogCategorySelect.value = '';
+                if (uiMgr.eventLogSquareInput) uiMgr.eventLogSquareInput.value = '';
+                refreshEventLog(true);
+            });
+        }
+        if (uiMgr.eventLogList) {
+            uiMgr.eventLogList.addEventListener('click', (event) => {
+                const item = event.target.closest('.event-log-entry');
+                if (item?.dataset.key) {
+                    uiMgr.highlightSquare(simulation.squareState.get(item.dataset.key));
+                }
+            });
+        }
+
+        // Breakpoints (sent once now, in case the browser restored ticked boxes, then on every change)
+        if (uiMgr.breakpointOptions) {
+            const sendBreakpoints = () => {
+                client.request(HostRequests.SET_BREAKPOINTS, { breakpoints: uiMgr.getBreakpoints() })
+                    .catch(e => console.warn("Breakpoints not set:", e.message));
+            };
+            uiMgr.breakpointOptions.addEventListener('change', sendBreakpoints);
+            sendBreakpoints();
+        }
+
+        // Forecast length (the forecast itself arrives with every state update)
+        if (uiMgr.forecastDaysSelect) {
+            uiMgr.forecastDaysSelect.addEventListener('change', () => uiMgr.updateForecastPanel(simulation.getForecast()));
+        }
+
+        // Replay controls
+        if (uiMgr.downloadReplayButton) {
+            uiMgr.downloadReplayButton.addEventListener('click', async () => {
+                let replay = null;
+                try {
+                    replay = await client.request(HostRequests.CREATE_REPLAY);
+                } catch (e) {
+                    alert(e.message); // E.g., no recording while a replay is playing
+                    return;
+                }
+                downloadJSONFile(replay, `garden-replay-seed${replay.seed}-tick${replay.endTick}.json`);
+            });
+        }
+        if (uiMgr.playReplayButton && uiMgr.playReplayInput) {
+            uiMgr.playReplayButton.addEventListener('click', () => { uiMgr.playReplayInput.click(); });
+            uiMgr.playReplayInput.addEventListener('change', async () => {
+                const file = uiMgr.playReplayInput.files[0];
+                uiMgr.playReplayInput.value = ''; // Allow replaying the same file again
+                if (!file) return;
+                let replay = null;
+                try {
+                    replay = JSON.parse(await file.text());
+                } catch (e) {
+                    console.error("Error reading replay file:", e);
+                    alert(`Could not play replay: ${e.message}`);
+                    return;
+                }
+                startReplay(replay);
+            });
+        }
+        if (uiMgr.stopReplayButton) {
+            uiMgr.stopReplayButton.addEventListener('click', () => {
+                if (isReplaying) stopReplay();
+            });
+        }
+
+        // Slot manager
+        if (uiMgr.slotManagerButton) {
+            uiMgr.slotManagerButton.addEventListener('click', () => {
+                renderSlotManager();
+                uiMgr.showSlotManager();
+            });
+        }
+        if (uiMgr.closeSlotManagerButton) {
+            uiMgr.closeSlotManagerButton.addEventListener('click', () => { uiMgr.hideSlotManager(); });
+        }
+        if (uiMgr.slotManagerOverlay) {
+            uiMgr.slotManagerOverlay.addEventListener('click', (event) => {
+                if (event.target === uiMgr.slotManagerOverlay) {
+                    uiMgr.hideSlotManager(); // Clicked outside the panel
+                }
+            });
+        }
+        if (uiMgr.slotManagerPanel) {
+            uiMgr.slotManagerPanel.addEventListener('click', handleSlotManagerClick);
+        }
+        if (uiMgr.createSlotButton) {
+            uiMgr.createSlotButton.addEventListener('click', async () => {
+                const name = uiMgr.slotNameInput?.value.trim();
+                try {
+                    slotStore.createSlot(name, await client.request(HostRequests.CREATE_SAVE), createThumbnail());
+                } catch (e) {
+                    console.error("Error creating save slot:", e);
+                    alert(`Could not save garden: ${e.message}`);
+                    return;
+                }
+                if (uiMgr.slotNameInput) uiMgr.slotNameInput.value = '';
+                renderSlotManager();
+            });
+        }
+        if (uiMgr.autosaveIntervalInput) {
+            uiMgr.autosaveIntervalInput.addEventListener('change', () => {
+                const days = parseInt(uiMgr.autosaveIntervalInput.value);
+                autosaveIntervalDays = Number.isFinite(days) && days > 0 ? days : 0;
+                uiMgr.autosaveIntervalInput.value = autosaveIntervalDays;
             });
         }
 
         if (uiMgr.speedButtons) {
             uiMgr.speedButtons.forEach(button => {
                 button.addEventListener('click', () => {
-                    simulationSpeed = parseInt(button.dataset.speed); // Update speed state
-                    uiMgr.updateSpeedButtonStyles(simulationSpeed); // Update button visuals
-                    resetInterval(); // Reset timer to apply new speed
+                    // The worker records the change and restarts its timer; its response updates the buttons
+                    requestOrReport(HostRequests.SET_SPEED, { speed: parseFloat(button.dataset.speed) });
                 });
             });
         }
+        if (uiMgr.speedSlider) {
+            uiMgr.speedSlider.addEventListener('input', () => {
+                const speed = SimulationConfig.SPEED_STEPS[parseInt(uiMgr.speedSlider.value, 10)];
+                if (speed !== undefined) requestOrReport(HostRequests.SET_SPEED, { speed });
+            });
+        }
+        if (uiMgr.stepButton) {
+            uiMgr.stepButton.addEventListener('click', handleStep);
+        }
+
+        if (uiMgr.skipAheadButton) {
+            uiMgr.skipAheadButton.addEventListener('click', handleSkipAhead);
+        }
+        if (uiMgr.cancelSkipButton) {
+            uiMgr.cancelSkipButton.addEventListener('click', () => { requestOrReport(HostRequests.CANCEL_SKIP); });
+        }
 
         if (uiMgr.pauseResumeButton) {
             uiMgr.pauseResumeButton.addEventListener('click', () => {
-                isPaused = !isPaused; // Toggle pause state
-                uiMgr.updatePauseButton(isPaused); // Update button text
-                resetInterval(); // Stop or restart timer based on new state
+                // Stops or restarts the worker's timer; its response updates the button text
+                requestOrReport(HostRequests.SET_PAUSED, { paused: !isPaused });
             });
         }
 
         if (uiMgr.climateSelect) {
-            uiMgr.climateSelect.addEventListener('change', (event) => {
-                 currentClimate = event.target.value; // Update climate state
-                 // Optional: Immediately reset or just let next weather update use new climate?
-                 // Resetting might be jarring. Let's allow gradual change.
-                 // Consider adding visual feedback or confirmation.
+            uiMgr.climateSelect.addEventListener('change', async (event) => {
+                 // Allow gradual change: the next weather update uses the new climate
+                 const outcome = await performAction({ type: 'set_climate', climate: event.target.value });
+                 if (!outcome.success) {
+                     event.target.value = simulation.currentClimate; // E.g., during replay playback
+                 }
+            });
+        }
+
+        if (uiMgr.tickModeSelect) {
+            uiMgr.tickModeSelect.addEventListener('change', async (event) => {
+                 // Applies from the next tick; recorded like any other action so replays stay exact
+                 const outcome = await performAction({ type: 'set_tick_mode', tickMode: event.target.value });
+                 if (!outcome.success) {
+                     event.target.value = simulation.tickMode; // E.g., during replay playback
+                 }
             });
         }
 
+        if (uiMgr.resizeGardenButton) {
+            uiMgr.resizeGardenButton.addEventListener('click', handleResizeGarden);
+        }
+
         // Mass action buttons
         if (uiMgr.massHarvestButton) {
-            uiMgr.massHarvestButton.addEventListener('click', () => {
-                // console.log("Attempting Mass Harvest..."); // DEBUG
-                let harvestedCount = 0;
-                let totalValueGained = 0;
-                let updatedKeys = new Set(); // Track keys for potential UI update
-
-                squareState.forEach((sqInstance, key) => {
-                    const harvestResult = sqInstance.harvestPlant(); // Try harvesting each square
-                    if (harvestResult.harvested) {
-                        if (!harvestData[harvestResult.type]) { initializeHarvestData(); }
-                        harvestData[harvestResult.type].yield += harvestResult.yield;
-                        totalValueGained += harvestResult.value;
-                        harvestedCount++;
-                        updatedKeys.add(key); // Mark square as updated
-                    }
-                });
-
-                if (harvestedCount > 0) {
-                    playerMoney += totalValueGained;
-                    // console.log(`Mass Harvest completed: ${harvestedCount} plants for $${totalValueGained}.`); // DEBUG
-                    uiMgr.updateHarvestTable(harvestData); // Update harvest table UI
-                    // Update visuals only for squares where harvest occurred
-                    updatedKeys.forEach(key => uiMgr.updateSquareVisuals(squareState.get(key)));
-                    uiMgr.moneyDisplay.textContent = `Money: $${playerMoney}`; // Update money display
-                    uiMgr.updateAverageGardenInfo(squareState); // Update average info
-                } else {
-                    // console.log("Mass Harvest: No plants ready or suitable."); // Feedback if nothing harvested
+            uiMgr.massHarvestButton.addEventListener('click', async () => {
+                const outcome = await performAction({ type: 'mass_harvest' });
+                if (outcome.success) {
+                    refreshAfterAction(outcome); // Update only squares where harvest occurred
                 }
             });
         }
 
         // Shop buttons
         if (uiMgr.buyMassNeemButton) {
-            uiMgr.buyMassNeemButton.addEventListener('click', () => {
-                const cost = SimulationConfig.SHOP_COSTS.massNeem || 0;
-                if (playerMoney >= cost) {
-                    playerMoney -= cost;
-                    let affectedCount = 0;
-                    squareState.forEach((state) => {
-                         if(state.applyNeem()) { // applyNeem returns true if aphids were present
-                             affectedCount++;
-                             uiMgr.updateSquareVisuals(state); // Update visual if changed
-                         }
-                    });
-                    // console.log(`Mass Neem applied. Affected ${affectedCount} squares.`); // DEBUG
-                    uiMgr.updateShopButtons(playerMoney);
-                    uiMgr.moneyDisplay.textContent = `Money: $${playerMoney}`;
+            uiMgr.buyMassNeemButton.addEventListener('click', async () => {
+                const outcome = await performAction({ type: 'mass_neem' });
+                if (outcome.success) {
+                    refreshAfterAction(outcome);
                 } else {
-                    console.log("Not enough money for Mass Neem!");
+                    uiMgr.showStatusMessage("Not enough money for Mass Neem!");
                 }
             });
         }
 
         if (uiMgr.buyMassWeedButton) {
-            uiMgr.buyMassWeedButton.addEventListener('click', () => {
-                const cost = SimulationConfig.SHOP_COSTS.massWeed || 0;
-                if (playerMoney >= cost) {
-                    playerMoney -= cost;
-                    let affectedCount = 0;
-                    squareState.forEach((state) => {
-                        if (state.variables.weeds > 0) {
-                             state.variables.weeds = 0; // Remove weeds
-                             uiMgr.updateSquareVisuals(state); // Update visual
-                             affectedCount++;
-                        }
-                    });
-                    // console.log(`Mass Weeding cleared ${affectedCount} squares.`); // DEBUG
-                    uiMgr.updateShopButtons(playerMoney);
-                    uiMgr.moneyDisplay.textContent = `Money: $${playerMoney}`;
+            uiMgr.buyMassWeedButton.addEventListener('click', async () => {
+                const outcome = await performAction({ type: 'mass_weed' });
+                if (outcome.success) {
+                    refreshAfterAction(outcome);
                 } else {
-                     console.log("Not enough money for Mass Weeding!");
+                     uiMgr.showStatusMessage("Not enough money for Mass Weeding!");
                 }
             });
         }
@@ -619,107 +888,78 @@ document.addEventListener('DOMContentLoaded', () => {
     // =============================================
 
     /**
-     * Initializes or resets the harvest data object.
+     * Rebuilds the grid DOM for the simulation's current squares and refreshes all state-driven UI.
+     * Used after a reset, after loading a saved garden and after resizing the garden.
+     * @param {UIManager} uiMgr - The UIManager instance.
      */
-    function initializeHarvestData() {
-        harvestData = {}; // Clear existing data
-        // Create entries for all plant types defined in config
-        Object.keys(SimulationConfig.PLANT_PROPERTIES).forEach(plantType => {
-             harvestData[plantType] = {
-                 yield: 0,
-                 price: SimulationConfig.PLANT_PROPERTIES[plantType]?.price ?? 0 // Store price from config
-             };
-        });
-        // Update the UI table immediately after resetting
-        if (uiManager) { // Ensure uiManager exists
-             uiManager.updateHarvestTable(harvestData);
-        }
+    function buildGridView(uiMgr) {
+        if (!uiMgr) return;
+        uiMgr.hideHoverBox(); // Hovered element is about to be replaced
+        uiMgr.updateHarvestTable(simulation.harvestData);
+
+        // --- Build Grid DOM ---
+        // UIManager creates the DOM elements; attach them to the simulation's squares (Instruction K.2)
+        uiMgr.initializeGridDOM(
+             simulation.grid.rows,
+             simulation.grid.cols,
+             (key, elementRefs) => {
+                 const squareInstance = simulation.squareState.get(key);
+                 if (squareInstance) squareInstance.elementRefs = elementRefs;
+             }
+        );
+
+        uiMgr.updateGardenSizeInputs(simulation.grid.cols, simulation.grid.rows);
+
+        // Update all visuals based on the current state
+        uiMgr.updateAllVisuals(simulation.squareState, getVisualState());
+        uiMgr.updateShopButtons(simulation.playerMoney);
+        refreshEventLog(true);
     }
 
     /**
      * Initializes the entire simulation grid state and UI. (Instruction K)
      * @param {UIManager} uiMgr - The UIManager instance.
      */
-    function initializeGrid(uiMgr) {
-        console.log("Initializing grid and simulation state..."); // DEBUG
+    async function initializeGrid(uiMgr) {
+        // console.log("Initializing grid and simulation state..."); // DEBUG
         if (!uiMgr) {
              console.error("UIManager instance not available for initialization!");
              return;
         }
 
-        // --- Reset Global State Variables (Instruction K.1) ---
-        squareState.clear(); // Clear the map of square states
-        if(mainIntervalId) clearInterval(mainIntervalId); // Stop simulation loop
-        mainIntervalId = null;
+        // --- Reset UI State (Instruction K.1) ---
         currentMode = 'water'; // Reset mode
-        simulationSpeed = 1; // Reset speed
-        isPaused = false; // Reset pause state
-        currentClimate = uiMgr.climateSelect?.value || "Temperate"; // Reset climate from dropdown
-        simulatedTimeOfDay = 6 * 60; // Reset time to 6 AM
-        tickCounter = 0; // Reset tick count
-        simulatedDaysElapsed = 0; // Reset days elapsed
-        lastWindChangeDay = -1; // Reset wind change tracker
-        currentWindDirection = 'None'; // Reset wind direction
-        beneficialAttractionLevel = 0; // Reset beneficial attraction
-        playerMoney = SimulationConfig.STARTING_MONEY; // Reset money
-
-        // Initial weather based on climate default (will be refined by updateWeather)
-        const climateProps = SimulationConfig.CLIMATE_PROPERTIES[currentClimate];
-        ambientTemperature = climateProps ? (climateProps.tempRange[0] + climateProps.tempRange[1]) / 2 : 20;
-        currentHumidity = climateProps?.humidityAvg || 60;
-        currentWindSpeed = 0;
-        isPollinated = false;
-
-        // Reset harvest data
-        initializeHarvestData(); // Resets data and updates table via uiMgr
+
+        // --- Reset Simulation State ---
+        // Climate from dropdown; seed from the seed field, or a fresh random seed if it is empty.
+        // The worker also resets speed and pause, clears undo history, ends any playback and restarts
+        // recording (everything since this reset) and its loop; the full-state response rebuilds the grid view
+        const seedText = uiMgr.seedInput?.value.trim();
+        const reset = await requestOrReport(HostRequests.RESET, {
+            options: {
+                climate: uiMgr.climateSelect?.value || "Temperate",
+                tickMode: uiMgr.tickModeSelect?.value || undefined,
+                seed: seedText ? seedText : undefined
+            }
+        });
+        if (reset === undefined) return; // Reported; the current garden stays
+        lastAutosaveDay = 0;
+        eventLog.clear();
+        refreshEventLog(true);
 
         // --- Initialize UI Elements ---
-        uiMgr.hideHoverBox(); // Ensure hover box is hidden initially
         uiMgr.populateInfoTables(); // Fill static info tables
 
-        // --- Build Grid DOM and State Map ---
-        // Use UIManager to create DOM elements and callback to create state objects
-        uiMgr.initializeGridDOM(
-             SimulationConfig.GRID_ROWS,
-             SimulationConfig.GRID_COLS,
-             (key, elementRefs) => { // This callback creates Square instances (Instruction K.2)
-                 // Define initial non-soil variables for the new square
-                 const initialVariables = {
-                      temperature: ambientTemperature, // Start with ambient temp
-                      weeds: (Math.random() < (SimulationConfig.INITIAL_WEED_CHANCE || 0)) ? 1 : 0, // Initial weed chance
-                      pests: { type: null, level: 0 } // Start pest-free
-                 };
-                 // Create the Square state instance and store it in the map
-                 const squareInstance = new Square(key, elementRefs, initialVariables);
-                 squareState.set(key, squareInstance);
-             }
-        );
-
-        // --- Set Initial Bee Position ---
-        beePosition = {
-            x: Math.floor(Math.random() * SimulationConfig.GRID_COLS),
-            y: Math.floor(Math.random() * SimulationConfig.GRID_ROWS)
-        };
-
-        // --- Perform Initial Updates ---
-        updateWeather(0, 0); // Set initial weather based on time=0 and climate
-        // Update all visuals based on the freshly initialized state
-        uiMgr.updateAllVisuals(squareState, {
-            ambientTemperature, currentHumidity, currentWindSpeed, currentWindDirection,
-            isPollinated, simulatedTimeOfDay, playerMoney, beePosition
-        });
         // Set initial UI control states
         uiMgr.togglePlantSelector(currentMode === 'plant');
         uiMgr.toggleShopControls(currentMode === 'shop');
         uiMgr.updateSpeedButtonStyles(simulationSpeed);
         uiMgr.updatePauseButton(isPaused);
-        uiMgr.updateShopButtons(playerMoney);
         // Find the initial active button and set its style
         const initialActiveButton = document.querySelector(`.action-button[data-action="${currentMode}"]`);
         if(initialActiveButton) uiMgr.setActiveActionButton(initialActiveButton);
 
-        console.log("Grid initialized. Starting simulation loop..."); // DEBUG
-        resetInterval(); // Start the simulation loop
+        // console.log("Grid initialized. Simulation loop running in the worker."); // DEBUG
     }
 
 
@@ -730,6 +970,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Create UI Manager Instance ---
     // Needs to be created early so it can be used by setup and init
     uiManager = new UIManager();
+    client.onMessage = handleEngineMessage; // Every worker message updates the mirror, then the UI
+    client.onProgress = ({ progress, day }) => uiManager.updateSkipProgress(progress, day); // While skipping ahead
 
     // --- Setup Event Listeners ---
     // Pass the uiManager instance so handlers can access its properties/methods
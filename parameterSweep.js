@@ -0,0 +1,334 @@
+/**
+ * Imports the Node URL helper, the seeded generator (for reproducible sampling), the batch runner and the experiment helpers.
+ */
+import { pathToFileURL } from 'node:url';
+import { SeededRandom } from './random.js';
+import { parseArgs, parseSeeds, validateRunOptions, readJSONFile, writeOutput, runBatch } from './batchRunner.js';
+import { parseLayout, getConfigValue, toCSV } from './experiment.js';
+
+/**
+ * Command-line parameter sweep and sensitivity analysis over SimulationConfig (Node.js).
+ * Varies numeric RATES/THRESHOLDS (or any other numeric config path) over declared ranges, runs a batch
+ * (see batchRunner.js) at every sample point and ranks the parameters by how strongly they move the outcomes
+ * (total yield, harvest value, money, soil condition).
+ *
+ * Usage:
+ *   node parameterSweep.js --layout layout.json --param RATES.basePhotosynthesisRate=0.1:0.3
+ *       --param RATES.weedSpreadChance=0.005:0.02 [options]
+ *
+ * Options (in addition to the batch runner's --layout, --climate, --seeds, --days, --tick-mode, --harvest, --set):
+ *   --param <path=min:max>  Parameter range to sweep. Repeat for every parameter.
+ *   --method <grid|random>  Full grid of evenly spaced levels, or uniform random samples. Default: grid.
+ *   --levels <n>            Grid only: values per parameter, including both ends. Default: 3.
+ *   --samples <n>           Random only: number of sample points. Default: 20.
+ *   --sample-seed <seed>    Random only: seed of the sampling generator. Default: 1.
+ *   --out <file>            .json: settings, ranking and raw data in one file. .csv: the ranking, plus the raw
+ *                           data in "<name>-raw.csv". Default: ranked table as text on standard output.
+ *
+ * Every sample point runs the same seeds, so differences between points come from the parameters, not from luck.
+ * Sensitivity is the Spearman rank correlation between a parameter and the mean outcome over all points
+ * (-1 to +1); `effect` is the outcome change across the parameter's range from a least-squares line.
+ */
+
+/** How sample points are chosen. */
+export const SweepMethods = Object.freeze({
+    GRID: 'grid', // Every combination of evenly spaced levels
+    RANDOM: 'random' // Independent uniform samples
+});
+
+const OUTCOMES = ['totalYield', 'harvestValue', 'money', 'avgSoilCondition']; // Metrics the parameters are ranked by
+const MAX_POINTS = 10000; // Guards against grids like 10 levels x 6 parameters
+
+/**
+ * Parses a "--param" value.
+ * @param {string} text - "PATH=MIN:MAX", e.g. "RATES.weedSpreadChance=0.005:0.02".
+ * @returns {{path: string, min: number, max: number}} The parameter range.
+ * @throws {Error} If the text is malformed, the range is empty, or the path is not a numeric config value.
+ */
+export function parseParameterRange(text) {
+    const match = String(text).match(/^([^=]+)=([^:]+):(.+)$/);
+    if (!match) throw new Error(`Expected PATH=MIN:MAX, got "${text}"`);
+    const path = match[1].trim();
+    const [min, max] = [Number(match[2]), Number(match[3])];
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+        throw new Error(`Range of ${path} must be two numbers with MIN < MAX.`);
+    }
+    if (typeof getConfigValue(path) !== 'number') { // Throws for unknown paths
+        throw new Error(`Config setting ${path} is not a number.`);
+    }
+    return { path, min, max };
+}
+
+/**
+ * Builds the sample points of a sweep.
+ * @param {object[]} parameters - Ranges from parseParameterRange().
+ * @param {string} method - One of SweepMethods.
+ * @param {object} [options={}] - Sampling settings.
+ * @param {number} [options.levels=3] - Grid: values per parameter (>= 2).
+ * @param {number} [options.samples=20] - Random: number of points.
+ * @param {number|string} [options.sampleSeed=1] - Random: seed of the sampling generator.
+ * @returns {object[]} Points, each an object of config path -> value.
+ * @throws {Error} If the settings are invalid or the sweep would exceed MAX_POINTS.
+ */
+export function createSweepPoints(parameters, method, options = {}) {
+    if (parameters.length === 0) throw new Error("Give at least one --param to sweep.");
+    if (method === SweepMethods.GRID) {
+        const levels = options.levels ?? 3;
+        if (!(Number.isInteger(levels) && levels >= 2)) throw new Error("--levels must be a whole number of at least 2.");
+        if (levels ** parameters.length > MAX_POINTS) {
+            throw new Error(`A grid of ${levels} levels over ${parameters.length} parameters has more than ${MAX_POINTS} points; use --method random.`);
+        }
+        // Cartesian product, first parameter varying slowest
+        return parameters.reduce((points, { path, min, max }) => {
+            const values = Array.from({ length: levels }, (_, i) => min + (max - min) * i / (levels - 1));
+            return points.flatMap(point => values.map(value => ({ ...point, [path]: value })));
+        }, [{}]);
+    }
+    if (method === SweepMethods.RANDOM) {
+        const samples = options.samples ?? 20;
+        if (!(Number.isInteger(samples) && samples >= 2 && samples <= MAX_POINTS)) {
+            throw new Error(`--samples must be a whole number from 2 to ${MAX_POINTS}.`);
+        }
+        const random = new SeededRandom(options.sampleSeed ?? 1);
+        return Array.from({ length: samples }, () => Object.fromEntries(
+            parameters.map(({ path, min, max }) => [path, min + (max - min) * random.next()])
+        ));
+    }
+    throw new Error(`Unknown sweep method: ${method}`);
+}
+
+/**
+ * Runs a batch at every sample point.
+ * @param {object} parsedLayout - Result of parseLayout().
+ * @param {object} options - Batch options (see runBatch()); --set overrides apply at every point.
+ * @param {object[]} points - Points from createSweepPoints().
+ * @param {function(number, number): void} [onProgress] - Called after each point with (pointsDone, totalPoints).
+ * @returns {object[]} Raw data: one { point, values, outcomes } per point; `outcomes` maps every batch metric
+ * to { mean, sd }.
+ */
+export function runSweep(parsedLayout, options, points, onProgress = null) {
+    return points.map((values, index) => {
+        const result = runBatch(parsedLayout, { ...options, overrides: { ...options.overrides, ...values } });
+        const outcomes = {};
+        Object.entries(result.summary).forEach(([metric, stats]) => { outcomes[metric] = { mean: stats.mean, sd: stats.sd }; });
+        onProgress?.(index + 1, points.length);
+        return { point: index + 1, values, outcomes };
+    });
+}
+
+/**
+ * Ranks the parameters by their influence on each outcome.
+ * @param {object[]} rawData - Result of runSweep().
+ * @param {object[]} parameters - Ranges from parseParameterRange().
+ * @param {string[]} [outcomes=OUTCOMES] - Metrics to rank by.
+ * @returns {{byOutcome: object, overall: object[]}} `byOutcome`: outcome -> rows { parameter, correlation, effect },
+ * strongest first; `overall`: rows { parameter, meanAbsCorrelation }, strongest first.
+ */
+export function rankParameters(rawData, parameters, outcomes = OUTCOMES) {
+    const byOutcome = {};
+    outcomes.forEach(outcome => {
+        const ys = rawData.map(row => row.outcomes[outcome]?.mean ?? 0);
+        byOutcome[outcome] = parameters.map(({ path, min, max }) => {
+            const xs = rawData.map(row => row.values[path]);
+            return {
+                parameter: path,
+                correlation: spearmanCorrelation(xs, ys),
+                effect: linearSlope(xs, ys) * (max - min)
+            };
+        }).sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation));
+    });
+
+    const overall = parameters.map(({ path }) => ({
+        parameter: path,
+        meanAbsCorrelation: outcomes.reduce((sum, outcome) =>
+            sum + Math.abs(byOutcome[outcome].find(row => row.parameter === path).correlation), 0) / outcomes.length
+    })).sort((a, b) => b.meanAbsCorrelation - a.meanAbsCorrelation);
+
+    return { byOutcome, overall };
+}
+
+/**
+ * Spearman rank correlation (Pearson correlation of the ranks; ties get their average rank).
+ * @param {number[]} xs - First variable.
+ * @param {number[]} ys - Second variable (same length).
+ * @returns {number} Correlation from -1 to 1; 0 if either variable is constant.
+ */
+export function spearmanCorrelation(xs, ys) {
+    return pearsonCorrelation(toRanks(xs), toRanks(ys));
+}
+
+/**
+ * Replaces values by their ranks (1 = smallest); tied values share their average rank.
+ * @param {number[]} values - The values.
+ * @returns {number[]} Ranks in the original order.
+ */
+function toRanks(values) {
+    const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+    const ranks = new Array(values.length);
+    for (let start = 0; start < order.length;) {
+        let end = start;
+        while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+        const averageRank = (start + end) / 2 + 1;
+        for (let i = start; i <= end; i++) ranks[order[i].index] = averageRank;
+        start = end + 1;
+    }
+    return ranks;
+}
+
+/**
+ * Pearson correlation coefficient.
+ * @param {number[]} xs - First variable.
+ * @param {number[]} ys - Second variable (same length).
+ * @returns {number} Correlation from -1 to 1; 0 if either variable is constant.
+ */
+function pearsonCorrelation(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return 0;
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+    let covariance = 0, varianceX = 0, varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
+    return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : 0;
+}
+
+/**
+ * Slope of the least-squares line through (x, y).
+ * @param {number[]} xs - Parameter values.
+ * @param {number[]} ys - Outcomes (same length).
+ * @returns {number} Outcome change per unit of x; 0 if x is constant.
+ */
+function linearSlope(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return 0;
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+    let covariance = 0, varianceX = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+    }
+    return varianceX > 0 ? covariance / varianceX : 0;
+}
+
+/**
+ * Formats the ranking as a plain-text table.
+ * @param {object} ranking - Result of rankParameters().
+ * @returns {string} The table text.
+ */
+export function formatRankingTable(ranking) {
+    const width = Math.max(...ranking.overall.map(row => row.parameter.length), 'parameter'.length);
+    const signed = value => (value >= 0 ? '+' : '') + value.toPrecision(3);
+    const lines = ['Overall influence (mean |rank correlation| over the outcomes):'];
+    ranking.overall.forEach((row, i) => {
+        lines.push(`  ${i + 1}. ${row.parameter.padEnd(width)}  ${row.meanAbsCorrelation.toFixed(3)}`);
+    });
+    Object.entries(ranking.byOutcome).forEach(([outcome, rows]) => {
+        lines.push('', `${outcome} (rank correlation, change across the range):`);
+        rows.forEach((row, i) => {
+            lines.push(`  ${i + 1}. ${row.parameter.padEnd(width)}  ${signed(row.correlation).padStart(7)}  ${signed(row.effect)}`);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Flattens the raw data into CSV rows: the point number, every parameter value, then the mean and sd of each metric.
+ * @param {object[]} rawData - Result of runSweep().
+ * @param {object[]} parameters - Ranges from parseParameterRange().
+ * @returns {string} CSV text.
+ */
+export function formatRawDataCSV(rawData, parameters) {
+    const metrics = Object.keys(rawData[0]?.outcomes ?? {});
+    const columns = ['point', ...parameters.map(({ path }) => path), ...metrics.flatMap(metric => [metric, `${metric}_sd`])];
+    const rows = rawData.map(({ point, values, outcomes }) => {
+        const row = { point, ...values };
+        metrics.forEach(metric => {
+            row[metric] = outcomes[metric].mean;
+            row[`${metric}_sd`] = outcomes[metric].sd;
+        });
+        return row;
+    });
+    return toCSV(rows, columns);
+}
+
+/**
+ * Prints the usage text.
+ */
+function printUsage() {
+    process.stdout.write(
+        "Usage: node parameterSweep.js --layout layout.json --param PATH=MIN:MAX [--param ...]\n" +
+        "       [--method grid|random] [--levels 3] [--samples 20] [--sample-seed 1]\n" +
+        "       [--climate Temperate] [--seeds 1-10] [--days 60] [--tick-mode twoPhase|legacy]\n" +
+        "       [--harvest daily|end|none] [--set PATH=VALUE ...] [--out file.json|file.csv]\n"
+    );
+}
+
+/**
+ * Entry point: parses arguments, runs the sweep and writes the ranking and raw data.
+ * @param {string[]} args - Arguments after the script name.
+ * @returns {number} Process exit code.
+ */
+function main(args) {
+    try {
+        const sweepOptions = { parameters: [], method: SweepMethods.GRID, levels: 3, samples: 20, sampleSeed: 1 };
+        const options = parseArgs(args, {
+            '--param': (_, value) => { sweepOptions.parameters.push(parseParameterRange(value)); },
+            '--method': (_, value) => { sweepOptions.method = value; },
+            '--levels': (_, value) => { sweepOptions.levels = Number(value); },
+            '--samples': (_, value) => { sweepOptions.samples = Number(value); },
+            '--sample-seed': (_, value) => { sweepOptions.sampleSeed = value; }
+        }, { seeds: '1-10' }); // Fewer seeds than a plain batch: they run once per point
+        if (options.help) {
+            printUsage();
+            return 0;
+        }
+        if (!options.layout) throw new Error("--layout is required.");
+        validateRunOptions(options);
+        options.seeds = parseSeeds(options.seeds);
+        const points = createSweepPoints(sweepOptions.parameters, sweepOptions.method, sweepOptions);
+
+        const parsedLayout = parseLayout(readJSONFile(options.layout));
+        const startedAt = Date.now();
+        process.stderr.write(`${points.length} points x ${options.seeds.length} seeds\n`);
+        const rawData = runSweep(parsedLayout, options, points, (done, total) => {
+            process.stderr.write(`\rPoint ${done}/${total}`);
+        });
+        process.stderr.write(` done in ${((Date.now() - startedAt) / 1000).toFixed(1)} s\n`);
+        const ranking = rankParameters(rawData, sweepOptions.parameters);
+
+        const out = options.out?.toLowerCase();
+        if (out?.endsWith('.csv')) {
+            const rows = Object.entries(ranking.byOutcome).flatMap(([outcome, outcomeRows]) =>
+                outcomeRows.map((row, i) => ({ outcome, rank: i + 1, ...row })));
+            writeOutput(toCSV(rows, ['outcome', 'rank', 'parameter', 'correlation', 'effect']), options.out);
+            writeOutput(formatRawDataCSV(rawData, sweepOptions.parameters), options.out.replace(/\.csv$/i, '-raw.csv'));
+        } else if (options.out) {
+            const settings = {
+                climate: options.climate,
+                days: options.days,
+                seeds: options.seeds.length,
+                harvest: options.harvest,
+                overrides: options.overrides,
+                method: sweepOptions.method,
+                parameters: sweepOptions.parameters
+            };
+            writeOutput(JSON.stringify({ settings, ranking, rawData }, null, 2) + '\n', options.out);
+        } else {
+            writeOutput(formatRankingTable(ranking));
+        }
+        return 0;
+    } catch (e) {
+        process.stderr.write(`Error: ${e.message}\n`);
+        printUsage();
+        return 1;
+    }
+}
+
+// Run only when started directly, not when imported by another tool
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -37,7 +37,7 @@ export class Plant {
         this.ATP = SimulationConfig.INITIAL_ATP; // Available Energy Currency
 
         // --- Development State ---
-        this.stemHealth = 100; // Health of the stem (0-100) - TODO: Implement damage/factors affecting stem health
+        this.stemHealth = 100; // Health of the stem (0-100); frost lowers it, warm weather restores it (see _applyFrostDamage)
         this.leafDensity = SimulationConfig.INITIAL_LEAF_DENSITY; // Factor affecting photosynthesis area (0.05 to 1.0)
         this.stemDevelopment = SimulationConfig.INITIAL_STEM_DEV; // Factor affecting structure/wind resistance (0.05 to 1.0)
 
@@ -58,9 +58,10 @@ export class Plant {
      * Coordinates calls to helper methods to simulate the plant's processes.
      * @param {Square} square - The Square instance containing this plant. Provides access to soil, variables, etc.
      * @param {number} elapsedSimMinutes - The amount of simulated time passed since the last tick, in minutes.
+     * @param {object} [globalState={}] - Global simulation variables (simulatedTimeOfDay is used for light).
      * @returns {{status: string, oxygenConsumed: number}} An object containing the plant's display status and oxygen consumed this tick.
      */
-    update(square, elapsedSimMinutes) {
+    update(square, elapsedSimMinutes, globalState = {}) {
         this.lastO2Consumed = 0; // Reset O2 tracker each tick
         let status = "stable"; // Default status for the tick
 
@@ -77,11 +78,18 @@ export class Plant {
 
         // --- Calculations below only run for living, non-senescent plants ---
 
+        // 2b. Frost Damage (may kill the plant: stem health 0)
+        const frostDamaged = this._applyFrostDamage(square);
+        if ((this.stemHealth ?? 100) <= 0) {
+            this.displayStatus = "dead";
+            return { status: this.displayStatus, oxygenConsumed: 0 };
+        }
+
         // 3. Update Maturity and Growth Stage
         this._updateMaturityAndStage(elapsedSimMinutes, square);
 
         // 4. Photosynthesis -> Produces CHO
-        const lightFactor = this._calculateLightFactor();
+        const lightFactor = this._calculateLightFactor(globalState.simulatedTimeOfDay);
         const choGained = this._calculatePhotosynthesis(square, lightFactor);
         this.CHO = (this.CHO || 0) + choGained;
         // Set initial status based on light, may be overridden later
@@ -103,7 +111,7 @@ export class Plant {
         this._updateStemAndLeaf(square, lightFactor);
 
         // 9. Calculate Potential Growth & ATP Demand for it
-        const growthInfo = this._calculatePotentialGrowth(square, elapsedSimMinutes);
+        const growthInfo = this._calculatePotentialGrowth(square, elapsedSimMinutes, lightFactor);
         // Update status based on temperature limit found during growth calc
         status = growthInfo.baseConditionStatus; // Overrides light status if temp is limiting
 
@@ -116,11 +124,9 @@ export class Plant {
         // 12. Update Root Density (influenced by growth conditions)
         this._updateRootDensity(square, growthInfo.tempFactor); // Pass tempFactor used in growth calc
 
-        // 13. Apply Special Plant Effects (e.g., Beans adding OM/MIC)
-        this._applyBeanEffects(square); // TODO: Generalize for other plant effects
-
-        // 14. Final state clamping and status update based on energy levels
+        // 13. Final state clamping and status update based on energy levels
         status = this._finalizeStatus(status, growthInfo, recoveryInfo);
+        if (frostDamaged) status = "frost damage";
         this.displayStatus = status; // Store final status for UI
 
         // Return calculated status and oxygen consumption
@@ -259,11 +265,12 @@ export class Plant {
      * Calculates the available light factor (0 to ~1.0) based on the simulated time of day.
      * Represents the intensity of sunlight.
      * @private
+     * @param {number} [timeOfDay=720] - Simulated time in minutes past midnight.
      * @returns {number} Light factor (0 at night, peaks around 1.0 at noon).
      */
-    _calculateLightFactor() {
+    _calculateLightFactor(timeOfDay = 720) {
         // TODO: Implement shading from taller neighbors/structures
-        const timeFraction = (simulatedTimeOfDay || 720) / (24 * 60); // Fraction of the day (0 to 1)
+        const timeFraction = timeOfDay / (24 * 60); // Fraction of the day (0 to 1)
         // Simple cosine curve shifted and scaled:
         // Peaks at noon (timeFraction = 0.5), near 0 at 6am (0.25) and 6pm (0.75)
         // (cos((0.5 - 0.5)*PI*2)+1)/2 = 1 @ noon
@@ -272,6 +279,47 @@ export class Plant {
         return Math.max(0, (Math.cos((timeFraction - 0.5) * 2 * Math.PI) + 1) / 2 * 1.1 - 0.1); // Slight boost and threshold
     }
 
+    /**
+     * Returns the temperature range this plant grows best in (its growingTempRange, or the general plant thresholds).
+     * Warm-season crops have a higher range, so they grow slowly in the cool months.
+     * @private
+     * @returns {Array<number>} [low, high] in °C.
+     */
+    _getOptimalTempRange() {
+        return this.properties.growingTempRange ?? [SimulationConfig.THRESHOLDS.optimalTempPlantLow, SimulationConfig.THRESHOLDS.optimalTempPlantHigh];
+    }
+
+    /**
+     * Applies frost damage when the square is colder than the plant's frostTolerance.
+     * Leaves and stem lose density/health in proportion to the degrees below the tolerance;
+     * seedlings (stage 0) are too tender to survive and are killed outright.
+     * A damaged stem heals (RATES.stemHealthRecovery) once the square is back in the plant's growing range;
+     * leaves regrow through the normal leaf development.
+     * @private
+     * @param {Square} square - The Square instance containing this plant.
+     * @returns {boolean} True if the plant was damaged this tick.
+     */
+    _applyFrostDamage(square) {
+        const Config = SimulationConfig;
+        const tolerance = this.properties.frostTolerance ?? Config.THRESHOLDS.frostTemp;
+        const temp = square.variables.temperature ?? Config.DEFAULTS.temperature;
+        if (temp >= tolerance) {
+            if (temp >= this._getOptimalTempRange()[0]) {
+                this.stemHealth = Math.min(100, (this.stemHealth ?? 100) + Config.RATES.stemHealthRecovery);
+            }
+            return false;
+        }
+
+        if (this.growthStage === 0) {
+            this.stemHealth = 0; // Tender seedling killed
+            return true;
+        }
+        const degreesBelow = tolerance - temp;
+        this.leafDensity = Math.max(0.05, (this.leafDensity || 0) - degreesBelow * Config.RATES.frostLeafDamage);
+        this.stemHealth = clamp((this.stemHealth ?? 100) - degreesBelow * Config.RATES.frostStemDamage, 0, 100);
+        return true;
+    }
+
     /**
      * Calculates the amount of Carbohydrates (CHO) produced via photosynthesis this tick.
      * Based on light, plant structure (size, leaf density), health, water, and temperature.
@@ -293,23 +341,25 @@ export class Plant {
         // Health factor based on root health
         const healthFactor_photo = clamp((this.rootHealth || 0) / 100, 0.2, 1.0); // Min 20% efficiency even with poor roots
 
-        // Water stress factor based on soil moisture
-        const waterFactor = clamp((soil.moisture || 0) / Config.THRESHOLDS.moistureStressPhotosynthesis, 0.1, 1.0); // Stress below threshold
+        // Water stress factor based on soil moisture (roots cannot draw water from frozen soil)
+        const availableMoisture = soil.isFrozen ? 0 : (soil.moisture || 0);
+        const waterFactor = clamp(availableMoisture / Config.THRESHOLDS.moistureStressPhotosynthesis, 0.1, 1.0); // Stress below threshold
 
         // Temperature factor
         const temp = squareVars.temperature ?? Config.DEFAULTS.temperature; // Use default temp if invalid
+        const [optimalLow, optimalHigh] = this._getOptimalTempRange();
         let photoTempFactor = 1.0; // Assume optimal temperature initially
         if (temp < Config.THRESHOLDS.minTempPlantSlowdown) {
             photoTempFactor = 0.1; // Very low efficiency when too cold
         } else if (temp > Config.THRESHOLDS.maxTempPlantSlowdown) {
             // Efficiency drops above max optimal temp
             photoTempFactor = clamp(1.0 - (temp - Config.THRESHOLDS.maxTempPlantSlowdown) * Config.RATES.tempEffectOnGrowth, 0.1, 1.0);
-        } else if (temp < Config.THRESHOLDS.optimalTempPlantLow) {
+        } else if (temp < optimalLow) {
             // Efficiency drops below min optimal temp
-            photoTempFactor = clamp(1.0 - (Config.THRESHOLDS.optimalTempPlantLow - temp) * Config.RATES.tempEffectOnGrowth, 0.1, 1.0);
-        } else if (temp > Config.THRESHOLDS.optimalTempPlantHigh) {
+            photoTempFactor = clamp(1.0 - (optimalLow - temp) * Config.RATES.tempEffectOnGrowth, 0.1, 1.0);
+        } else if (temp > optimalHigh) {
             // Efficiency drops above max optimal temp (less steep than max slowdown)
-             photoTempFactor = clamp(1.0 - (temp - Config.THRESHOLDS.optimalTempPlantHigh) * Config.RATES.tempEffectOnGrowth, 0.1, 1.0);
+             photoTempFactor = clamp(1.0 - (temp - optimalHigh) * Config.RATES.tempEffectOnGrowth, 0.1, 1.0);
         }
         // TODO: Apply structure effects (e.g., Net mitigating high temp) -> This might belong in temp calculation itself?
 
@@ -367,22 +417,24 @@ export class Plant {
 
         // Base consumption rate scaled by plant size
         const baseConsumption = Config.RATES.plantConsumption * (this.size || 0);
+        // Roots take up no water or nutrients from frozen soil
+        const uptakeFactor = soil.isFrozen ? 0 : 1;
 
         // Root health affects nutrient uptake efficiency
         const rootHealthFactor_consume = clamp((this.rootHealth || 0) / 100, 0, 1.0); // 0% uptake at 0 health
 
         // --- Water Consumption ---
-        const waterConsumed = baseConsumption * (props.H2O_Mod || 1.0);
+        const waterConsumed = baseConsumption * (props.H2O_Mod || 1.0) * uptakeFactor;
         soil.addMoisture(-waterConsumed); // Use Soil method to handle clamping and updates
 
         // --- Bioavailable Nutrition (BN) Consumption ---
         let bnMod = props.BN_Mod || 1.0;
-        // Apply Trellis modifier if applicable (reduces BN use for specific plants)
-        if (structure?.type === 'Trellis' && ['Beans', 'Squash', 'Tomato'].includes(this.type)) {
-            bnMod *= 0.75; // 25% reduction
+        // Apply Trellis modifier if applicable (reduces BN use for climbing plants)
+        if (structure?.type === 'Trellis' && props.trellisBonus) {
+            bnMod *= props.trellisBonus.bnMultiplier ?? 1;
         }
         // BN consumption depends on base rate, modifier, root density, and root health
-        const bnConsumed = baseConsumption * bnMod * (this.rootDensity || 0) * rootHealthFactor_consume;
+        const bnConsumed = baseConsumption * bnMod * (this.rootDensity || 0) * rootHealthFactor_consume * uptakeFactor;
         soil.bioavailableNutrition = Math.max(0, (soil.bioavailableNutrition || 0) - bnConsumed); // Consume BN directly
 
         // --- Oxygen Consumption ---
@@ -498,9 +550,10 @@ export class Plant {
      * @private
      * @param {Square} square - The Square instance containing this plant.
      * @param {number} elapsedSimMinutes - Simulated minutes passed since the last tick.
+     * @param {number} lightFactor - The available light intensity factor (0-1).
      * @returns {object} Contains potentialSizeChange, atpNeeded, isShrinking, tempFactor, lightFactor, baseConditionStatus.
      */
-    _calculatePotentialGrowth(square, elapsedSimMinutes) {
+    _calculatePotentialGrowth(square, elapsedSimMinutes, lightFactor) {
         const Config = SimulationConfig;
         const soil = square.soil;
         const props = this.properties;
@@ -526,6 +579,7 @@ export class Plant {
         let tempStatus = "optimal temp"; // Base status
         let netTempEffect = 1.0;
         const temp = square.variables.temperature ?? Config.DEFAULTS.temperature;
+        const [optimalLow, optimalHigh] = this._getOptimalTempRange();
 
         if (temp < Config.THRESHOLDS.minTempPlantSlowdown) {
              netTempEffect = 0.1; tempStatus = "too cold";
@@ -533,17 +587,17 @@ export class Plant {
             // Severely reduced growth above max slowdown temp
             netTempEffect = clamp(1.0 - (temp - Config.THRESHOLDS.maxTempPlantSlowdown) * Config.RATES.tempEffectOnGrowth, 0.1, 1.0);
             tempStatus = "too hot!"; // More severe status
-        } else if (temp < Config.THRESHOLDS.optimalTempPlantLow) {
+        } else if (temp < optimalLow) {
             // Reduced growth below optimal low temp
-            netTempEffect = clamp(1.0 - (Config.THRESHOLDS.optimalTempPlantLow - temp) * Config.RATES.tempEffectOnGrowth, 0.1, 1.0);
+            netTempEffect = clamp(1.0 - (optimalLow - temp) * Config.RATES.tempEffectOnGrowth, 0.1, 1.0);
             tempStatus = "cool";
-        } else if (temp > Config.THRESHOLDS.optimalTempPlantHigh) {
+        } else if (temp > optimalHigh) {
              // Reduced growth above optimal high temp
-             netTempEffect = clamp(1.0 - (temp - Config.THRESHOLDS.optimalTempPlantHigh) * Config.RATES.tempEffectOnGrowth, 0.1, 1.0);
+             netTempEffect = clamp(1.0 - (temp - optimalHigh) * Config.RATES.tempEffectOnGrowth, 0.1, 1.0);
              tempStatus = "warm";
         }
         // Apply Net mitigation for high temperatures
-        if (structure?.type === 'Net' && temp > Config.THRESHOLDS.optimalTempPlantHigh) {
+        if (structure?.type === 'Net' && temp > optimalHigh) {
             const mitigationFactor = 0.6; // 60% reduction in negative effect
             // Adjust effect back towards 1.0 based on mitigation factor
             netTempEffect = 1.0 - (1.0 - netTempEffect) * (1.0 - mitigationFactor);
@@ -555,9 +609,6 @@ export class Plant {
         status = tempStatus; // Set base status based on temperature effect
 
 
-        // --- Calculate Light Factor ---
-        const lightFactor = this._calculateLightFactor();
-
 
         // --- Calculate Potential Growth Amount ---
         // Only if base conditions allow, temp/light are sufficient, and not shrinking
@@ -765,55 +816,6 @@ export class Plant {
         if (isNaN(this.rootDensity)) { this.rootDensity = SimulationConfig.THRESHOLDS.minRootDensity; }
     }
 
-    /**
-     * Applies special effects of certain plants (currently only Beans) to neighboring squares.
-     * @private
-     * @param {Square} square - The Square instance containing this plant.
-     */
-    _applyBeanEffects(square) {
-        // TODO: Refactor this into a more general mechanism for plant effects
-        const Config = SimulationConfig;
-        const props = this.properties;
-
-        // Check if this plant is a Bean type with defined effects
-        if ((props.addsOM || props.addsMIC) && this.type === 'Beans') { // Ensure it's actually beans
-            // Bonus effect if roots are healthy and dense
-            let bonusFactor = 1.0;
-            if ((this.rootDensity || 0) >= Config.THRESHOLDS.goodRootDensity && (this.rootHealth || 0) >= Config.THRESHOLDS.goodRootHealth) {
-                 bonusFactor = 1.5; // 50% bonus effect
-            }
-
-            // Get neighboring square keys (effect usually includes diagonals for soil effects)
-            const [x, y] = square.key.split(',').map(Number);
-            // Need access to getNeighbors and squareState - this suggests effects might be better applied *outside* the Plant class?
-            // For now, assume getNeighbors exists globally/imported and squareState is accessible (BAD ASSUMPTION - refactor needed)
-            // TEMPORARY WORKAROUND: Pass squareState and getNeighbors? Or move this logic?
-            // Let's skip the neighbor logic for now and mark as TODO, as it breaks modularity here.
-            // console.warn("Bean effects application needs refactoring for modularity.");
-
-
-             // --- REFACTORING NEEDED ---
-             /*
-             const neighbors = getNeighbors(x, y, true); // Needs getNeighbors function
-             neighbors.forEach(nKey => {
-                 const nSq = squareState.get(nKey); // Needs global squareState Map
-                 if (nSq?.soil) { // Check if neighbor and its soil exist
-                     if (props.addsOM) {
-                         nSq.soil.organicMatter = Math.max(0, (nSq.soil.organicMatter || 0) + (Config.RATES.beansOMRate || 0.1) * bonusFactor);
-                         if (isNaN(nSq.soil.organicMatter)) nSq.soil.organicMatter = 0;
-                     }
-                     if (props.addsMIC) {
-                         nSq.soil.microbes = clamp((nSq.soil.microbes || 0) + (Config.RATES.beansMICRate || 0.2) * bonusFactor, 0, 1000);
-                         if (isNaN(nSq.soil.microbes)) nSq.soil.microbes = 0;
-                     }
-                     // Trigger update on neighbor? Or assume it happens in their own tick? For now, assume latter.
-                     // nSq.soil.updateDerivedVariables(); // Avoid triggering updates out of cycle
-                 }
-             });
-             */
-        }
-    } // End _applyBeanEffects
-
     /**
      * Performs final clamping of energy reserves (CHO, ATP) and determines the final display status,
      * potentially overriding less critical statuses with energy-related ones.
@@ -857,4 +859,30 @@ export class Plant {
         return status;
     } // End _finalizeStatus
 
+    // =============================================
+    // --- Serialization ---
+    // =============================================
+
+    /**
+     * Returns a plain-object snapshot of the plant state for saving.
+     * Static properties are not stored; they are looked up again from config by type on load.
+     * @returns {object} Serializable plant state.
+     */
+    toJSON() {
+        const { properties, ...state } = this;
+        return state;
+    }
+
+    /**
+     * Recreates a Plant instance from a snapshot produced by toJSON().
+     * @param {object} data - Serialized plant state.
+     * @returns {Plant} The restored plant.
+     */
+    static fromJSON(data) {
+        const plant = new Plant(data.type);
+        const { type, properties, ...state } = data;
+        Object.assign(plant, state); // Overwrite fresh-plant defaults with saved state
+        return plant;
+    }
+
 } // --- End Plant Class ---
\ No newline at end of file
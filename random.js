@@ -0,0 +1,99 @@
+/**
+ * Seedable pseudo-random number generator used by every part of the simulation.
+ * Replaces direct Math.random calls so that the same seed plus the same actions
+ * always reproduces the same garden.
+ */
+export class SeededRandom {
+    /**
+     * Creates a new generator.
+     * @param {number|string} [seed] - Seed value; numbers are used directly, other strings are hashed.
+     * A random seed is chosen if omitted.
+     */
+    constructor(seed) {
+        this.setSeed(seed ?? SeededRandom.randomSeed());
+    }
+
+    /**
+     * Picks a fresh seed from the environment's entropy source.
+     * This is the only place allowed to use Math.random.
+     * @returns {number} An unsigned 32-bit seed.
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Converts a user-supplied seed into an unsigned 32-bit integer.
+     * Numeric values (or numeric strings) are used as-is; other strings are hashed (FNV-1a).
+     * @param {number|string} value - The seed to normalize.
+     * @returns {number} An unsigned 32-bit seed.
+     */
+    static normalizeSeed(value) {
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Re-seeds the generator, restarting its sequence.
+     * @param {number|string} seed - The new seed.
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed); // Seed as shown to the user
+        this.state = this.seed; // Internal generator state, advances with every draw
+    }
+
+    /**
+     * Returns the next float in [0, 1), like Math.random (mulberry32 algorithm).
+     * @returns {number} A pseudo-random float.
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Returns a pseudo-random integer in [0, maxExclusive).
+     * @param {number} maxExclusive - Upper bound (exclusive).
+     * @returns {number} A pseudo-random integer.
+     */
+    nextInt(maxExclusive) {
+        return Math.floor(this.next() * maxExclusive);
+    }
+
+    /**
+     * Returns a random element of an array.
+     * @param {Array} array - The array to pick from.
+     * @returns {*} A random element, or undefined if the array is empty.
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Captures the generator position so it can be restored later (e.g., when saving a game).
+     * @returns {{seed: number, state: number}} The generator state.
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Restores a position previously captured with getState().
+     * @param {{seed: number, state: number}} savedState - The generator state to restore.
+     */
+    setState(savedState) {
+        this.seed = savedState.seed >>> 0;
+        this.state = savedState.state >>> 0;
+    }
+} // --- End SeededRandom Class ---
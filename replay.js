@@ -0,0 +1,187 @@
+/**
+ * Imports the central configuration object, the Grid size check and the undo history.
+ * Undo/redo are recorded like any other action, so playback needs its own history.
+ */
+import { SimulationConfig } from './config.js';
+import { Grid } from './grid.js';
+import { ActionHistory } from './actionHistory.js';
+
+/**
+ * Action replays for the Gardening Grid Simulation.
+ * A replay stores the simulation state when recording started (which includes the RNG seed and position)
+ * and every player action stamped with the tick it happened before.
+ * Because the engine is deterministic for a given seed, fixed step size and action sequence,
+ * playing the entries back at the same ticks reproduces the original garden exactly.
+ */
+
+export const REPLAY_FORMAT_ID = 'gardening-grid-replay';
+export const REPLAY_FORMAT_VERSION = 1;
+
+/**
+ * Entry types that only mirror UI state during playback and never change the simulation.
+ * Pause/resume are informational: a recorded pause would stop playback before its matching resume.
+ */
+const PRESENTATION_ACTIONS = ['set_speed', 'pause', 'resume'];
+
+/**
+ * Records player actions with their simulated timestamps.
+ */
+export class ReplayRecorder {
+    /**
+     * Creates an idle recorder; call start() to begin recording.
+     */
+    constructor() {
+        this.startState = null; // Simulation.toJSON() at recording start
+        this.stepMinutes = SimulationConfig.FIXED_STEP_SIM_MINUTES;
+        this.entries = [];
+    }
+
+    /**
+     * Starts a new recording from the simulation's current state, discarding previous entries.
+     * @param {Simulation} simulation - The simulation being recorded.
+     * @param {number} [stepMinutes] - Simulated minutes per step used by the driver.
+     */
+    start(simulation, stepMinutes = SimulationConfig.FIXED_STEP_SIM_MINUTES) {
+        this.startState = simulation.toJSON();
+        this.stepMinutes = stepMinutes;
+        this.entries = [];
+    }
+
+    /**
+     * Stops recording; record() ignores actions until the next start().
+     */
+    stop() {
+        this.startState = null;
+        this.entries = [];
+    }
+
+    /** @returns {boolean} True while recording. */
+    get isRecording() {
+        return this.startState !== null;
+    }
+
+    /**
+     * Records an action that is about to be applied (call before applying it).
+     * @param {Simulation} simulation - The simulation being recorded.
+     * @param {object} action - Simulation action, or one of 'undo', 'redo', 'set_speed', 'pause', 'resume'.
+     */
+    record(simulation, action) {
+        if (!this.startState) return; // Not recording
+        this.entries.push({
+            tick: simulation.tickCounter, // Applied before step tick+1
+            day: simulation.simulatedDaysElapsed, // Simulated timestamp, for display
+            timeOfDay: simulation.simulatedTimeOfDay,
+            action: structuredClone(action)
+        });
+    }
+
+    /**
+     * Builds the replay file contents up to the simulation's current tick.
+     * @param {Simulation} simulation - The simulation being recorded.
+     * @returns {object} The replay object.
+     */
+    createReplay(simulation) {
+        return {
+            format: REPLAY_FORMAT_ID,
+            version: REPLAY_FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            seed: this.startState?.random?.seed ?? null,
+            stepMinutes: this.stepMinutes,
+            startTick: this.startState?.tickCounter ?? 0,
+            endTick: simulation.tickCounter,
+            startState: this.startState,
+            entries: structuredClone(this.entries)
+        };
+    }
+} // --- End ReplayRecorder Class ---
+
+/**
+ * Plays a replay back into a simulation, tick by tick.
+ */
+export class ReplayPlayer {
+    /**
+     * Loads the replay's start state into the simulation and prepares playback.
+     * @param {object} replay - Parsed replay object.
+     * @param {Simulation} simulation - The simulation to play into (its current state is replaced).
+     * @param {ActionHistory} [history] - History used for recorded undo/redo; a fresh one by default.
+     * @throws {Error} If the replay is not valid, from a newer version, or for an unsupported grid size.
+     */
+    constructor(replay, simulation, history = new ActionHistory()) {
+        if (!replay || replay.format !== REPLAY_FORMAT_ID || !replay.startState || !Array.isArray(replay.entries)) {
+            throw new Error("Not a Gardening Grid replay file.");
+        }
+        if (replay.version > REPLAY_FORMAT_VERSION) {
+            throw new Error(`Replay version ${replay.version} is newer than supported version ${REPLAY_FORMAT_VERSION}.`);
+        }
+        const grid = replay.startState.grid;
+        if (!Grid.isValidSize(grid?.cols, grid?.rows)) {
+            throw new Error(`Replay has an unsupported ${grid?.cols}x${grid?.rows} grid (allowed: ${SimulationConfig.MIN_GRID_SIZE} to ${SimulationConfig.MAX_GRID_SIZE} per side).`);
+        }
+        this.replay = replay;
+        this.simulation = simulation;
+        this.history = history;
+        this.stepMinutes = replay.stepMinutes || SimulationConfig.FIXED_STEP_SIM_MINUTES;
+        this.nextEntryIndex = 0;
+
+        this.simulation.loadFromJSON(replay.startState);
+        this.history.clear();
+    }
+
+    /** @returns {boolean} True once every entry has been applied and the end tick reached. */
+    get finished() {
+        return this.nextEntryIndex >= this.replay.entries.length && this.simulation.tickCounter >= this.replay.endTick;
+    }
+
+    /** @returns {number} Playback progress from 0 to 1. */
+    get progress() {
+        const total = this.replay.endTick - (this.replay.startTick || 0);
+        return total > 0 ? Math.min(1, (this.simulation.tickCounter - (this.replay.startTick || 0)) / total) : 1;
+    }
+
+    /**
+     * Applies every entry recorded at or before the simulation's current tick.
+     * @returns {Array<{action: object, outcome: object | null}>} Applied entries; outcome is null for
+     * presentation-only entries, and has updatedKeys for simulation actions and undo/redo.
+     */
+    applyDueEntries() {
+        const applied = [];
+        const entries = this.replay.entries;
+        while (this.nextEntryIndex < entries.length && entries[this.nextEntryIndex].tick <= this.simulation.tickCounter) {
+            const { action } = entries[this.nextEntryIndex++];
+            let outcome = null;
+            if (action.type === 'undo') {
+                outcome = this.history.undo(this.simulation) || { updatedKeys: [] };
+            } else if (action.type === 'redo') {
+                outcome = this.history.redo(this.simulation) || { updatedKeys: [] };
+            } else if (!PRESENTATION_ACTIONS.includes(action.type)) {
+                outcome = this.history.execute(this.simulation, action);
+            }
+            applied.push({ action, outcome });
+        }
+        return applied;
+    }
+
+    /**
+     * Applies due entries and advances one step, unless the replay has ended.
+     * @returns {Array<{action: object, outcome: object | null}>} Entries applied before the step.
+     */
+    step() {
+        const applied = this.applyDueEntries();
+        if (this.simulation.tickCounter < this.replay.endTick) {
+            this.simulation.step(this.stepMinutes);
+        }
+        return applied;
+    }
+
+    /**
+     * Plays the whole replay without pauses (e.g., for headless verification).
+     * @returns {Simulation} The simulation in its final state.
+     */
+    runToEnd() {
+        while (!this.finished) {
+            this.step();
+        }
+        this.applyDueEntries(); // Entries recorded after the last step
+        return this.simulation;
+    }
+} // --- End ReplayPlayer Class ---
@@ -0,0 +1,151 @@
+/**
+ * Imports the central configuration object and the Grid size check.
+ * Needed to check that a save has a supported garden size.
+ */
+import { SimulationConfig } from './config.js';
+import { Grid } from './grid.js';
+
+/**
+ * Save-game format for the Gardening Grid Simulation.
+ * A save is a JSON object wrapping Simulation.toJSON() with a format tag and version number.
+ * Older versions are upgraded step by step through MIGRATIONS before loading.
+ * The pure format functions work headless; the storage/file helpers need a browser.
+ */
+
+export const SAVE_FORMAT_ID = 'gardening-grid-save'; // Identifies our files among arbitrary JSON
+export const SAVE_FORMAT_VERSION = 1; // Bump when the shape of Simulation.toJSON() changes, and add a migration
+export const LOCAL_STORAGE_KEY = 'gardeningGridSave'; // localStorage key for the quick save
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Each receives the serialized simulation state of that version and returns the next version's state.
+ */
+const MIGRATIONS = {
+    // Example: 1: (simData) => ({ ...simData, newField: defaultValue }),
+};
+
+/**
+ * Wraps the current simulation state in a versioned save object.
+ * @param {Simulation} simulation - The simulation to save.
+ * @returns {object} The save object.
+ */
+export function createSaveGame(simulation) {
+    return {
+        format: SAVE_FORMAT_ID,
+        version: SAVE_FORMAT_VERSION,
+        savedAt: new Date().toISOString(),
+        simulation: simulation.toJSON()
+    };
+}
+
+/**
+ * Validates a save object and upgrades it to the current format version.
+ * @param {object} save - A parsed save object of any supported version.
+ * @returns {object} A save object at SAVE_FORMAT_VERSION.
+ * @throws {Error} If the object is not a save, is from a newer version, or a migration is missing.
+ */
+export function migrateSaveGame(save) {
+    if (!save || save.format !== SAVE_FORMAT_ID || typeof save.version !== 'number' || !save.simulation) {
+        throw new Error("Not a Gardening Grid save file.");
+    }
+    if (save.version > SAVE_FORMAT_VERSION) {
+        throw new Error(`Save version ${save.version} is newer than supported version ${SAVE_FORMAT_VERSION}.`);
+    }
+
+    let simData = structuredClone(save.simulation);
+    for (let version = save.version; version < SAVE_FORMAT_VERSION; version++) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`No migration from save version ${version}.`);
+        }
+        simData = migrate(simData);
+    }
+    return { ...save, version: SAVE_FORMAT_VERSION, simulation: simData };
+}
+
+/**
+ * Migrates a save object and loads it into a simulation.
+ * @param {Simulation} simulation - The simulation to load into (its current state is replaced).
+ * @param {object} save - A parsed save object of any supported version.
+ * @throws {Error} If the save is invalid or its garden size is not supported.
+ * The simulation takes on the saved garden size.
+ */
+export function loadSaveGame(simulation, save) {
+    const { simulation: simData } = migrateSaveGame(save);
+    const { cols, rows } = simData.grid ?? {};
+    if (!Grid.isValidSize(cols, rows) || simData.squares?.length !== cols * rows) {
+        throw new Error(`Save has an unsupported ${cols}x${rows} grid (allowed: ${SimulationConfig.MIN_GRID_SIZE} to ${SimulationConfig.MAX_GRID_SIZE} per side).`);
+    }
+    simulation.loadFromJSON(simData);
+}
+
+/**
+ * Parses save-file text.
+ * @param {string} text - JSON text of a save file.
+ * @returns {object} The parsed save object (not yet migrated).
+ * @throws {Error} If the text is not valid JSON.
+ */
+export function parseSaveGame(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Save file is not valid JSON: ${e.message}`);
+    }
+}
+
+// =============================================
+// --- Browser Storage Helpers ---
+// =============================================
+
+/**
+ * Stores a save object in localStorage.
+ * @param {object} save - The save object.
+ */
+export function writeLocalSave(save) {
+    localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(save));
+}
+
+/**
+ * Reads the save object stored in localStorage.
+ * @returns {object | null} The parsed save object, or null if none is stored.
+ */
+export function readLocalSave() {
+    const text = localStorage.getItem(LOCAL_STORAGE_KEY);
+    return text ? parseSaveGame(text) : null;
+}
+
+/**
+ * Offers a save object to the user as a downloadable .json file.
+ * @param {object} save - The save object.
+ * @param {string} [fileName] - File name; defaults to one based on the save day.
+ */
+export function downloadSaveGame(save, fileName) {
+    const day = Math.floor(save.simulation?.simulatedDaysElapsed || 0);
+    downloadJSONFile(save, fileName || `garden-day${day}.json`);
+}
+
+/**
+ * Offers any JSON-serializable object to the user as a downloadable file (saves, replays).
+ * @param {object} data - The object to download.
+ * @param {string} fileName - File name.
+ */
+export function downloadJSONFile(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads a save object from a user-selected File.
+ * @param {File} file - The uploaded file.
+ * @returns {Promise<object>} The parsed save object (not yet migrated).
+ */
+export async function readSaveFile(file) {
+    return parseSaveGame(await file.text());
+}
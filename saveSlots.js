@@ -0,0 +1,247 @@
+/**
+ * Imports the central configuration object.
+ * Needed for the autosave history size.
+ */
+import { SimulationConfig } from './config.js';
+
+/**
+ * Named save slots and rotating autosave history for the Gardening Grid Simulation.
+ * Slots hold save objects produced by createSaveGame() (see saveGame.js).
+ * Metadata for all slots lives in a single index entry so listing slots never parses full saves;
+ * each save is stored under its own key.
+ */
+
+const INDEX_KEY = 'gardeningGridSlotIndex'; // Storage key of the slot index
+const SLOT_KEY_PREFIX = 'gardeningGridSlot:'; // Storage key prefix of individual saves
+
+/**
+ * Manages named save slots and autosaves in a Storage-like backend (localStorage by default).
+ */
+export class SaveSlotStore {
+    /**
+     * Creates a new slot store.
+     * @param {Storage} [storage=globalThis.localStorage] - Object with getItem/setItem/removeItem.
+     * @param {object} [options={}] - Optional overrides.
+     * @param {number} [options.autosaveHistorySize] - Number of autosaves kept before the oldest is dropped.
+     */
+    constructor(storage = globalThis.localStorage, options = {}) {
+        this.storage = storage;
+        this.autosaveHistorySize = options.autosaveHistorySize ?? SimulationConfig.AUTOSAVE_HISTORY_SIZE;
+    }
+
+    // --- Index Handling ---
+
+    /**
+     * Reads the slot index, returning an empty index if none is stored or it is unreadable.
+     * @returns {{nextId: number, slots: object[], autosaves: object[]}} The slot index.
+     * @private
+     */
+    _readIndex() {
+        const empty = { nextId: 1, slots: [], autosaves: [] };
+        const text = this.storage.getItem(INDEX_KEY);
+        if (!text) return empty;
+        try {
+            return { ...empty, ...JSON.parse(text) };
+        } catch (e) {
+            console.warn("Save slot index is corrupt, starting a new one:", e);
+            return empty;
+        }
+    }
+
+    /**
+     * Writes the slot index.
+     * @param {object} index - The slot index.
+     * @private
+     */
+    _writeIndex(index) {
+        this.storage.setItem(INDEX_KEY, JSON.stringify(index));
+    }
+
+    /**
+     * Builds the metadata entry shown in the slot manager.
+     * @param {number} id - Slot ID.
+     * @param {string} name - Display name.
+     * @param {object} save - Save object.
+     * @param {string | null} thumbnail - Thumbnail image (data URL), if any.
+     * @returns {object} Slot metadata.
+     * @private
+     */
+    _createMeta(id, name, save, thumbnail) {
+        return {
+            id,
+            name,
+            savedAt: save.savedAt,
+            day: Math.floor(save.simulation?.simulatedDaysElapsed || 0),
+            climate: save.simulation?.currentClimate ?? null,
+            seed: save.simulation?.random?.seed ?? null,
+            money: save.simulation?.playerMoney ?? null,
+            thumbnail: thumbnail || null
+        };
+    }
+
+    /**
+     * Stores a save under a new ID in the index and storage.
+     * The save is written before the index so a failed write (quota) leaves the index consistent.
+     * @param {object} index - The slot index (modified).
+     * @param {string} name - Display name.
+     * @param {object} save - Save object.
+     * @param {string | null} thumbnail - Thumbnail image.
+     * @returns {object} The new slot metadata.
+     * @private
+     */
+    _addEntry(index, name, save, thumbnail) {
+        const id = index.nextId;
+        this.storage.setItem(SLOT_KEY_PREFIX + id, JSON.stringify(save));
+        index.nextId = id + 1;
+        return this._createMeta(id, name, save, thumbnail);
+    }
+
+    /**
+     * Finds a slot or autosave entry by ID.
+     * @param {object} index - The slot index.
+     * @param {number} id - Slot ID.
+     * @returns {object | undefined} The metadata entry.
+     * @private
+     */
+    _findEntry(index, id) {
+        return index.slots.find(meta => meta.id === id) || index.autosaves.find(meta => meta.id === id);
+    }
+
+    // --- Listing ---
+
+    /**
+     * Lists named slots in creation order.
+     * @returns {object[]} Slot metadata.
+     */
+    listSlots() {
+        return this._readIndex().slots;
+    }
+
+    /**
+     * Lists autosaves, newest first.
+     * @returns {object[]} Autosave metadata.
+     */
+    listAutosaves() {
+        return this._readIndex().autosaves;
+    }
+
+    /**
+     * Reads the save object of a slot or autosave.
+     * @param {number} id - Slot ID.
+     * @returns {object} The parsed save object (not yet migrated).
+     * @throws {Error} If the slot does not exist or its data is unreadable.
+     */
+    readSlot(id) {
+        const text = this.storage.getItem(SLOT_KEY_PREFIX + id);
+        if (!text) {
+            throw new Error(`Save slot ${id} not found.`);
+        }
+        return JSON.parse(text);
+    }
+
+    // --- Slot Management ---
+
+    /**
+     * Creates a new named slot.
+     * @param {string} name - Display name.
+     * @param {object} save - Save object.
+     * @param {string | null} [thumbnail=null] - Thumbnail image.
+     * @returns {object} The new slot metadata.
+     */
+    createSlot(name, save, thumbnail = null) {
+        const index = this._readIndex();
+        const meta = this._addEntry(index, name || `Garden ${index.nextId}`, save, thumbnail);
+        index.slots.push(meta);
+        this._writeIndex(index);
+        return meta;
+    }
+
+    /**
+     * Replaces the contents of an existing named slot, keeping its name.
+     * @param {number} id - Slot ID.
+     * @param {object} save - Save object.
+     * @param {string | null} [thumbnail=null] - Thumbnail image.
+     * @returns {object} The updated slot metadata.
+     * @throws {Error} If the slot does not exist.
+     */
+    overwriteSlot(id, save, thumbnail = null) {
+        const index = this._readIndex();
+        const position = index.slots.findIndex(meta => meta.id === id);
+        if (position === -1) {
+            throw new Error(`Save slot ${id} not found.`);
+        }
+        this.storage.setItem(SLOT_KEY_PREFIX + id, JSON.stringify(save));
+        index.slots[position] = this._createMeta(id, index.slots[position].name, save, thumbnail);
+        this._writeIndex(index);
+        return index.slots[position];
+    }
+
+    /**
+     * Renames a slot or autosave.
+     * @param {number} id - Slot ID.
+     * @param {string} name - New display name.
+     * @throws {Error} If the slot does not exist.
+     */
+    renameSlot(id, name) {
+        const index = this._readIndex();
+        const meta = this._findEntry(index, id);
+        if (!meta) {
+            throw new Error(`Save slot ${id} not found.`);
+        }
+        meta.name = name;
+        this._writeIndex(index);
+    }
+
+    /**
+     * Copies a slot or autosave into a new named slot.
+     * Duplicating an autosave is how it is kept beyond the rotating history.
+     * @param {number} id - Slot ID to copy.
+     * @param {string} [name] - Name of the copy; defaults to "<original> (copy)".
+     * @returns {object} The new slot metadata.
+     * @throws {Error} If the slot does not exist.
+     */
+    duplicateSlot(id, name) {
+        const index = this._readIndex();
+        const source = this._findEntry(index, id);
+        if (!source) {
+            throw new Error(`Save slot ${id} not found.`);
+        }
+        const meta = this._addEntry(index, name || `${source.name} (copy)`, this.readSlot(id), source.thumbnail);
+        index.slots.push(meta);
+        this._writeIndex(index);
+        return meta;
+    }
+
+    /**
+     * Deletes a slot or autosave.
+     * @param {number} id - Slot ID.
+     */
+    deleteSlot(id) {
+        const index = this._readIndex();
+        index.slots = index.slots.filter(meta => meta.id !== id);
+        index.autosaves = index.autosaves.filter(meta => meta.id !== id);
+        this._writeIndex(index);
+        this.storage.removeItem(SLOT_KEY_PREFIX + id);
+    }
+
+    // --- Autosave ---
+
+    /**
+     * Adds an autosave to the rotating history, dropping the oldest beyond autosaveHistorySize.
+     * @param {object} save - Save object.
+     * @param {string | null} [thumbnail=null] - Thumbnail image.
+     * @returns {object} The new autosave metadata.
+     */
+    writeAutosave(save, thumbnail = null) {
+        const index = this._readIndex();
+        const day = Math.floor(save.simulation?.simulatedDaysElapsed || 0);
+        const meta = this._addEntry(index, `Autosave day ${day}`, save, thumbnail);
+        index.autosaves.unshift(meta); // Newest first
+
+        // Rotate: drop the oldest entries and their data
+        const dropped = index.autosaves.splice(Math.max(1, this.autosaveHistorySize));
+        this._writeIndex(index);
+        dropped.forEach(old => this.storage.removeItem(SLOT_KEY_PREFIX + old.id));
+        return meta;
+    }
+} // --- End SaveSlotStore Class ---
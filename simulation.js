@@ -0,0 +1,1096 @@
+/**
+ * Imports dependencies: Classes, Config, and Utilities.
+ * The Simulation is deliberately free of any DOM access so it can run under plain Node.
+ */
+import { SimulationConfig } from './config.js';
+import { Square } from './square.js';
+import { Grid } from './grid.js';
+import { clamp } from './utils.js';
+import { SeededRandom } from './random.js';
+import { EventBus, SimulationEvents } from './events.js';
+import { getCalendarDate, getClimateProfile } from './calendar.js';
+
+/**
+ * How a tick updates the grid.
+ * - TWO_PHASE: every square reads its neighbors from a snapshot taken at the start of the tick, and changes to
+ *   neighbors (Olla water, plant auras, weed spread) are queued and committed once all squares have updated.
+ *   Results do not depend on the order squares are visited in.
+ * - LEGACY: squares update in place in grid order and change neighbors immediately, so a square can see
+ *   neighbors that were already updated this tick. Kept to compare outcomes and to replay older saves.
+ */
+export const TickModes = Object.freeze({
+    TWO_PHASE: 'twoPhase',
+    LEGACY: 'legacy'
+});
+
+/**
+ * Multi-day weather events (configured per climate in CLIMATE_PROPERTIES.weatherEvents).
+ * Each is forecast a few days ahead (WEATHER_EVENT_LEAD_DAYS) with a known start and end day.
+ * - HEATWAVE: lows and highs rise by tempBoost, pushing highs above the climate's usual range.
+ * - DROUGHT: the humidity target drops (humidityFactor) and no rain falls.
+ * - HUMID_SPELL: the humidity target rises (humidityBoost), which favors Aphids.
+ */
+export const WeatherEventTypes = Object.freeze({
+    HEATWAVE: 'heatwave',
+    DROUGHT: 'drought',
+    HUMID_SPELL: 'humidSpell'
+});
+
+/**
+ * Headless simulation engine for the Gardening Grid Simulation.
+ * Owns all simulation state (grid squares, weather, time, money, harvest data, bee)
+ * and the per-tick logic. Has no knowledge of the UI; main.js wires it to UIManager.
+ */
+export class Simulation {
+    /**
+     * Creates a new Simulation instance and initializes a fresh grid.
+     * @param {object} [options={}] - Optional initial settings.
+     * @param {string} [options.climate='Temperate'] - Starting climate key from SimulationConfig.CLIMATE_PROPERTIES.
+     * @param {number|string} [options.seed] - Seed for the random number generator; random if omitted.
+     * @param {string} [options.tickMode] - One of TickModes; SimulationConfig.DEFAULT_TICK_MODE if omitted.
+     * @param {number} [options.cols] - Garden width in squares; SimulationConfig.GRID_COLS if omitted.
+     * @param {number} [options.rows] - Garden height in squares; SimulationConfig.GRID_ROWS if omitted.
+     */
+    constructor(options = {}) {
+        // --- Random Number Generator ---
+        // Every random decision in the simulation draws from this, so a seed reproduces a run
+        this.random = new SeededRandom(options.seed);
+
+        // --- Event Bus ---
+        // Lifecycle events (see SimulationEvents); subscriptions survive reset() and loading
+        this.events = new EventBus();
+
+        // --- Grid State ---
+        this.squareState = new Map(); // Holds Square instances { key: "x,y", value: Square }
+        this.grid = null; // Grid topology (indices, neighbor lists), built in reset()
+
+        // --- Weather / Time State ---
+        this.currentClimate = options.climate || "Temperate"; // Active climate
+        this.tickMode = options.tickMode || SimulationConfig.DEFAULT_TICK_MODE; // See TickModes
+        this.ambientTemperature = 20; // Current global temperature
+        this.currentHumidity = 60; // Current global humidity
+        this.currentWindSpeed = 0; // Current global wind speed
+        this.currentWindDirection = 'None'; // Current wind direction ('N', 'E', 'S', 'W', 'None')
+        this.rainIntensity = 0; // Moisture added per simulated hour to uncovered soil while it rains (0 = dry)
+        this.rainTicksLeft = 0; // Ticks until the current shower ends
+        this.isStorm = false; // Whether the current shower is a storm (heavier rain, strong wind)
+        this.weatherEvents = []; // Forecast or active multi-day events: { type, startDay, endDay, started }
+        this.weatherOutlook = []; // Planned weather from today to FORECAST.DAYS ahead: { day, temperature, humidity, windChance, rainChance } (anomalies -1 to 1)
+        this.forecast = null; // Latest forecast issued from the outlook: { climate, issuedDay, days } (see getForecast)
+        this.isPollinated = false; // Global flag if pollination conditions met (wind/bee activity)
+        this.simulatedTimeOfDay = 6 * 60; // Start at 6:00 AM (minutes past midnight)
+        this.simulatedDaysElapsed = 0; // Total simulated days passed (can be fractional)
+        this.lastWindChangeDay = -1; // Tracks the last day wind direction changed
+
+        // --- Game State ---
+        this.tickCounter = 0; // Counts simulation ticks
+        this.harvestData = {}; // Stores cumulative harvest { plantType: { yield: number, price: number } }
+        this.beneficialAttractionLevel = 0; // Global level attracting beneficial insects
+        this.playerMoney = SimulationConfig.STARTING_MONEY; // Player's currency
+        this.beePosition = { // Randomized in reset()
+            x: Math.floor(SimulationConfig.GRID_COLS / 2),
+            y: Math.floor(SimulationConfig.GRID_ROWS / 2)
+        };
+
+        this.reset(options);
+    } // End constructor
+
+    /**
+     * Resets all simulation state and builds a fresh grid of squares.
+     * Squares are created without DOM references; a UI layer may attach them afterwards.
+     * @param {object} [options={}] - Optional settings for the new garden.
+     * @param {string} [options.climate] - Climate to use; keeps the current climate if omitted.
+     * @param {number|string} [options.seed] - Seed for the new garden; a fresh random seed if omitted.
+     * @param {string} [options.tickMode] - Tick mode to use; keeps the current mode if omitted.
+     * @param {number} [options.cols] - Garden width; keeps the current width if omitted.
+     * @param {number} [options.rows] - Garden height; keeps the current height if omitted.
+     */
+    reset(options = {}) {
+        const Config = SimulationConfig;
+        this.random.setSeed(options.seed ?? SeededRandom.randomSeed());
+
+        // --- Reset Global State Variables ---
+        this.squareState.clear();
+        this.currentClimate = options.climate || this.currentClimate;
+        this.tickMode = options.tickMode || this.tickMode;
+        this.simulatedTimeOfDay = 6 * 60; // Reset time to 6 AM
+        this.tickCounter = 0;
+        this.simulatedDaysElapsed = 0;
+        this.lastWindChangeDay = -1;
+        this.currentWindDirection = 'None';
+        this.rainIntensity = 0;
+        this.rainTicksLeft = 0;
+        this.isStorm = false;
+        this.weatherEvents = [];
+        this.weatherOutlook = [];
+        this.forecast = null;
+        this.beneficialAttractionLevel = 0;
+        this.playerMoney = Config.STARTING_MONEY;
+
+        // Initial weather based on the climate's profile for the starting date (will be refined by updateWeather)
+        const climateProps = Config.CLIMATE_PROPERTIES[this.currentClimate];
+        const profile = climateProps ? getClimateProfile(climateProps, getCalendarDate(0).dayOfYear) : null;
+        this.ambientTemperature = profile ? (profile.tempRange[0] + profile.tempRange[1]) / 2 : 20;
+        this.currentHumidity = profile?.humidityAvg || 60;
+        this.currentWindSpeed = 0;
+        this.isPollinated = false;
+
+        this.initializeHarvestData();
+
+        // --- Build Square State Map ---
+        this._ensureGrid(options.cols ?? this.grid?.cols ?? Config.GRID_COLS, options.rows ?? this.grid?.rows ?? Config.GRID_ROWS);
+        this.grid.keys.forEach(key => {
+            this.squareState.set(key, this._createSquare(key));
+        });
+
+        this._linkSquares();
+
+        // --- Set Initial Bee Position ---
+        this.beePosition = {
+            x: this.random.nextInt(this.grid.cols),
+            y: this.random.nextInt(this.grid.rows)
+        };
+
+        this.updateWeather(0, 0); // Set initial weather based on time=0 and climate
+    }
+
+    /**
+     * Builds the grid topology, reusing the current one if the dimensions have not changed.
+     * @private
+     * @param {number} cols - Number of columns.
+     * @param {number} rows - Number of rows.
+     */
+    _ensureGrid(cols, rows) {
+        if (!this.grid || this.grid.cols !== cols || this.grid.rows !== rows) {
+            this.grid = new Grid(cols, rows);
+        }
+    }
+
+    /**
+     * Creates a fresh square (no plant or structure) for a new garden or for squares added by resize().
+     * @private
+     * @param {string} key - Coordinate key "x,y".
+     * @returns {Square} The new square.
+     */
+    _createSquare(key) {
+        // Define initial non-soil variables for the new square
+        const initialVariables = {
+            temperature: this.ambientTemperature, // Start with ambient temp
+            weeds: (this.random.next() < (SimulationConfig.INITIAL_WEED_CHANCE || 0)) ? 1 : 0, // Initial weed chance
+            pests: { type: null, level: 0 } // Start pest-free
+        };
+        return new Square(key, null, initialVariables);
+    }
+
+    /**
+     * Gives every square its grid index and direct references to its neighbors.
+     * Needed after squares are created or replaced (reset, loading, undo/redo).
+     * @private
+     */
+    _linkSquares() {
+        this.squareState.forEach(squareInstance => squareInstance.linkNeighbors(this.grid, this.squareState));
+    }
+
+    // =============================================
+    // --- Garden Size ---
+    // =============================================
+
+    /**
+     * Lists the occupied squares (plant or structure) that resizing to the given dimensions would discard.
+     * @param {number} cols - New number of columns.
+     * @param {number} rows - New number of rows.
+     * @returns {string[]} Keys of occupied squares outside the new bounds, in grid order.
+     */
+    getResizeLosses(cols, rows) {
+        const losses = [];
+        this.squareState.forEach((sqInstance, key) => {
+            if ((sqInstance.x >= cols || sqInstance.y >= rows) && (sqInstance.plant || sqInstance.structure)) {
+                losses.push(key);
+            }
+        });
+        return losses;
+    }
+
+    /**
+     * Changes the garden size, keeping every square that lies inside the new bounds.
+     * Squares grow and shrink at the right and bottom edges. Added squares start fresh (like reset()),
+     * squares outside the new bounds are discarded, and Trellis/Net connections leading off the grid are cleared.
+     * The bee is moved back inside the grid if needed.
+     * @param {number} cols - New number of columns (SimulationConfig.MIN_GRID_SIZE to MAX_GRID_SIZE).
+     * @param {number} rows - New number of rows (SimulationConfig.MIN_GRID_SIZE to MAX_GRID_SIZE).
+     * @returns {{addedKeys: string[], removedKeys: string[]} | null} Keys of the added and discarded squares,
+     * or null if the dimensions are invalid.
+     */
+    resize(cols, rows) {
+        if (!Grid.isValidSize(cols, rows)) {
+            console.warn(`Invalid garden size: ${cols}x${rows}`);
+            return null;
+        }
+
+        const previousSquares = this.squareState;
+        const removedKeys = Array.from(previousSquares.keys()).filter(key => {
+            const sqInstance = previousSquares.get(key);
+            return sqInstance.x >= cols || sqInstance.y >= rows;
+        });
+        const addedKeys = [];
+
+        // --- Rebuild the Square Map in the new grid order ---
+        this._ensureGrid(cols, rows);
+        this.squareState = new Map();
+        this.grid.keys.forEach(key => {
+            let sqInstance = previousSquares.get(key);
+            if (!sqInstance) {
+                sqInstance = this._createSquare(key);
+                addedKeys.push(key);
+            }
+            this.squareState.set(key, sqInstance);
+        });
+
+        // --- Clear connections to discarded squares ---
+        this.squareState.forEach(sqInstance => {
+            const connections = sqInstance.structure?.connections;
+            if (!connections) return;
+            if (sqInstance.x === cols - 1) connections.right = false;
+            if (sqInstance.y === rows - 1) connections.bottom = false;
+        });
+
+        this._linkSquares();
+
+        // --- Keep the bee on the grid ---
+        this.beePosition = {
+            x: Math.min(this.beePosition.x, cols - 1),
+            y: Math.min(this.beePosition.y, rows - 1)
+        };
+
+        return { addedKeys, removedKeys };
+    }
+
+    /**
+     * Initializes or resets the harvest data object with an entry for every configured plant type.
+     */
+    initializeHarvestData() {
+        this.harvestData = {};
+        Object.keys(SimulationConfig.PLANT_PROPERTIES).forEach(plantType => {
+            this.harvestData[plantType] = {
+                yield: 0,
+                price: SimulationConfig.PLANT_PROPERTIES[plantType]?.price ?? 0 // Store price from config
+            };
+        });
+    }
+
+    // =============================================
+    // --- Tick Logic ---
+    // =============================================
+
+    /**
+     * Advances the simulation by one tick.
+     * Updates the state of every square and the global simulation environment.
+     * Callers should keep the default fixed step; see FixedStepClock for driving it from real time.
+     * @param {number} [elapsedSimMinutes=SimulationConfig.FIXED_STEP_SIM_MINUTES] - Simulated minutes covered by this tick.
+     */
+    step(elapsedSimMinutes = SimulationConfig.FIXED_STEP_SIM_MINUTES) {
+        const Config = SimulationConfig;
+
+        this.tickCounter++;
+        this.simulatedDaysElapsed += elapsedSimMinutes / (24 * 60); // Accumulate fractional days
+
+        // --- 1. Initialize Tick Aggregators ---
+        let totalGridEvaporation = 0;
+        let currentBeneficialAttraction = 0; // Reset attraction gain each tick
+
+        // --- 2. Choose Read State and Neighbor Update Strategy (see TickModes) ---
+        const isTwoPhase = this.tickMode !== TickModes.LEGACY;
+        const readState = isTwoPhase ? this.createReadSnapshot() : this.squareState; // What squares see of their neighbors
+        const pendingNeighborUpdates = []; // [key, update] pairs committed in step 4 (two-phase only)
+        const updateNeighbor = isTwoPhase
+            ? (key, update) => { pendingNeighborUpdates.push([key, update]); }
+            : (key, update) => { const neighbor = this.squareState.get(key); if (neighbor) update(neighbor); };
+
+        // --- 2b. Create Global State Object for Passing ---
+        // Bundles global variables needed by Square update methods
+        const globalState = {
+            currentHumidity: this.currentHumidity,
+            currentWindSpeed: this.currentWindSpeed,
+            currentWindDirection: this.currentWindDirection,
+            isPollinated: this.isPollinated,
+            beneficialAttractionLevel: this.beneficialAttractionLevel,
+            beePosition: this.beePosition,
+            simulatedTimeOfDay: this.simulatedTimeOfDay,
+            random: this.random, // Shared seeded generator for all random rolls
+            emit: (type, payload) => this.emit(type, payload), // Publishes lifecycle events on this.events
+            updateNeighbor // Applies (legacy) or queues (two-phase) a change to another square: (key, square => void)
+        };
+
+        // --- 3. Update Each Square's State ---
+        this.squareState.forEach(squareInstance => {
+            // 3a. Environment affects Square/Soil (needs read state for neighbor checks)
+            totalGridEvaporation += squareInstance.updateEnvironment(this.ambientTemperature, this.currentHumidity, this.currentWindSpeed, readState, this.rainIntensity * elapsedSimMinutes / 60);
+
+            // 3b. Square updates its internal Entities (Plant, Structure)
+            squareInstance.updateEntities(elapsedSimMinutes, readState, globalState);
+
+            // 3c. Square updates its own processes (Weeds, Pests)
+            squareInstance.updateWeeds(readState, globalState);
+            squareInstance.updatePests(readState, globalState);
+
+            // 3d. Accumulate effects originating from square
+            if (squareInstance.plant?.properties?.attractsBeneficials && (squareInstance.plant.maturityProgress || 0) >= Config.THRESHOLDS.plantMaturityForBeneficials) {
+                currentBeneficialAttraction += Config.RATES.beneficialAttractionGain || 0;
+            }
+
+            // 3e. Final internal updates for the square
+            squareInstance.soil.updateDerivedVariables(); // Ensure scores are up-to-date after all changes
+            squareInstance.updateDisplayText(); // Update text cache for hover box
+        });
+
+        // --- 4. Commit Queued Neighbor Changes (two-phase only) ---
+        if (pendingNeighborUpdates.length > 0) {
+            const touchedSquares = new Set();
+            pendingNeighborUpdates.forEach(([key, update]) => {
+                const neighbor = this.squareState.get(key);
+                if (neighbor) {
+                    update(neighbor);
+                    touchedSquares.add(neighbor);
+                }
+            });
+            // Refresh scores and text of squares changed after their own update
+            touchedSquares.forEach(squareInstance => {
+                squareInstance.soil.updateDerivedVariables();
+                squareInstance.updateDisplayText();
+            });
+        }
+
+        // --- 5. Update Global Simulation State ---
+        this.updateWeather(totalGridEvaporation, elapsedSimMinutes); // Update temp, humidity, wind based on tick results
+        this.updateBee(); // Move the bee
+        // Apply beneficial attraction gain and decay
+        this.beneficialAttractionLevel = Math.max(0, this.beneficialAttractionLevel * (Config.RATES.beneficialDecay || 1) + currentBeneficialAttraction);
+    } // End step
+
+    /**
+     * Creates read-only copies of all squares as they are now, for two-phase ticks.
+     * @returns {Map<string, object>} Map of square keys to frozen snapshots (see Square.createReadSnapshot()).
+     */
+    createReadSnapshot() {
+        const snapshot = new Map();
+        this.squareState.forEach((squareInstance, key) => {
+            snapshot.set(key, squareInstance.createReadSnapshot());
+        });
+        return snapshot;
+    }
+
+    /**
+     * Publishes a simulation event, stamped with the current tick and simulated time.
+     * @param {string} type - Event name from SimulationEvents.
+     * @param {object} payload - Event-specific data.
+     */
+    emit(type, payload) {
+        this.events.emit(type, {
+            ...payload,
+            tick: this.tickCounter,
+            day: this.simulatedDaysElapsed,
+            timeOfDay: this.simulatedTimeOfDay
+        });
+    }
+
+    /**
+     * Updates the global weather state (temperature, rain, wind, humidity, pollination)
+     * based on climate, season, time of day, and simulation events (evaporation).
+     * Rain decided here falls on the squares during the next tick.
+     * @param {number} totalEvaporation - Total evaporation from all squares in the last tick.
+     * @param {number} elapsedSimMinutes - Simulated minutes passed since the last tick.
+     */
+    updateWeather(totalEvaporation, elapsedSimMinutes) {
+        const Config = SimulationConfig;
+        const climateProps = Config.CLIMATE_PROPERTIES[this.currentClimate];
+        if (!climateProps) {
+            console.error(`Invalid climate selected: ${this.currentClimate}`);
+            return; // Cannot update weather without valid climate properties
+        }
+
+        // --- Update Simulated Time ---
+        this.simulatedTimeOfDay = (this.simulatedTimeOfDay + elapsedSimMinutes) % (24 * 60); // Wrap around 24 hours
+
+        // --- Update Wind Direction ---
+        const currentSimDay = Math.floor(this.simulatedDaysElapsed); // Integer part of days elapsed
+        // Check if enough days have passed since the last change
+        if (currentSimDay > this.lastWindChangeDay && currentSimDay % (Config.WIND_DIRECTION_CHANGE_INTERVAL_DAYS || 3) === 0) {
+            const directions = ['N', 'E', 'S', 'W', 'None', 'None']; // Possible directions (None is twice as likely)
+            this.currentWindDirection = this.random.pick(directions);
+            this.lastWindChangeDay = currentSimDay; // Record the day of the change
+        }
+
+        // --- Multi-day Weather Events and Outlook ---
+        this._updateWeatherEvents(climateProps, elapsedSimMinutes);
+        this._updateWeatherOutlook(climateProps);
+
+        // --- Today's Weather ---
+        // Temperature range, humidity target, wind and rain chances (seasonal profile, weather event and the day's anomaly)
+        const profile = this.getDayWeather(climateProps, this.simulatedDaysElapsed);
+
+        // --- Update Temperature ---
+        // Base temperature follows a sinusoidal daily cycle based on the day's range
+        const timeFraction = this.simulatedTimeOfDay / (24 * 60); // Fraction of the day (0-1)
+        const tempAmplitude = (profile.tempRange[1] - profile.tempRange[0]) / 2;
+        const tempAverage = (profile.tempRange[1] + profile.tempRange[0]) / 2;
+        // Sine wave peaks around 2-3 PM (adjust phase shift: -0.25 shifts peak from noon to ~3pm)
+        const baseTemperature = tempAverage + tempAmplitude * Math.sin((timeFraction - 0.25) * 2 * Math.PI);
+        // Add random fluctuation
+        const fluctuation = (this.random.next() - 0.5) * 2 * (Config.TEMP_FLUCTUATION_AMOUNT || 0);
+        this.ambientTemperature = baseTemperature + fluctuation;
+
+        // --- Update Rain and Storms ---
+        if (this.rainTicksLeft > 0) {
+            this.rainTicksLeft--;
+            if (this.rainTicksLeft === 0) {
+                this.emit(SimulationEvents.RAIN_ENDED, { isStorm: this.isStorm });
+                this.rainIntensity = 0;
+                this.isStorm = false;
+            }
+        } else if (elapsedSimMinutes > 0) {
+            // Per-day chance spread over the ticks of a day (0 during a drought)
+            const startChance = 1 - Math.pow(1 - profile.rainChance, elapsedSimMinutes / (24 * 60));
+            if (this.random.next() < startChance) {
+                this._startRain(climateProps, elapsedSimMinutes);
+            }
+        }
+
+        // --- Update Wind Speed ---
+        // Recalculated periodically based on climate chance and range
+        if (this.tickCounter % (Config.WIND_UPDATE_INTERVAL_TICKS || 5) === 0) {
+            if (this.random.next() < (profile.windChance || 0)) { // Chance for wind to occur
+                const windMin = climateProps.windSpeedRange[0];
+                const windMax = climateProps.windSpeedRange[1];
+                this.currentWindSpeed = windMin + this.random.next() * (windMax - windMin); // Random speed within range
+            } else {
+                this.currentWindSpeed = 0; // No wind this interval
+            }
+        }
+        if (this.isStorm) { // Storm wind blows regardless of the regular wind roll
+            this.currentWindSpeed = Math.max(this.currentWindSpeed, climateProps.windSpeedRange[1] * (Config.RATES.stormWindMultiplier || 1));
+        }
+
+        // --- Update Humidity ---
+        let humidityChange = 0;
+        // Increase humidity from grid evaporation
+        humidityChange += totalEvaporation * (Config.RATES.evaporationHumidityGain || 0);
+        // Decrease humidity based on wind speed
+        humidityChange -= this.currentWindSpeed * (Config.RATES.windHumidityLoss || 0);
+        // Nudge humidity towards the climate average
+        const humidityDiff = (profile.humidityAvg || 60) - this.currentHumidity;
+        humidityChange += humidityDiff * 0.05; // Slow adjustment towards average
+        // Rain moistens the air
+        if (this.rainIntensity > 0) {
+            humidityChange += (100 - this.currentHumidity) * (Config.RATES.rainHumidityGain || 0);
+        }
+        this.currentHumidity = clamp(this.currentHumidity + humidityChange, 0, 100);
+
+        // --- Update Pollination Status ---
+        // Based on wind speed, potentially reduced by bee activity (beneficial level)
+        const beeLevelFactor = clamp(this.beneficialAttractionLevel / 10, 0, 1); // Factor 0-1 based on attraction
+        const beeWindReduction = beeLevelFactor * (Config.RATES.beePollinationWindReduction || 0);
+        // Pollination happens if wind is strong enough (considering bee help)
+        this.isPollinated = this.currentWindSpeed >= (Config.THRESHOLDS.pollinationWindThreshold - beeWindReduction);
+    } // End updateWeather
+
+    /**
+     * Returns the multi-day weather event in progress, if any.
+     * @returns {{type: string, startDay: number, endDay: number, started: boolean} | null} The active event, or null.
+     */
+    getActiveWeatherEvent() {
+        return this.weatherEvents.find(event => event.started) ?? null;
+    }
+
+    /**
+     * Returns the planned weather of a day: the climate's seasonal profile, adjusted by the multi-day weather event
+     * covering the day and the day's planned anomaly. updateWeather() draws the actual weather from this and the
+     * forecast describes it, so forecasts and weather come from the same generator.
+     * @param {object} climateProps - Properties of the climate (CLIMATE_PROPERTIES entry).
+     * @param {number} day - Fractional simulated day.
+     * @returns {{tempRange: Array<number>, humidityAvg: number, windChance: number, rainChance: number, weatherEvent: object | null}}
+     * Night low / afternoon high, humidity target, wind chance, chance of rain starting during the day,
+     * and the weather event covering the day (null if none).
+     */
+    getDayWeather(climateProps, day) {
+        const anomalyRange = SimulationConfig.FORECAST.DAY_ANOMALY;
+        const anomaly = this.weatherOutlook.find(planned => planned.day === Math.floor(day)) ?? { temperature: 0, humidity: 0, windChance: 0, rainChance: 0 };
+        const weatherEvent = this.weatherEvents.find(event => day >= event.startDay && day < event.endDay) ?? null;
+        const eventProps = weatherEvent ? climateProps.weatherEvents?.[weatherEvent.type] ?? {} : {};
+        const profile = getClimateProfile(climateProps, getCalendarDate(day).dayOfYear);
+        // The rain anomaly scales the odds, so the chance stays below 100% (always raining) for every climate
+        const baseRainChance = clamp(climateProps.rainChancePerDay || 0, 0, 1);
+        const rainOdds = baseRainChance / (1 - baseRainChance) * Math.exp(anomaly.rainChance * anomalyRange.rainChance);
+
+        const weather = {
+            tempRange: profile.tempRange.map(temp => temp + anomaly.temperature * anomalyRange.temperature),
+            humidityAvg: clamp(profile.humidityAvg + anomaly.humidity * anomalyRange.humidity, 0, 100),
+            windChance: clamp((profile.windChance || 0) * (1 + anomaly.windChance * anomalyRange.windChance), 0, 1),
+            rainChance: baseRainChance < 1 ? rainOdds / (1 + rainOdds) : 1,
+            weatherEvent
+        };
+        if (weatherEvent?.type === WeatherEventTypes.HEATWAVE) {
+            weather.tempRange = weather.tempRange.map(temp => temp + (eventProps.tempBoost || 0));
+        } else if (weatherEvent?.type === WeatherEventTypes.DROUGHT) {
+            weather.humidityAvg *= eventProps.humidityFactor ?? 1;
+            weather.rainChance = 0; // No rain during a drought
+        } else if (weatherEvent?.type === WeatherEventTypes.HUMID_SPELL) {
+            weather.humidityAvg = Math.min(100, weather.humidityAvg + (eventProps.humidityBoost || 0));
+        }
+        return weather;
+    }
+
+    /**
+     * Returns the latest weather forecast (reissued every simulated day).
+     * Each day has expected values and their uncertainty (±), which grows with the lead time.
+     * @param {number} [days=SimulationConfig.FORECAST.DAYS] - Number of days wanted, from tomorrow.
+     * @returns {Array<object>} Forecast days: { day, lead, low, high, tempError, humidity, humidityError, wind, windError,
+     * rainChance, rainChanceError, stormChance, weatherType } (weatherType: a forecast WeatherEventTypes value or null).
+     */
+    getForecast(days = SimulationConfig.FORECAST.DAYS) {
+        return (this.forecast?.days ?? []).slice(0, days);
+    }
+
+    /**
+     * Keeps the weather planned from today to FORECAST.DAYS ahead (each new day gets random anomalies)
+     * and reissues the forecast when a day was added or the climate changed.
+     * @private
+     * @param {object} climateProps - Properties of the current climate (CLIMATE_PROPERTIES entry).
+     */
+    _updateWeatherOutlook(climateProps) {
+        const today = Math.floor(this.simulatedDaysElapsed);
+        const lastDay = today + SimulationConfig.FORECAST.DAYS;
+        this.weatherOutlook = this.weatherOutlook.filter(planned => planned.day >= today);
+        let plannedUntil = this.weatherOutlook.at(-1)?.day ?? today - 1;
+        const isOutdated = plannedUntil < lastDay || this.forecast?.climate !== this.currentClimate;
+        while (plannedUntil < lastDay) {
+            plannedUntil++;
+            this.weatherOutlook.push({
+                day: plannedUntil,
+                temperature: this.random.next() * 2 - 1,
+                humidity: this.random.next() * 2 - 1,
+                windChance: this.random.next() * 2 - 1,
+                rainChance: this.random.next() * 2 - 1
+            });
+        }
+        if (isOutdated) this._issueForecast(climateProps, today);
+    }
+
+    /**
+     * Issues the forecast for the planned days after today: their planned weather with a random error
+     * of up to FORECAST.ERROR_PER_DAY per day of lead time.
+     * @private
+     * @param {object} climateProps - Properties of the current climate (CLIMATE_PROPERTIES entry).
+     * @param {number} today - The current whole simulated day.
+     */
+    _issueForecast(climateProps, today) {
+        const errorPerDay = SimulationConfig.FORECAST.ERROR_PER_DAY;
+        const meanWindSpeed = (climateProps.windSpeedRange[0] + climateProps.windSpeedRange[1]) / 2;
+        const withError = (value, maxError) => value + (this.random.next() * 2 - 1) * maxError;
+        const days = this.weatherOutlook.filter(planned => planned.day > today).map(planned => {
+            const lead = planned.day - today;
+            const weather = this.getDayWeather(climateProps, planned.day + 0.5);
+            const tempError = errorPerDay.temperature * lead;
+            const humidityError = errorPerDay.humidity * lead;
+            const windError = errorPerDay.wind * lead;
+            // Bounded by the distance to 0% and 100%, so a dry day is not forecast as rainy after clamping
+            const rainChanceError = Math.min(errorPerDay.rainChance * lead, weather.rainChance, 1 - weather.rainChance);
+            const rainChance = clamp(withError(weather.rainChance, rainChanceError), 0, 1);
+            return {
+                day: planned.day,
+                lead,
+                low: withError(weather.tempRange[0], tempError),
+                high: withError(weather.tempRange[1], tempError),
+                tempError,
+                humidity: clamp(withError(weather.humidityAvg, humidityError), 0, 100),
+                humidityError,
+                wind: Math.max(0, withError(weather.windChance * meanWindSpeed, windError)), // Typical wind speed over the day
+                windError,
+                rainChance,
+                rainChanceError,
+                stormChance: rainChance * (climateProps.stormChance || 0),
+                weatherType: weather.weatherEvent?.type ?? null
+            };
+        });
+        this.forecast = { climate: this.currentClimate, issuedDay: today, days };
+    }
+
+    /**
+     * Starts and ends multi-day weather events when their days come, and once a day (while none is
+     * forecast or active) rolls whether the next one is forecast.
+     * @private
+     * @param {object} climateProps - Properties of the current climate (CLIMATE_PROPERTIES entry).
+     * @param {number} elapsedSimMinutes - Simulated minutes passed since the last tick.
+     */
+    _updateWeatherEvents(climateProps, elapsedSimMinutes) {
+        const day = this.simulatedDaysElapsed;
+        this.weatherEvents = this.weatherEvents.filter(event => {
+            if (day >= event.endDay) {
+                if (event.started) this.emit(SimulationEvents.WEATHER_EVENT_ENDED, { weatherType: event.type, startDay: event.startDay, endDay: event.endDay });
+                return false;
+            }
+            if (!event.started && day >= event.startDay) {
+                event.started = true;
+                this.emit(SimulationEvents.WEATHER_EVENT_STARTED, { weatherType: event.type, startDay: event.startDay, endDay: event.endDay });
+            }
+            return true;
+        });
+
+        const isNewDay = Math.floor(day) > Math.floor(day - elapsedSimMinutes / (24 * 60));
+        if (!isNewDay || this.weatherEvents.length > 0) return;
+        const month = getCalendarDate(day).month;
+        for (const [type, eventProps] of Object.entries(climateProps.weatherEvents || {})) {
+            if (eventProps.months && !eventProps.months.includes(month)) continue;
+            if (this.random.next() < (eventProps.chancePerDay || 0)) {
+                this._forecastWeatherEvent(type, eventProps, Math.floor(day));
+                break;
+            }
+        }
+    }
+
+    /**
+     * Schedules a multi-day weather event a few days ahead and announces it.
+     * @private
+     * @param {string} type - One of WeatherEventTypes.
+     * @param {object} eventProps - The climate's settings for this event (durationDaysRange).
+     * @param {number} today - The current whole simulated day.
+     */
+    _forecastWeatherEvent(type, eventProps, today) {
+        const [minLead, maxLead] = SimulationConfig.WEATHER_EVENT_LEAD_DAYS;
+        const [minDays, maxDays] = eventProps.durationDaysRange || [1, 1];
+        const startDay = today + minLead + this.random.nextInt(maxLead - minLead + 1);
+        const endDay = startDay + minDays + this.random.nextInt(maxDays - minDays + 1);
+        this.weatherEvents.push({ type, startDay, endDay, started: false });
+        this.emit(SimulationEvents.WEATHER_EVENT_FORECAST, { weatherType: type, startDay, endDay });
+    }
+
+    /**
+     * Starts a shower with a random intensity and length from the climate's ranges; some showers are storms.
+     * @private
+     * @param {object} climateProps - Properties of the current climate (CLIMATE_PROPERTIES entry).
+     * @param {number} elapsedSimMinutes - Simulated minutes per tick (to convert the length into ticks).
+     */
+    _startRain(climateProps, elapsedSimMinutes) {
+        const Config = SimulationConfig;
+        const [minIntensity, maxIntensity] = climateProps.rainIntensityRange || [0, 0];
+        const [minHours, maxHours] = climateProps.rainDurationHoursRange || [1, 1];
+        this.isStorm = this.random.next() < (climateProps.stormChance || 0);
+        this.rainIntensity = minIntensity + this.random.next() * (maxIntensity - minIntensity);
+        if (this.isStorm) this.rainIntensity *= Config.RATES.stormRainMultiplier || 1;
+        const hours = minHours + this.random.next() * (maxHours - minHours);
+        this.rainTicksLeft = Math.max(1, Math.round((hours * 60) / elapsedSimMinutes));
+        this.emit(SimulationEvents.RAIN_STARTED, {
+            intensity: this.rainIntensity,
+            isStorm: this.isStorm,
+            hours: (this.rainTicksLeft * elapsedSimMinutes) / 60
+        });
+    }
+
+    /**
+     * Updates the position of the bee, biased towards attractive plants.
+     */
+    updateBee() {
+        if (this.squareState.size === 0) return; // Ensure grid isn't empty
+
+        const Config = SimulationConfig;
+        const beeIndex = this.grid.indexOf(this.beePosition.x, this.beePosition.y);
+        const neighbors = this.grid.getNeighborKeys(beeIndex, true, 1); // Check adjacent squares
+        const preferredNeighbors = []; // Neighbors with attractive, mature plants
+
+        neighbors.forEach(nKey => {
+            const plant = this.squareState.get(nKey)?.plant;
+            if (plant && plant.properties?.attractsBeneficials && (plant.maturityProgress || 0) >= Config.THRESHOLDS.plantMaturityForBeneficials) {
+                preferredNeighbors.push(nKey);
+            }
+        });
+
+        let nextKey = null;
+        // High chance (70%) to move to a preferred neighbor if available
+        if (preferredNeighbors.length > 0 && this.random.next() < 0.7) {
+            nextKey = this.random.pick(preferredNeighbors);
+        } else if (neighbors.length > 0) {
+            // Otherwise move to any random neighbor, so the bee never gets stuck
+            nextKey = this.random.pick(neighbors);
+        }
+
+        // Update bee position if a valid next key was chosen (stays put otherwise)
+        if (nextKey) {
+            const nextIndex = this.grid.indexOfKey(nextKey);
+            this.beePosition.x = this.grid.xOf(nextIndex);
+            this.beePosition.y = this.grid.yOf(nextIndex);
+        }
+    } // End updateBee
+
+    // =============================================
+    // --- State Access & Player Actions ---
+    // =============================================
+
+    /**
+     * Returns the global simulation state bundled into a single object.
+     * The squares map is returned by reference; other values are copies.
+     * @returns {object} Snapshot of the global simulation state.
+     */
+    getState() {
+        return {
+            squareState: this.squareState,
+            seed: this.random.seed,
+            currentClimate: this.currentClimate,
+            tickMode: this.tickMode,
+            ambientTemperature: this.ambientTemperature,
+            currentHumidity: this.currentHumidity,
+            currentWindSpeed: this.currentWindSpeed,
+            currentWindDirection: this.currentWindDirection,
+            rainIntensity: this.rainIntensity,
+            isStorm: this.isStorm,
+            weatherEvents: structuredClone(this.weatherEvents),
+            forecast: this.getForecast(),
+            isPollinated: this.isPollinated,
+            simulatedTimeOfDay: this.simulatedTimeOfDay,
+            simulatedDaysElapsed: this.simulatedDaysElapsed,
+            tickCounter: this.tickCounter,
+            playerMoney: this.playerMoney,
+            beneficialAttractionLevel: this.beneficialAttractionLevel,
+            beePosition: { ...this.beePosition },
+            harvestData: structuredClone(this.harvestData)
+        };
+    }
+
+    /**
+     * Returns a plain-object snapshot of the complete simulation state for saving.
+     * Includes the generator position so a restored game continues the same random sequence.
+     * @returns {object} Serializable simulation state.
+     */
+    toJSON() {
+        return {
+            ...this.globalsToJSON(),
+            squares: Array.from(this.squareState.values(), sq => sq.toJSON()) // Map order = update order
+        };
+    }
+
+    /**
+     * Returns everything toJSON() does except the squares (weather, time, money, RNG position, grid size).
+     * Cheap enough to send to the UI after every batch of ticks (see stateDiff.js).
+     * @returns {object} Serializable global state.
+     */
+    globalsToJSON() {
+        return {
+            random: this.random.getState(),
+            grid: { rows: this.grid.rows, cols: this.grid.cols },
+            currentClimate: this.currentClimate,
+            tickMode: this.tickMode,
+            ambientTemperature: this.ambientTemperature,
+            currentHumidity: this.currentHumidity,
+            currentWindSpeed: this.currentWindSpeed,
+            currentWindDirection: this.currentWindDirection,
+            rainIntensity: this.rainIntensity,
+            rainTicksLeft: this.rainTicksLeft,
+            isStorm: this.isStorm,
+            weatherEvents: structuredClone(this.weatherEvents),
+            weatherOutlook: structuredClone(this.weatherOutlook),
+            forecast: structuredClone(this.forecast),
+            isPollinated: this.isPollinated,
+            simulatedTimeOfDay: this.simulatedTimeOfDay,
+            simulatedDaysElapsed: this.simulatedDaysElapsed,
+            lastWindChangeDay: this.lastWindChangeDay,
+            tickCounter: this.tickCounter,
+            harvestData: structuredClone(this.harvestData),
+            beneficialAttractionLevel: this.beneficialAttractionLevel,
+            playerMoney: this.playerMoney,
+            beePosition: { ...this.beePosition }
+        };
+    }
+
+    /**
+     * Replaces the current state with a snapshot produced by toJSON().
+     * Squares are recreated without DOM references.
+     * @param {object} data - Serialized simulation state (already migrated to the current format).
+     */
+    loadFromJSON(data) {
+        this.loadGlobalsFromJSON(data);
+
+        this.squareState.clear();
+        this._ensureGrid(data.grid?.cols ?? SimulationConfig.GRID_COLS, data.grid?.rows ?? SimulationConfig.GRID_ROWS);
+        data.squares.forEach(sqData => {
+            this.squareState.set(sqData.key, Square.fromJSON(sqData));
+        });
+        this._linkSquares();
+    }
+
+    /**
+     * Replaces everything except the squares and the grid size with values from a toJSON() snapshot.
+     * Used by loadFromJSON() and to keep a UI-side mirror in sync with state diffs (see stateDiff.js).
+     * @param {object} data - Serialized simulation state; its squares are ignored.
+     */
+    loadGlobalsFromJSON(data) {
+        this.random.setState(data.random);
+        this.currentClimate = data.currentClimate;
+        this.tickMode = data.tickMode ?? TickModes.LEGACY; // Saves made before tick modes existed ran the legacy tick
+        this.ambientTemperature = data.ambientTemperature;
+        this.currentHumidity = data.currentHumidity;
+        this.currentWindSpeed = data.currentWindSpeed;
+        this.currentWindDirection = data.currentWindDirection;
+        this.rainIntensity = data.rainIntensity ?? 0; // Saves made before rain existed are dry
+        this.rainTicksLeft = data.rainTicksLeft ?? 0;
+        this.isStorm = data.isStorm ?? false;
+        this.weatherEvents = structuredClone(data.weatherEvents ?? []);
+        this.weatherOutlook = structuredClone(data.weatherOutlook ?? []); // Saves made before forecasts existed plan their outlook on the next tick
+        this.forecast = structuredClone(data.forecast ?? null);
+        this.isPollinated = data.isPollinated;
+        this.simulatedTimeOfDay = data.simulatedTimeOfDay;
+        this.simulatedDaysElapsed = data.simulatedDaysElapsed;
+        this.lastWindChangeDay = data.lastWindChangeDay;
+        this.tickCounter = data.tickCounter;
+        this.harvestData = structuredClone(data.harvestData);
+        this.beneficialAttractionLevel = data.beneficialAttractionLevel;
+        this.playerMoney = data.playerMoney;
+        this.beePosition = { ...data.beePosition };
+    }
+
+    /**
+     * Creates a new Simulation from a snapshot produced by toJSON().
+     * @param {object} data - Serialized simulation state.
+     * @returns {Simulation} The restored simulation.
+     */
+    static fromJSON(data) {
+        const simulation = new Simulation({ seed: data.random?.seed });
+        simulation.loadFromJSON(data);
+        return simulation;
+    }
+
+    /**
+     * Checks whether a square has an orthogonal or diagonal neighbor holding the given structure type.
+     * Used by the UI to decide whether to ask about connecting a new Trellis/Net.
+     * @param {string} key - The coordinate key "x,y" of the square.
+     * @param {string} structureType - The structure type to look for.
+     * @returns {boolean} True if an adjacent square holds that structure type.
+     */
+    hasAdjacentStructure(key, structureType) {
+        return this.grid.getNeighborKeys(this.grid.indexOfKey(key), true, 1).some(nKey => this.squareState.get(nKey)?.structure?.type === structureType);
+    }
+
+    /**
+     * Applies a player action to the simulation.
+     * Square actions use the same names as the UI interaction modes and need a square key;
+     * global actions ('mass_harvest', 'mass_neem', 'mass_weed', 'set_climate', 'set_tick_mode', 'resize_grid') do not.
+     * @param {object} action - The action to apply.
+     * @param {string} action.type - Action name (e.g., 'water', 'plant', 'harvest', 'mass_neem').
+     * @param {string} [action.key] - Coordinate key "x,y" of the target square, for square actions.
+     * @param {string} [action.plantType] - Plant type, for the 'plant' action.
+     * @param {boolean} [action.connect=true] - Whether a new Trellis/Net connects to adjacent ones.
+     * @param {string} [action.climate] - Climate key, for the 'set_climate' action.
+     * @param {string} [action.tickMode] - One of TickModes, for the 'set_tick_mode' action.
+     * @param {number} [action.cols] - New garden width, for the 'resize_grid' action.
+     * @param {number} [action.rows] - New garden height, for the 'resize_grid' action.
+     * @returns {{success: boolean, updatedKeys: string[], result?: *, reason?: string}} Outcome of the action
+     * and the keys of squares whose state may have changed.
+     */
+    applyAction(action) {
+        const Config = SimulationConfig;
+
+        // --- Global Actions ---
+        switch (action.type) {
+            case 'mass_harvest': {
+                const updatedKeys = [];
+                let totalValueGained = 0;
+                this.squareState.forEach((sqInstance, key) => {
+                    const harvestResult = sqInstance.harvestPlant();
+                    if (harvestResult.harvested) {
+                        this._recordHarvest(key, harvestResult);
+                        totalValueGained += harvestResult.value;
+                        updatedKeys.push(key);
+                    }
+                });
+                this.playerMoney += totalValueGained;
+                return { success: updatedKeys.length > 0, updatedKeys, result: { value: totalValueGained } };
+            }
+            case 'mass_neem':
+            case 'mass_weed': {
+                const cost = (action.type === 'mass_neem' ? Config.SHOP_COSTS.massNeem : Config.SHOP_COSTS.massWeed) || 0;
+                if (this.playerMoney < cost) {
+                    return { success: false, updatedKeys: [], reason: 'funds' };
+                }
+                this.playerMoney -= cost;
+                const updatedKeys = [];
+                this.squareState.forEach((sqInstance, key) => {
+                    if (action.type === 'mass_neem') {
+                        if (sqInstance.applyNeem()) { // applyNeem returns true if aphids were present
+                            updatedKeys.push(key);
+                            this.emit(SimulationEvents.PEST_REMOVED, { key, pestType: 'Aphids', cause: 'neem' });
+                        }
+                    } else if (sqInstance.variables.weeds > 0) {
+                        sqInstance.variables.weeds = 0;
+                        updatedKeys.push(key);
+                    }
+                });
+                return { success: true, updatedKeys };
+            }
+            case 'set_climate':
+                if (!Config.CLIMATE_PROPERTIES[action.climate]) {
+                    console.warn(`Unknown climate: ${action.climate}`);
+                    return { success: false, updatedKeys: [], reason: 'climate' };
+                }
+                this.currentClimate = action.climate; // Gradual change: next weather update uses the new climate
+                return { success: true, updatedKeys: [] };
+            case 'set_tick_mode':
+                if (!Object.values(TickModes).includes(action.tickMode)) {
+                    console.warn(`Unknown tick mode: ${action.tickMode}`);
+                    return { success: false, updatedKeys: [], reason: 'tickMode' };
+                }
+                this.tickMode = action.tickMode; // Applies from the next tick
+                return { success: true, updatedKeys: [] };
+            case 'resize_grid': {
+                const resizeResult = this.resize(action.cols, action.rows);
+                if (!resizeResult) {
+                    return { success: false, updatedKeys: [], reason: 'size' };
+                }
+                // Every square may have new neighbors; the UI rebuilds the grid view
+                return { success: true, updatedKeys: Array.from(this.squareState.keys()), result: resizeResult };
+            }
+        }
+
+        // --- Square Actions ---
+        const sqInstance = this.squareState.get(action.key);
+        if (!sqInstance) {
+            console.warn(`No square state found for key: ${action.key}`);
+            return { success: false, updatedKeys: [], reason: 'key' };
+        }
+
+        let result = null;
+        let updatedKeys = [action.key];
+        const neighborKeys = this.grid.getNeighborKeys(sqInstance.index, true, 1);
+
+        switch (action.type) {
+            case 'plant':
+                result = sqInstance.tryPlanting(action.plantType);
+                break;
+            case 'water':
+                result = sqInstance.addWater(this.squareState); // Needs squareState for splash
+                updatedKeys = [action.key, ...neighborKeys];
+                break;
+            case 'add_compost':
+                result = sqInstance.addAmendment('compost');
+                break;
+            case 'add_crh':
+                result = sqInstance.addAmendment('crh');
+                break;
+            case 'add_sand':
+                result = sqInstance.addAmendment('sand');
+                break;
+            case 'add_olla':
+                result = sqInstance.tryAddingStructure('Olla', this.squareState);
+                break;
+            case 'add_trellis':
+            case 'add_net':
+                result = sqInstance.tryAddingStructure(action.type === 'add_trellis' ? 'Trellis' : 'Net', this.squareState, action.connect ?? true);
+                updatedKeys = [action.key, ...neighborKeys]; // Neighbor connections may change
+                break;
+            case 'till':
+                result = sqInstance.till(this.squareState); // Needs squareState for connections
+                updatedKeys = [action.key, ...neighborKeys];
+                break;
+            case 'apply_neem':
+                result = sqInstance.applyNeem();
+                if (result) {
+                    this.emit(SimulationEvents.PEST_REMOVED, { key: action.key, pestType: 'Aphids', cause: 'neem' });
+                }
+                break;
+            case 'shop': { // Soil Conditioner applied per square
+                const costSC = Config.SHOP_COSTS.soilConditioner || 0;
+                if (this.playerMoney < costSC) {
+                    return { success: false, updatedKeys: [], reason: 'funds' };
+                }
+                this.playerMoney -= costSC;
+                result = sqInstance.applySoilConditioner();
+                break;
+            }
+            case 'harvest':
+                result = sqInstance.harvestPlant(); // Returns {harvested, yield, value, type, reason}
+                if (result?.harvested) {
+                    this._recordHarvest(action.key, result);
+                    this.playerMoney += result.value;
+                }
+                return { success: !!result?.harvested, updatedKeys, result, reason: result?.reason };
+            case 'remove':
+                result = sqInstance.removeEntity(this.squareState); // Needs squareState for connections
+                updatedKeys = [action.key, ...neighborKeys];
+                break;
+            default:
+                console.warn(`Unknown action type: ${action.type}`);
+                return { success: false, updatedKeys: [], reason: 'type' };
+        }
+
+        return { success: !!result, updatedKeys, result };
+    } // End applyAction
+
+    /**
+     * Adds a successful harvest result to the cumulative harvest data and publishes a 'harvested' event.
+     * @private
+     * @param {string} key - Coordinate key of the harvested square.
+     * @param {object} harvestResult - Result object from Square.harvestPlant().
+     */
+    _recordHarvest(key, harvestResult) {
+        if (!this.harvestData[harvestResult.type]) { // Ensure entry exists
+            this.harvestData[harvestResult.type] = { yield: 0, price: SimulationConfig.PLANT_PROPERTIES[harvestResult.type]?.price ?? 0 };
+        }
+        this.harvestData[harvestResult.type].yield += harvestResult.yield;
+        this.emit(SimulationEvents.HARVESTED, {
+            key,
+            plantType: harvestResult.type,
+            yield: harvestResult.yield,
+            value: harvestResult.value
+        });
+    }
+
+    // =============================================
+    // --- Square Snapshots (Undo/Redo) ---
+    // =============================================
+
+    /**
+     * Returns the keys of every square an action may change, before it is applied.
+     * Square actions can touch the target and its 8 neighbors (water splash, structure connections);
+     * mass actions can touch every square. ActionHistory keeps only the squares that actually changed.
+     * @param {object} action - The action (same shape as for applyAction()).
+     * @returns {string[]} Keys of potentially affected squares.
+     */
+    getActionFootprint(action) {
+        if (['mass_harvest', 'mass_neem', 'mass_weed'].includes(action.type)) {
+            return Array.from(this.squareState.keys());
+        }
+        if (!action.key || !this.squareState.has(action.key)) {
+            return [];
+        }
+        return [action.key, ...this.grid.getNeighborKeys(this.grid.indexOfKey(action.key), true, 1)];
+    }
+
+    /**
+     * Captures the state of the given squares plus the money and harvest totals actions can change.
+     * @param {string[]} keys - Keys of the squares to capture.
+     * @returns {{squares: Array<[string, object]>, playerMoney: number, harvestData: object}} The snapshot.
+     */
+    captureSquares(keys) {
+        return {
+            squares: keys.filter(key => this.squareState.has(key)).map(key => [key, this.squareState.get(key).toJSON()]),
+            playerMoney: this.playerMoney,
+            harvestData: structuredClone(this.harvestData)
+        };
+    }
+
+    /**
+     * Restores squares (and money/harvest totals) from a snapshot made by captureSquares().
+     * Squares are overwritten in place, so they keep their DOM references and neighbor links.
+     * @param {object} snapshot - Snapshot from captureSquares().
+     * @returns {string[]} Keys of the restored squares.
+     */
+    restoreSquares(snapshot) {
+        const restoredKeys = [];
+        snapshot.squares.forEach(([key, data]) => {
+            const current = this.squareState.get(key);
+            if (!current) return; // Grid no longer contains this square
+            current.loadJSON(data);
+            restoredKeys.push(key);
+        });
+        this.playerMoney = snapshot.playerMoney;
+        this.harvestData = structuredClone(snapshot.harvestData);
+        return restoredKeys;
+    }
+
+} // --- End Simulation Class ---
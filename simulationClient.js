@@ -0,0 +1,89 @@
+/**
+ * Imports the engine (used as a read-only mirror), the host for the main-thread fallback and the diff helper.
+ */
+import { Simulation } from './simulation.js';
+import { SimulationHost } from './simulationHost.js';
+import { applyStateDiff } from './stateDiff.js';
+
+/**
+ * UI-side connection to the simulation engine running in a Web Worker.
+ * Keeps `simulation`, a mirror of the engine's state built from the diffs the worker sends, which the UI reads
+ * for rendering, hover info and thumbnails (saves come from the engine, see HostRequests.CREATE_SAVE).
+ * The mirror must not be changed directly; every change goes to the worker as a request (see HostRequests),
+ * so the worker's history and replay recording see it.
+ */
+export class SimulationClient {
+    /**
+     * Starts the worker. If module workers are not available, the host runs on the main thread instead.
+     */
+    constructor() {
+        this.simulation = new Simulation(); // Mirror; replaced by the worker's garden on the first reset
+        this.loop = { speed: 1, isPaused: true, replayProgress: null }; // Loop state from the latest message
+        this.onMessage = null; // Called after the mirror has been updated: (message, gridReplaced) => void
+        this.onProgress = null; // Called with skip-ahead progress messages: ({ progress, day }) => void
+
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map(); // Request id -> { resolve, reject }
+
+        try {
+            this.worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', event => this._receive(event.data));
+            this.worker.addEventListener('error', event => console.error("Simulation worker error:", event.message));
+            this.host = null;
+        } catch (e) {
+            console.warn("Web Worker unavailable, running the simulation on the main thread:", e);
+            this.worker = null;
+            // Cloned and delivered asynchronously, like worker messages
+            this.host = new SimulationHost(message => queueMicrotask(() => this._receive(structuredClone(message))));
+        }
+    } // End constructor
+
+    /**
+     * Sends a request to the engine.
+     * @param {string} type - One of HostRequests.
+     * @param {object} [payload={}] - Request data (e.g., { action } for HostRequests.ACTION).
+     * @returns {Promise<*>} Resolves with the response value once the mirror includes the request's changes;
+     * rejects with an Error if the request failed.
+     */
+    request(type, payload = {}) {
+        const id = this.nextRequestId++;
+        const message = { ...payload, id, type };
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(id, { resolve, reject });
+            if (this.worker) {
+                this.worker.postMessage(message);
+            } else {
+                queueMicrotask(() => this.host.handleMessage(structuredClone(message)));
+            }
+        });
+    }
+
+    /**
+     * Applies a message from the engine to the mirror, notifies the UI and settles the matching request.
+     * @private
+     * @param {object} message - Update, response or progress message (see SimulationHost).
+     */
+    _receive(message) {
+        if (message.type === 'progress') {
+            this.onProgress?.(message); // Carries no state; the skip's response does
+            return;
+        }
+        const gridReplaced = applyStateDiff(this.simulation, message.diff);
+        this.loop = message.loop;
+        try {
+            this.onMessage?.(message, gridReplaced);
+        } catch (e) {
+            console.error("Error handling simulation update:", e);
+        }
+
+        if (message.type !== 'response') return;
+        const pending = this.pendingRequests.get(message.id);
+        if (!pending) return;
+        this.pendingRequests.delete(message.id);
+        if (message.ok) {
+            pending.resolve(message.value);
+        } else {
+            pending.reject(new Error(message.error));
+        }
+    }
+} // --- End SimulationClient Class ---
@@ -0,0 +1,440 @@
+/**
+ * Imports the engine, its drivers (clock, undo history, replays, saves, breakpoints) and the state differ.
+ */
+import { SimulationConfig } from './config.js';
+import { Simulation } from './simulation.js';
+import { FixedStepClock } from './clock.js';
+import { ActionHistory } from './actionHistory.js';
+import { ReplayRecorder, ReplayPlayer } from './replay.js';
+import { createSaveGame, loadSaveGame } from './saveGame.js';
+import { StateDiffer } from './stateDiff.js';
+import { SimulationEvents } from './events.js';
+import { BreakpointMonitor } from './breakpoints.js';
+
+/**
+ * Runs the simulation engine and its loop away from the UI thread.
+ * The host owns the authoritative Simulation together with everything that must see the exact tick
+ * an action happens at (undo history, replay recording and playback, the fixed-step loop timer).
+ * It talks only through messages, so the same class runs inside simulationWorker.js or, as a fallback,
+ * on the main thread (see SimulationClient).
+ *
+ * Messages to the host are requests: { id, type: one of HostRequests, ...payload }.
+ * Messages from the host:
+ * - { type: 'update', diff, events, loop, breakpoint, replayActions } after every timer callback that ran steps.
+ * - { type: 'response', id, ok, value | error, diff, events, loop, breakpoint } once per request.
+ * `breakpoint` is the breakpoint hit by the loop or a single step ({ type, key, text }, see BreakpointMonitor) or null.
+ * - { type: 'progress', progress, day } while skipping ahead (no state; the response carries it).
+ * `diff` comes from StateDiffer, `events` are the simulation events since the last message,
+ * `loop` is the loop state (see getLoopState()) and `replayActions` the replay entries applied.
+ */
+
+/** Request types understood by SimulationHost. */
+export const HostRequests = Object.freeze({
+    RESET: 'reset', // { options } - new garden (Simulation.reset() options); starts the loop
+    LOAD_SAVE: 'loadSave', // { save } - loads a save object; fails if it is invalid
+    ACTION: 'action', // { action } - player action; value is the outcome of Simulation.applyAction()
+    UNDO: 'undo', // value: { label, updatedKeys } or null if there was nothing to undo
+    REDO: 'redo', // value: { label, updatedKeys } or null if there was nothing to redo
+    SET_SPEED: 'setSpeed', // { speed } - speed multiplier (SimulationConfig.SPEED_STEPS range)
+    SET_PAUSED: 'setPaused', // { paused }
+    STEP: 'step', // Advances exactly one tick while paused; value: true if a tick was run
+    SET_BREAKPOINTS: 'setBreakpoints', // { breakpoints } - conditions that pause the loop (see BreakpointTypes)
+    START_REPLAY: 'startReplay', // { replay } - plays back a parsed replay file
+    STOP_REPLAY: 'stopReplay', // Ends playback and resumes normal play from the current state
+    CREATE_REPLAY: 'createReplay', // value: the replay of everything recorded since the last reset/load
+    CREATE_SAVE: 'createSave', // value: a save object of the current garden (made from the engine's state)
+    SKIP_AHEAD: 'skipAhead', // { days, until } - simulates without pauses, stopping at breakpoints; value: { reason, daysSkipped, key }
+    CANCEL_SKIP: 'cancelSkip' // Stops a running skip after its current chunk
+});
+
+/** Events that can end a skip ahead early (the `until` of HostRequests.SKIP_AHEAD). */
+export const SkipStopConditions = Object.freeze({
+    HARVESTABLE: 'harvestable', // A plant becomes ready to harvest
+    PEST_OUTBREAK: 'pestOutbreak' // Pests appear on a square
+});
+
+export class SimulationHost {
+    /**
+     * Creates a host with an idle loop; the first RESET request starts it.
+     * @param {function(object): void} post - Sends a message to the UI (e.g., self.postMessage in a worker).
+     */
+    constructor(post) {
+        this.post = post;
+
+        // --- Engine and Drivers ---
+        this.simulation = new Simulation();
+        this.clock = new FixedStepClock(); // Turns real-time deltas into fixed-size simulation steps
+        this.actionHistory = new ActionHistory(); // Undo/redo of player actions
+        this.replayRecorder = new ReplayRecorder(); // Records every player action since the last reset/load
+        this.replayPlayer = null; // Active ReplayPlayer while a replay is playing back, else null
+        this.differ = new StateDiffer(); // Tracks what the UI's mirror has already received
+        this.breakpoints = new BreakpointMonitor(this.simulation); // Pauses the loop when a condition is met
+        this.breakpointHit = null; // Breakpoint hit since the last message, sent with the next one
+
+        // --- Events Since the Last Message ---
+        this.pendingEvents = [];
+        this.simulation.events.on('*', event => this.pendingEvents.push(event));
+
+        // --- Loop State ---
+        this.intervalId = null; // ID for the loop interval timer
+        this.speed = 1; // Speed multiplier
+        this.isPaused = true; // Stays idle until the first reset
+        this.lastTickTimestamp = Date.now(); // Timestamp of the last timer callback for delta time calculation
+        this.skip = null; // { cancelled } while skipping ahead; the loop timer is stopped meanwhile
+    } // End constructor
+
+    /**
+     * Handles a request from the UI and posts its response (with the resulting state diff).
+     * Errors are reported in the response instead of being thrown.
+     * Most requests complete immediately; a skip ahead keeps running while later requests (e.g., its cancel) are handled.
+     * @param {object} message - The request { id, type, ...payload }.
+     * @returns {Promise<void>} Resolves once the response has been posted.
+     */
+    async handleMessage(message) {
+        let value = null;
+        try {
+            value = await this._handleRequest(message);
+        } catch (e) {
+            this.post({ type: 'response', id: message.id, ok: false, error: e.message, ...this._createUpdate() });
+            return;
+        }
+        this.post({ type: 'response', id: message.id, ok: true, value, ...this._createUpdate() });
+    }
+
+    /**
+     * Performs a request.
+     * @private
+     * @param {object} message - The request { id, type, ...payload }.
+     * @returns {*} The response value (a Promise for HostRequests.SKIP_AHEAD).
+     * @throws {Error} If the request fails (invalid save or replay, unknown type, ...).
+     */
+    _handleRequest(message) {
+        const simulation = this.simulation;
+        switch (message.type) {
+            case HostRequests.RESET:
+                if (this.skip) this.skip.cancelled = true; // A new garden ends the skip
+                simulation.reset(message.options);
+                this.speed = 1;
+                this.isPaused = false;
+                this._startNewGarden();
+                return null;
+            case HostRequests.LOAD_SAVE:
+                loadSaveGame(simulation, message.save); // Throws before changing anything if the save is invalid
+                if (this.skip) this.skip.cancelled = true;
+                this._startNewGarden();
+                return null;
+            case HostRequests.ACTION:
+                if (this.replayPlayer || this.skip) {
+                    return { success: false, updatedKeys: [], reason: this.skip ? 'skipping' : 'replay' };
+                }
+                this.replayRecorder.record(simulation, message.action);
+                return this.actionHistory.execute(simulation, message.action);
+            case HostRequests.UNDO:
+            case HostRequests.REDO: {
+                if (this.replayPlayer || this.skip) return null; // Replay or skip controls the garden
+                const isUndo = message.type === HostRequests.UNDO;
+                this.replayRecorder.record(simulation, { type: isUndo ? 'undo' : 'redo' });
+                return isUndo ? this.actionHistory.undo(simulation) : this.actionHistory.redo(simulation);
+            }
+            case HostRequests.SET_SPEED: {
+                const steps = SimulationConfig.SPEED_STEPS;
+                if (!(message.speed >= steps[0] && message.speed <= steps[steps.length - 1])) {
+                    throw new Error(`Speed must be between ${steps[0]}x and ${steps[steps.length - 1]}x.`);
+                }
+                this.speed = message.speed;
+                this.replayRecorder.record(simulation, { type: 'set_speed', speed: this.speed });
+                this._resetInterval();
+                return null;
+            }
+            case HostRequests.SET_PAUSED:
+                this.isPaused = !!message.paused;
+                this.replayRecorder.record(simulation, { type: this.isPaused ? 'pause' : 'resume' });
+                this._resetInterval();
+                return null;
+            case HostRequests.STEP:
+                if (!this.isPaused || this.skip) return false; // The timer (or a skip) is already stepping
+                this.breakpointHit = this._advanceCheckedStep().breakpoint; // Already paused; only reported
+                this.differ.resendAllSquares(); // The response carries every square of the new tick
+                return true;
+            case HostRequests.SET_BREAKPOINTS:
+                this.breakpoints.setBreakpoints(message.breakpoints); // Throws if a breakpoint is invalid
+                return null;
+            case HostRequests.START_REPLAY:
+                this.replayPlayer = new ReplayPlayer(message.replay, simulation, this.actionHistory); // Throws if invalid
+                if (this.skip) this.skip.cancelled = true;
+                this.replayRecorder.stop(); // Playback is not itself recorded
+                this.pendingEvents = [];
+                this.differ.invalidate();
+                this.isPaused = false;
+                this._resetInterval();
+                return null;
+            case HostRequests.STOP_REPLAY:
+                if (this.replayPlayer) this._stopReplay();
+                return null;
+            case HostRequests.CREATE_REPLAY:
+                if (!this.replayRecorder.isRecording) {
+                    throw new Error("No recording available while a replay is playing.");
+                }
+                return this.replayRecorder.createReplay(simulation);
+            case HostRequests.CREATE_SAVE:
+                return createSaveGame(simulation);
+            case HostRequests.SKIP_AHEAD:
+                return this._skipAhead(message.days, message.until || null);
+            case HostRequests.CANCEL_SKIP:
+                if (this.skip) this.skip.cancelled = true;
+                return null;
+            default:
+                throw new Error(`Unknown request: ${message.type}`);
+        }
+    } // End _handleRequest
+
+    /**
+     * Clears history, playback and recording after the garden was replaced (reset or load), and restarts the loop.
+     * @private
+     */
+    _startNewGarden() {
+        this.actionHistory.clear(); // Snapshots refer to the previous garden
+        this.replayPlayer = null; // Loading or resetting ends any playback
+        this.replayRecorder.start(this.simulation, this.clock.stepMinutes); // Recording covers everything from here
+        this.pendingEvents = [];
+        this.differ.invalidate(); // The mirror needs the whole new garden
+        this._resetInterval();
+    }
+
+    /**
+     * Returns the loop state shown by the UI.
+     * @returns {{speed: number, isPaused: boolean, replayProgress: number | null}} replayProgress is null
+     * unless a replay is playing.
+     */
+    getLoopState() {
+        return {
+            speed: this.speed,
+            isPaused: this.isPaused,
+            replayProgress: this.replayPlayer ? this.replayPlayer.progress : null
+        };
+    }
+
+    /**
+     * Builds the state part of a message and clears the pending events and breakpoint hit.
+     * @private
+     * @returns {{diff: object, events: object[], loop: object, breakpoint: object | null}} Diff, events, loop state
+     * and the breakpoint hit since the last message.
+     */
+    _createUpdate() {
+        const events = this.pendingEvents;
+        const breakpoint = this.breakpointHit;
+        this.pendingEvents = [];
+        this.breakpointHit = null;
+        return { diff: this.differ.createDiff(this.simulation), events, loop: this.getLoopState(), breakpoint };
+    }
+
+    // =============================================
+    // --- Loop ---
+    // =============================================
+
+    /**
+     * Restarts the loop timer for the current speed, or stops it while paused.
+     * @private
+     */
+    _resetInterval() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        if (!this.isPaused && !this.skip) {
+            const intervalMs = (SimulationConfig.BASE_UPDATE_INTERVAL_MS || 1000) / this.speed;
+            this.lastTickTimestamp = Date.now(); // Reset timestamp for accurate delta time on the first callback
+            this.clock.reset(); // Don't carry time owed from before a pause/speed change
+            this.intervalId = setInterval(() => this._onTimer(), intervalMs);
+        }
+    }
+
+    /**
+     * Timer callback: advances the simulation in fixed steps covering the elapsed time and posts one update.
+     * Stops early and pauses the loop at the first step that hits a breakpoint.
+     * @private
+     */
+    _onTimer() {
+        // --- 1. Calculate Time Delta ---
+        const now = Date.now();
+        const elapsedRealMs = now - this.lastTickTimestamp;
+        this.lastTickTimestamp = now;
+        const steps = this.clock.advance(elapsedRealMs, this.speed);
+        if (steps === 0) return; // Timer fired early; nothing to simulate yet
+
+        // --- 2. Advance the Simulation ---
+        const replayActions = [];
+        let breakpoint = null;
+        for (let i = 0; i < steps && !breakpoint; i++) {
+            const result = this._advanceCheckedStep();
+            replayActions.push(...result.replayActions);
+            breakpoint = result.breakpoint;
+        }
+
+        // --- 3. Pause at a Breakpoint ---
+        if (breakpoint) {
+            this.isPaused = true;
+            this.replayRecorder.record(this.simulation, { type: 'pause' });
+            this._resetInterval();
+        }
+
+        // --- 4. Send the Changes ---
+        this.breakpointHit = breakpoint;
+        this.post({ type: 'update', ...this._createUpdate(), replayActions });
+    }
+
+    /**
+     * Runs one simulation step and checks the breakpoints against it (loop timer and single steps).
+     * @private
+     * @returns {{replayActions: object[], breakpoint: object | null}} Replay actions applied before the step,
+     * and the breakpoint hit during it.
+     */
+    _advanceCheckedStep() {
+        this.breakpoints.clearHit(); // Only events of this step count
+        const replayActions = this._advanceOneStep();
+        return { replayActions, breakpoint: this.breakpoints.check() };
+    }
+
+    /**
+     * Runs one simulation step, through the replay while one is playing.
+     * @private
+     * @returns {object[]} Replay actions applied before the step (empty without a replay).
+     */
+    _advanceOneStep() {
+        if (this.replayPlayer) {
+            return this._advanceReplay(); // Applies recorded actions due at this tick, then steps
+        }
+        this.simulation.step(this.clock.stepMinutes);
+        return [];
+    }
+
+    /**
+     * Advances an active replay by one step. Ends playback once the replay is finished.
+     * @private
+     * @returns {object[]} The replay actions applied before the step.
+     */
+    _advanceReplay() {
+        const applied = this.replayPlayer.step();
+        applied.forEach(({ action }) => {
+            if (action.type === 'set_speed') {
+                this.speed = action.speed;
+                this._resetInterval(); // Applies from the next timer callback
+            }
+        });
+        if (this.replayPlayer.finished) {
+            this._stopReplay();
+        }
+        return applied.map(({ action }) => action);
+    }
+
+    /**
+     * Ends replay playback, leaving the garden in its current state, and resumes normal recording.
+     * @private
+     */
+    _stopReplay() {
+        this.replayPlayer = null;
+        this.replayRecorder.start(this.simulation, this.clock.stepMinutes);
+    }
+
+    // =============================================
+    // --- Skip Ahead ---
+    // =============================================
+
+    /**
+     * Simulates a number of days as fast as possible, optionally stopping at the first matching event.
+     * Runs in chunks of SimulationConfig.SKIP_AHEAD_CHUNK_MS, posting a progress message after each, so
+     * other requests (cancel, reset, ...) are handled in between. The loop timer is stopped meanwhile;
+     * an active replay keeps playing (its entries are applied at their ticks).
+     * Breakpoints are checked at every step, as in the loop: a hit ends the skip and pauses the loop.
+     * The response carries every square, since none were sent while skipping.
+     * @private
+     * @param {number} days - Simulated days to skip (up to SimulationConfig.SKIP_AHEAD_MAX_DAYS).
+     * @param {string | null} until - One of SkipStopConditions, or null to run all days.
+     * @returns {Promise<{reason: string, daysSkipped: number, key: string | null}>} Why the skip ended
+     * ('days', 'cancelled', 'breakpoint' or the stop condition), the simulated days run and the square
+     * that triggered the stop.
+     * @throws {Error} If a skip is already running or the arguments are invalid.
+     */
+    async _skipAhead(days, until) {
+        const Config = SimulationConfig;
+        if (this.skip) {
+            throw new Error("Already skipping ahead.");
+        }
+        if (!(days > 0 && days <= Config.SKIP_AHEAD_MAX_DAYS)) {
+            throw new Error(`Days to skip must be between 1 and ${Config.SKIP_AHEAD_MAX_DAYS}.`);
+        }
+        if (until && !Object.values(SkipStopConditions).includes(until)) {
+            throw new Error(`Unknown stop condition: ${until}`);
+        }
+
+        const simulation = this.simulation;
+        const stepsPerDay = (24 * 60) / this.clock.stepMinutes;
+        const totalSteps = Math.ceil(days * stepsPerDay);
+        let triggerKey = null; // Square that met the stop condition
+
+        // --- Stop Conditions ---
+        // Plants that are already ready do not count; the skip waits for the next one
+        const readyKeys = until === SkipStopConditions.HARVESTABLE ? this._getHarvestableKeys() : null;
+        const unsubscribe = until === SkipStopConditions.PEST_OUTBREAK
+            ? simulation.events.on(SimulationEvents.PEST_SPAWNED, event => { triggerKey ??= event.key; })
+            : null;
+
+        const skip = { cancelled: false };
+        this.skip = skip;
+        this._resetInterval(); // Stops the timer while skipping
+
+        let step = 0;
+        let breakpoint = null;
+        try {
+            while (step < totalSteps && triggerKey === null && !breakpoint && !skip.cancelled) {
+                const chunkEnd = Date.now() + Config.SKIP_AHEAD_CHUNK_MS;
+                while (step < totalSteps && triggerKey === null && !breakpoint && Date.now() < chunkEnd) {
+                    breakpoint = this._advanceCheckedStep().breakpoint;
+                    step++;
+                    if (readyKeys) {
+                        triggerKey = [...this._getHarvestableKeys()].find(key => !readyKeys.has(key)) ?? null;
+                    }
+                }
+                this.post({ type: 'progress', progress: step / totalSteps, day: simulation.simulatedDaysElapsed });
+                await new Promise(resolve => setTimeout(resolve, 0)); // Lets queued requests (cancel) in
+            }
+        } finally {
+            unsubscribe?.();
+            if (this.skip === skip) this.skip = null;
+            if (breakpoint && !skip.cancelled) {
+                this.isPaused = true; // Same as a breakpoint hit by the loop
+                this.replayRecorder.record(simulation, { type: 'pause' });
+                this.breakpointHit = breakpoint;
+            }
+            this.differ.resendAllSquares(); // Hover info and averages need the values of every square
+            this._resetInterval(); // Resumes the loop (unless paused)
+        }
+
+        let reason = 'days';
+        if (skip.cancelled) reason = 'cancelled';
+        else if (breakpoint) reason = 'breakpoint';
+        else if (triggerKey !== null) reason = until;
+        return { reason, daysSkipped: step / stepsPerDay, key: breakpoint ? breakpoint.key : triggerKey };
+    } // End _skipAhead
+
+    /**
+     * Returns the keys of all squares whose plant is ready to harvest.
+     * @private
+     * @returns {Set<string>} Keys of harvestable squares.
+     */
+    _getHarvestableKeys() {
+        const keys = new Set();
+        this.simulation.squareState.forEach((sqInstance, key) => {
+            if (sqInstance.plant && sqInstance.getHarvestInfo().ready) keys.add(key);
+        });
+        return keys;
+    }
+
+    /**
+     * Stops the loop timer (e.g., when the host is no longer needed).
+     */
+    dispose() {
+        this.isPaused = true;
+        this._resetInterval();
+    }
+} // --- End SimulationHost Class ---
@@ -0,0 +1,8 @@
+/**
+ * Web Worker entry point for the Gardening Grid Simulation.
+ * Runs a SimulationHost off the UI thread; SimulationClient (simulationClient.js) starts it as a module worker.
+ */
+import { SimulationHost } from './simulationHost.js';
+
+const host = new SimulationHost(message => self.postMessage(message));
+self.addEventListener('message', event => host.handleMessage(event.data));
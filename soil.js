@@ -21,7 +21,8 @@ export class Soil {
         pH: 7.0,
         soilCondition: 50, // Note: This is a derived value now, default is fallback
         evaporationRate: 0.1, // Note: This is calculated, default is fallback
-        wetDuration: 0
+        wetDuration: 0,
+        isFrozen: false // Note: Set each tick from the square's temperature
     };
 
     /**
@@ -42,6 +43,7 @@ export class Soil {
         this.soilCondition = initialConditions.soilCondition ?? Soil.DEFAULTS.soilCondition; // Will be overwritten by updateDerivedVariables
         this.evaporationRate = initialConditions.evaporationRate ?? Soil.DEFAULTS.evaporationRate; // Will be overwritten by applyEvaporation
         this.wetDuration = initialConditions.wetDuration ?? Soil.DEFAULTS.wetDuration;
+        this.isFrozen = initialConditions.isFrozen ?? Soil.DEFAULTS.isFrozen; // Frozen soil: microbes dormant, roots take up nothing
 
         // Internal calculation variable
         this.oxygenBasePotential = 100;
@@ -176,6 +178,9 @@ export class Soil {
             return; // Skip update if critical inputs are bad
         }
 
+        // Microbes are dormant in frozen soil: no growth, death or conversion
+        if (this.isFrozen) return;
+
 
         // --- Calculate Microbe Activity Factor based on Temperature ---
         let microbeActivityFactor = 1.0;
@@ -368,4 +373,29 @@ export class Soil {
             : 0;
     }
 
+    // --- Serialization ---
+
+    /**
+     * Returns a plain-object snapshot of the soil state for saving.
+     * Only stored properties are included; internal derived values are recalculated on load.
+     * @returns {object} Serializable soil state.
+     */
+    toJSON() {
+        const data = {};
+        Object.keys(Soil.DEFAULTS).forEach(prop => { data[prop] = this[prop]; });
+        return data;
+    }
+
+    /**
+     * Recreates a Soil instance from a snapshot produced by toJSON().
+     * @param {object} data - Serialized soil state.
+     * @returns {Soil} The restored soil.
+     */
+    static fromJSON(data) {
+        const soil = new Soil(data);
+        // The constructor recalculates oxygen from potential; restore the saved value (includes plant consumption)
+        soil.oxygen = data.oxygen ?? soil.oxygen;
+        return soil;
+    }
+
 } // --- End Soil Class ---
\ No newline at end of file
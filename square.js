@@ -6,7 +6,9 @@ import { Plant } from './plant.js';
 import { Structure } from './structure.js';
 import { SimulationConfig } from './config.js';
 import { clamp } from './utils.js';
-import { getNeighbors } from './utils.js'; // Needed for various neighbor interactions
+import { getNeighbors } from './utils.js'; // Needed for player actions on unlinked squares
+import { SimulationEvents } from './events.js';
+import { AuraTargets, applyPlantAuras, getAuraMultiplier } from './auras.js';
 
 /**
  * Represents a single square on the gardening grid.
@@ -26,8 +28,17 @@ export class Square {
      */
     constructor(key, elementRefs, initialVariables) {
         this.key = key; // "x,y"
+        const [x, y] = key.split(',').map(Number); // Parsed once; per-tick code uses x/y and the links below
+        this.x = x;
+        this.y = y;
         this.elementRefs = elementRefs; // References to DOM elements managed by UIManager
 
+        // Grid topology links, set by linkNeighbors() once all squares exist
+        this.grid = null; // Shared Grid topology
+        this.index = -1; // Integer index in the grid (y * cols + x)
+        this.neighbors = []; // Radius-1 neighbor Squares, including diagonals
+        this.outerNeighbors = []; // Radius-2 ring neighbor Squares (radius 1 excluded)
+
         // Initialize soil using the Soil class
         // Pass only relevant initial conditions if needed (e.g., temperature might influence initial soil state)
         const soilDefaults = { ...Soil.DEFAULTS, temperature: initialVariables.temperature };
@@ -68,41 +79,57 @@ export class Square {
         return this.soil;
     }
 
+    /**
+     * Stores the grid index and direct references to the neighboring squares.
+     * Must be called again whenever a neighbor Square instance is replaced (loading, undo).
+     * @param {Grid} grid - The grid topology.
+     * @param {Map<string, Square>} squareState - Map of all square states.
+     */
+    linkNeighbors(grid, squareState) {
+        this.grid = grid;
+        this.index = grid.indexOfKey(this.key);
+        const toSquares = indices => indices.map(i => squareState.get(grid.keyOf(i))).filter(Boolean);
+        this.neighbors = toSquares(grid.getNeighborIndices(this.index, true, 1));
+        this.outerNeighbors = toSquares(grid.getRingIndices(this.index, 2));
+    }
+
     // --- Update Orchestration Methods ---
 
     /**
-     * Updates the square's environmental state (temperature, soil evaporation)
+     * Updates the square's environmental state (rain, temperature and frost, soil evaporation)
      * based on ambient conditions and local factors (e.g., Squash shading).
      * Calls relevant soil update methods. Requires access to neighbor states via squareState.
      * @param {number} ambientTemp - Current global ambient temperature.
      * @param {number} humidity - Current global ambient humidity.
      * @param {number} wind - Current global wind speed.
-     * @param {Map<string, Square>} squareState - Map of all square states (needed for neighbor checks like Squash).
+     * @param {Map<string, Square>} squareState - Map of all square states (needed for neighbor checks like Squash shading).
+     * @param {number} [rainAmount=0] - Moisture the current rain adds to uncovered soil this tick (0 when dry).
      * @returns {number} The amount of water evaporated from this square's soil this tick.
      */
-    updateEnvironment(ambientTemp, humidity, wind, squareState) {
+    updateEnvironment(ambientTemp, humidity, wind, squareState, rainAmount = 0) {
+        // --- Rain (partly kept off by Nets and canopy auras) ---
+        if (rainAmount > 0) {
+            this.soil.addMoisture(this.getRainReachingSoil(rainAmount, squareState));
+        }
+
         // --- Calculate Local Temperature ---
         const coolingFromEvap = (this.soil.evaporationRate || 0) * SimulationConfig.RATES.evaporationCoolingFactor;
         const coolingFromMoist = ((this.soil.moisture || 0) >= SimulationConfig.THRESHOLDS.moist) ? SimulationConfig.RATES.moistSoilCoolingFactor : 0;
         this.variables.temperature = clamp(ambientTemp - coolingFromEvap - coolingFromMoist, -10, 50); // Apply cooling, clamp
+        // Covers (e.g., Net) hold some warmth on frosty nights, up to frostTemp + their protection
+        const frostProtection = SimulationConfig.STRUCTURE_INFO[this.structure?.type]?.frostProtection || 0;
+        const coveredLimit = SimulationConfig.THRESHOLDS.frostTemp + frostProtection;
+        if (frostProtection > 0 && this.variables.temperature < coveredLimit) {
+            this.variables.temperature = Math.min(this.variables.temperature + frostProtection, coveredLimit);
+        }
+        this.soil.isFrozen = this.variables.temperature <= SimulationConfig.THRESHOLDS.soilFreezeTemp;
 
-        // --- Calculate Squash Shading Modifier for Evaporation ---
-        let squashModifier = 1.0; // Default: no shading
-        const [x, y] = this.key.split(',').map(Number);
-        // Check self and neighbors for sufficiently large Squash plants
+        // --- Calculate Shading Modifier for Evaporation (e.g., Squash aura) ---
         // Need squareState map passed in to check neighbors
-        const checkKeys = [this.key, ...getNeighbors(x, y, true, 1)]; // Check self and radius 1 neighbors
-        for (const checkKey of checkKeys) {
-            const checkSq = squareState.get(checkKey);
-            // Check if neighbor exists, has a plant, is Squash, and is large enough
-            if (checkSq?.plant?.type === 'Squash' && (checkSq.plant.size || 0) >= SimulationConfig.THRESHOLDS.squashEffectSize) {
-                squashModifier = 0.5; // Apply shading effect (e.g., 50% reduction)
-                break; // Found one, no need to check further
-            }
-        }
+        const shadingModifier = getAuraMultiplier(this, squareState, AuraTargets.EVAPORATION);
 
         // --- Apply Soil Processes affected by Environment ---
-        const evaporated = this.soil.applyEvaporation(this.variables.temperature, humidity, wind, squashModifier);
+        const evaporated = this.soil.applyEvaporation(this.variables.temperature, humidity, wind, shadingModifier);
         this.soil.updateDegradation(); // Based on moisture level
         this.soil.updateMicrobes(this.variables.temperature); // Based on temp, etc.
         this.soil.updatePH(); // Based on OM, etc.
@@ -111,13 +138,29 @@ export class Square {
         return evaporated; // Return amount for global humidity update
     }
 
+    /**
+     * Returns how much of the rain reaches this square's soil.
+     * A Net keeps off RATES.netRainInterception of it; canopy auras (e.g., Squash) multiply what is left.
+     * @param {number} rainAmount - Moisture the rain adds to uncovered soil this tick.
+     * @param {Map<string, Square>} squareState - Map of all square states (for canopy auras of neighbors).
+     * @returns {number} Moisture added to the soil.
+     */
+    getRainReachingSoil(rainAmount, squareState) {
+        let rain = rainAmount;
+        if (this.structure?.type === 'Net') {
+            rain *= 1 - (SimulationConfig.RATES.netRainInterception || 0);
+        }
+        return rain * getAuraMultiplier(this, squareState, AuraTargets.RAIN);
+    }
+
     /**
      * Updates the entities (Plant, Structure) contained within the square.
-     * Handles Olla water distribution and applies neighbor effects (e.g., Beans).
+     * Handles Olla water distribution and applies the plant's neighbor effects (auras, see auras.js).
      * Requires access to simulation time, global state (pollination, bee), and the squareState map.
      * @param {number} elapsedSimMinutes - Simulated minutes passed since the last tick.
-     * @param {Map<string, Square>} squareState - Map of all square states (needed for neighbor interactions).
-     * @param {object} globalState - Object containing global simulation variables (isPollinated, beePosition, etc.).
+     * @param {Map<string, Square>} squareState - Map of all square states (needed for neighbor interactions; read-only).
+     * @param {object} globalState - Object containing global simulation variables (isPollinated, beePosition, random, emit, etc.).
+     * Neighbor changes go through globalState.updateNeighbor(key, update).
      */
     updateEntities(elapsedSimMinutes, squareState, globalState) {
         let plantOxygenConsumption = 0;
@@ -125,15 +168,21 @@ export class Square {
 
         // --- Update Structure ---
         if (this.structure instanceof Structure) {
+            if (this.structure.checkFreezeCracking(this.variables.temperature)) {
+                globalState.emit?.(SimulationEvents.OLLA_CRACKED, { key: this.key });
+            }
             waterReleasedByOlla = this.structure.update(this); // Pass square instance if needed by structure update
+            // Report the tick an Olla runs dry
+            if (waterReleasedByOlla > 0 && this.structure.type === 'Olla' && this.structure.waterLevel <= 0) {
+                globalState.emit?.(SimulationEvents.OLLA_EMPTY, { key: this.key });
+            }
         }
 
         // --- Distribute Olla Water to Neighbors ---
         if (waterReleasedByOlla > 0) {
-            const [x, y] = this.key.split(',').map(Number);
-            // Get neighbors within radius 1 and radius 2 (excluding radius 1 and self)
-            const neighbors1 = getNeighbors(x, y, true, 1);
-            const neighbors2 = getNeighbors(x, y, true, 2).filter(nk => !neighbors1.includes(nk) && nk !== this.key);
+            // Neighbors within radius 1 and radius 2 (excluding radius 1 and self)
+            const neighbors1 = this.neighbors;
+            const neighbors2 = this.outerNeighbors;
 
             // Calculate water distribution based on configured ratios
             const totalRatio = (SimulationConfig.RATES.ollaDistributionRadius1Ratio || 0) + (SimulationConfig.RATES.ollaDistributionRadius2Ratio || 0);
@@ -143,28 +192,29 @@ export class Square {
             const releasePerNeighbor1 = neighbors1.length > 0 ? (waterReleasedByOlla * effectiveRatio1) / neighbors1.length : 0;
             const releasePerNeighbor2 = neighbors2.length > 0 ? (waterReleasedByOlla * effectiveRatio2) / neighbors2.length : 0;
 
-            // Apply moisture to neighbors (requires squareState map)
-            neighbors1.forEach(nKey => {
-                const neighbor = squareState.get(nKey);
-                if (neighbor?.soil) { neighbor.soil.addMoisture(releasePerNeighbor1); }
+            // Apply moisture to neighbors (through globalState so two-phase ticks can defer it)
+            neighbors1.forEach(({ key }) => {
+                globalState.updateNeighbor(key, neighbor => { neighbor.soil?.addMoisture(releasePerNeighbor1); });
             });
-            neighbors2.forEach(nKey => {
-                const neighbor = squareState.get(nKey);
-                if (neighbor?.soil) { neighbor.soil.addMoisture(releasePerNeighbor2); }
+            neighbors2.forEach(({ key }) => {
+                globalState.updateNeighbor(key, neighbor => { neighbor.soil?.addMoisture(releasePerNeighbor2); });
             });
         }
 
         // --- Update Plant ---
         if (this.plant instanceof Plant) {
             // Call plant's update method, passing necessary context
-            const updateResult = this.plant.update(this, elapsedSimMinutes);
+            const stageBefore = this.plant.growthStage;
+            const updateResult = this.plant.update(this, elapsedSimMinutes, globalState);
+            if (this.plant.growthStage !== stageBefore) {
+                globalState.emit?.(SimulationEvents.STAGE_CHANGED, { key: this.key, plantType: this.plant.type, from: stageBefore, to: this.plant.growthStage });
+            }
             plantOxygenConsumption = updateResult?.oxygenConsumed || 0;
             this.display.statusText = updateResult?.status || '-'; // Update status text cache
 
             // --- Check Pollination ---
             // Requires globalState object passed in
-            const [x, y] = this.key.split(',').map(Number);
-            const beeIsOnSquare = globalState.beePosition?.x === x && globalState.beePosition?.y === y;
+            const beeIsOnSquare = globalState.beePosition?.x === this.x && globalState.beePosition?.y === this.y;
             // Plant is pollinated if global pollination is true OR bee is on the square
             if (globalState.isPollinated || beeIsOnSquare) {
                  this.plant.wasPollinated = true;
@@ -172,10 +222,18 @@ export class Square {
 
             // --- Check Plant Death ---
             // Check size and root health after update
-            if ((this.plant.size || 0) <= 0 || (this.plant.rootHealth || 0) <= 0 ||
+            if ((this.plant.size || 0) <= 0 || (this.plant.rootHealth || 0) <= 0 || (this.plant.stemHealth ?? 100) <= 0 ||
                 (this.plant.growthStage === 4 && (this.plant.size || 0) < 0.01) // Consider dead if senescent and tiny
                ) {
                  // console.log(`Plant ${this.plant.type} died at ${this.key}`); // DEBUG
+                 let cause = 'withered'; // Shrank to nothing
+                 if (this.plant.growthStage === 4) cause = 'senescence';
+                 else if ((this.plant.stemHealth ?? 100) <= 0) cause = 'frost'; // Only frost damages stems
+                 else if ((this.plant.rootHealth || 0) <= 0) cause = 'rootDamage';
+                 globalState.emit?.(SimulationEvents.PLANT_DIED, { key: this.key, plantType: this.plant.type, cause });
+                 if (this.variables.pests?.type) {
+                     globalState.emit?.(SimulationEvents.PEST_REMOVED, { key: this.key, pestType: this.variables.pests.type, cause: 'hostLost' });
+                 }
                  this.plant = undefined; // Remove the dead plant
                  this.variables.pests = { type: null, level: 0 }; // Pests leave if plant dies
                  this.display.statusText = '-'; // Reset status display
@@ -185,58 +243,9 @@ export class Square {
              this.display.statusText = '-';
         }
 
-        // --- Apply Neighbor Effects (e.g., Beans) ---
-        // Moved here from plant.js for better modularity
+        // --- Apply Neighbor Effects (plant auras, e.g., Beans enriching soil, Marigold suppressing Nematodes) ---
         if (this.plant instanceof Plant) {
-             const props = this.plant.properties;
-             const Config = SimulationConfig;
-             // Check if this plant has effects to apply
-             if (props.addsOM || props.addsMIC) {
-                 // Bonus effect if roots are healthy and dense
-                 let bonusFactor = 1.0;
-                 if ((this.plant.rootDensity || 0) >= Config.THRESHOLDS.goodRootDensity && (this.plant.rootHealth || 0) >= Config.THRESHOLDS.goodRootHealth) {
-                      bonusFactor = 1.5; // 50% bonus effect
-                 }
-
-                 const [x, y] = this.key.split(',').map(Number);
-                 const neighbors = getNeighbors(x, y, true, 1); // Effect radius 1 including diagonals
-
-                 neighbors.forEach(nKey => {
-                      const nSq = squareState.get(nKey); // Get neighbor Square instance
-                      if (nSq?.soil) { // Check if neighbor and its soil exist
-                           if (props.addsOM) {
-                                nSq.soil.organicMatter = Math.max(0, (nSq.soil.organicMatter || 0) + (Config.RATES.beansOMRate || 0) * bonusFactor);
-                                if (isNaN(nSq.soil.organicMatter)) nSq.soil.organicMatter = Soil.DEFAULTS.organicMatter;
-                           }
-                           if (props.addsMIC) {
-                                nSq.soil.microbes = clamp((nSq.soil.microbes || 0) + (Config.RATES.beansMICRate || 0) * bonusFactor, 0, 1000);
-                                if (isNaN(nSq.soil.microbes)) nSq.soil.microbes = Soil.DEFAULTS.microbes;
-                           }
-                           // Update neighbor's derived vars immediately or let their own tick handle it?
-                           // Letting their own tick handle it is usually safer to avoid cascading updates.
-                           // nSq.soil.updateDerivedVariables(); // Avoid this if possible
-                      }
-                 });
-             }
-             // Add other neighbor effects here (e.g., Marigold nematode suppression)
-             if (props.suppressesNematodes && this.plant.type === 'Marigold') {
-                 const [x, y] = this.key.split(',').map(Number);
-                 const neighbors = getNeighbors(x, y, true, 1);
-                 neighbors.forEach(nKey => {
-                     const nSq = squareState.get(nKey);
-                     if (nSq?.variables?.pests?.type === 'Nematodes') {
-                         // Add a chance to remove or reduce nematode level on neighbors
-                         if (Math.random() < 0.1) { // Example: 10% chance per tick
-                             console.log(`Marigold at ${this.key} suppressed Nematodes at ${nKey}`);
-                             nSq.variables.pests.level = Math.max(0, nSq.variables.pests.level - 1);
-                             if (nSq.variables.pests.level === 0) {
-                                 nSq.variables.pests.type = null;
-                             }
-                             // TODO: Maybe signal UI update for neighbor?
-                         }
-                     }
-                 });
-             }
+             applyPlantAuras(this, squareState, globalState);
         }
 
 
@@ -249,8 +258,8 @@ export class Square {
     /**
      * Updates weed state: growth, nutrient consumption, and spread.
      * Requires access to global state (wind direction) and squareState map.
-     * @param {Map<string, Square>} squareState - Map of all square states.
-     * @param {object} globalState - Object containing global simulation variables (currentWindDirection).
+     * @param {Map<string, Square>} squareState - Map of all square states (read-only).
+     * @param {object} globalState - Object containing global simulation variables (currentWindDirection, random, emit, updateNeighbor).
      */
     updateWeeds(squareState, globalState) {
         const Config = SimulationConfig;
@@ -258,7 +267,7 @@ export class Square {
 
         // --- Weed Growth ---
         // Weeds grow up to level 4
-        if (currentWeeds > 0 && currentWeeds < 4 && Math.random() < Config.RATES.weedGrowthChance) {
+        if (currentWeeds > 0 && currentWeeds < 4 && globalState.random.next() < Config.RATES.weedGrowthChance) {
             this.variables.weeds++;
         }
 
@@ -271,25 +280,24 @@ export class Square {
 
         // --- Weed Spread ---
         // Only level 4 weeds spread, influenced by wind (Instruction E.2)
-        if (currentWeeds === 4 && Math.random() < Config.RATES.weedSpreadChance) {
-            const [x, y] = this.key.split(',').map(Number);
-            const neighbors = getNeighbors(x, y, true, 1); // Potential spread targets
+        if (currentWeeds === 4 && globalState.random.next() < Config.RATES.weedSpreadChance) {
+            const neighbors = this.neighbors; // Potential spread targets
             let downwindNeighbors = [];
             const windDirection = globalState.currentWindDirection; // Get from passed global state
 
             // Filter neighbors based on wind direction
             switch (windDirection) {
                 case 'N': // Wind from North, spreads South
-                    downwindNeighbors = neighbors.filter(nKey => parseInt(nKey.split(',')[1]) > y);
+                    downwindNeighbors = neighbors.filter(n => n.y > this.y);
                     break;
                 case 'E': // Wind from East, spreads West
-                    downwindNeighbors = neighbors.filter(nKey => parseInt(nKey.split(',')[0]) < x);
+                    downwindNeighbors = neighbors.filter(n => n.x < this.x);
                     break;
                 case 'S': // Wind from South, spreads North
-                    downwindNeighbors = neighbors.filter(nKey => parseInt(nKey.split(',')[1]) < y);
+                    downwindNeighbors = neighbors.filter(n => n.y < this.y);
                     break;
                 case 'W': // Wind from West, spreads East
-                    downwindNeighbors = neighbors.filter(nKey => parseInt(nKey.split(',')[0]) > x);
+                    downwindNeighbors = neighbors.filter(n => n.x > this.x);
                     break;
                 default: // No wind or 'None', consider all neighbors
                     downwindNeighbors = neighbors;
@@ -298,12 +306,17 @@ export class Square {
 
             // Try to spread to a random suitable downwind neighbor
             if (downwindNeighbors.length > 0) {
-                const targetNeighborKey = downwindNeighbors[Math.floor(Math.random() * downwindNeighbors.length)];
-                const neighborSquare = squareState.get(targetNeighborKey); // Get neighbor state
+                const targetNeighborKey = globalState.random.pick(downwindNeighbors).key;
+                const neighborSquare = squareState.get(targetNeighborKey); // Get neighbor state (read-only view in two-phase ticks)
                 // Check if neighbor exists and is suitable (no weeds, no plant, no structure)
-                if (neighborSquare && (neighborSquare.variables.weeds || 0) === 0 && !neighborSquare.plant && !neighborSquare.structure) {
+                const isSuitable = sq => sq && (sq.variables.weeds || 0) === 0 && !sq.plant && !sq.structure;
+                if (isSuitable(neighborSquare)) {
                     // console.log(`Weed spread from ${this.key} to ${targetNeighborKey} (Wind: ${windDirection})`); // DEBUG
-                    neighborSquare.variables.weeds = 1; // Start new weed patch
+                    globalState.updateNeighbor(targetNeighborKey, neighbor => {
+                        if (!isSuitable(neighbor)) return; // Another patch spread there first this tick
+                        neighbor.variables.weeds = 1; // Start new weed patch
+                        globalState.emit?.(SimulationEvents.WEED_SPREAD, { key: targetNeighborKey, fromKey: this.key, windDirection });
+                    });
                     // TODO: Signal UI update for neighbor? Handled by neighbor's own updateVisuals call? Assume latter.
                 }
             }
@@ -313,8 +326,8 @@ export class Square {
     /**
      * Updates pest state: spawning, leveling up, applying effects, and removal chances.
      * Requires access to global state (humidity, beneficial level) and squareState map.
-     * @param {Map<string, Square>} squareState - Map of all square states.
-     * @param {object} globalState - Object containing global simulation variables (currentHumidity, beneficialAttractionLevel).
+     * @param {Map<string, Square>} squareState - Map of all square states (read-only).
+     * @param {object} globalState - Object containing global simulation variables (currentHumidity, beneficialAttractionLevel, random, emit).
      */
     updatePests(squareState, globalState) {
         const Config = SimulationConfig;
@@ -327,7 +340,6 @@ export class Square {
             let spawnChanceAphids = Config.RATES.pestSpawnBaseChance;
             let spawnChanceNematodes = 0;
             const hasPlant = !!this.plant;
-            const [x, y] = this.key.split(',').map(Number);
 
             // Aphid spawn conditions: Increased by plant presence, moisture/humidity
             if (hasPlant) {
@@ -337,18 +349,10 @@ export class Square {
             } else {
                  spawnChanceAphids = 0; // No aphids without a plant host
             }
+            spawnChanceAphids *= getAuraMultiplier(this, squareState, AuraTargets.PEST_SPAWN, 'Aphids'); // Repellent plant auras
 
-            // Nematode spawn conditions: Wet duration, low microbes, suppressed by Marigolds
-            // Check if Marigold is nearby (requires squareState)
-            const isMarigoldNear = getNeighbors(x, y, true, 1).some(nKey => {
-                 const nSq = squareState.get(nKey);
-                 // Check neighbor plant type OR if the structure itself is a Marigold (if that becomes possible)
-                 return nSq?.plant?.type === 'Marigold'; // Simplified check
-            });
-            let nematodeSuppressionFactor = 1.0;
-            if (this.plant?.type === 'Marigold' || isMarigoldNear) {
-                 nematodeSuppressionFactor = 0.1; // Strong suppression
-            }
+            // Nematode spawn conditions: Wet duration, low microbes, suppressed by plant auras (e.g., Marigolds)
+            const nematodeSuppressionFactor = getAuraMultiplier(this, squareState, AuraTargets.PEST_SPAWN, 'Nematodes');
             if ((this.soil.wetDuration || 0) >= Config.THRESHOLDS.nematodeWetDuration && (this.soil.microbes || 0) < Config.THRESHOLDS.highMicrobesForNematodeDefense) {
                  spawnChanceNematodes = Config.RATES.pestSpawnBaseChance * 3 * nematodeSuppressionFactor;
                  // Reduce aphid chance if nematode conditions are met (competing spawns?)
@@ -357,12 +361,14 @@ export class Square {
 
 
             // Perform spawn roll
-            if (Math.random() < spawnChanceNematodes) {
+            if (globalState.random.next() < spawnChanceNematodes) {
                  this.variables.pests = { type: 'Nematodes', level: 1 };
                  // console.log(`Nematodes appeared at ${this.key}`); // DEBUG
-            } else if (Math.random() < spawnChanceAphids) { // Check aphids only if nematodes didn't spawn
+                 globalState.emit?.(SimulationEvents.PEST_SPAWNED, { key: this.key, pestType: 'Nematodes', level: 1, plantType: this.plant?.type ?? null });
+            } else if (globalState.random.next() < spawnChanceAphids) { // Check aphids only if nematodes didn't spawn
                  this.variables.pests = { type: 'Aphids', level: 1 };
                  // console.log(`Aphids appeared at ${this.key}`); // DEBUG
+                 globalState.emit?.(SimulationEvents.PEST_SPAWNED, { key: this.key, pestType: 'Aphids', level: 1, plantType: this.plant?.type ?? null });
             }
 
         } else { // Pests already exist
@@ -373,7 +379,7 @@ export class Square {
                  levelUpChance *= 0.3; // 70% reduction
             }
             // Increase level if random chance met, up to max level (e.g., 4)
-            if (pests.level < 4 && Math.random() < levelUpChance) {
+            if (pests.level < 4 && globalState.random.next() < levelUpChance) {
                  this.variables.pests.level++;
             }
         }
@@ -383,21 +389,26 @@ export class Square {
             // Ladybeetle effect on Aphids (requires globalState)
             if (pests.type === 'Aphids' && beneficialAttractionLevel >= Config.THRESHOLDS.beneficialAttractionThreshold) {
                  const removalChance = clamp(beneficialAttractionLevel / 10, 0, 1) * Config.RATES.ladybeetleAphidRemovalChanceFactor;
-                 if (Math.random() < removalChance) {
+                 if (globalState.random.next() < removalChance) {
                      // console.log(`Ladybeetles removed Aphids at ${this.key}!`); // DEBUG
                      this.variables.pests.level = Math.max(0, pests.level - 1); // Reduce level
-                     if (this.variables.pests.level === 0) { this.variables.pests.type = null; } // Remove if level reaches 0
+                     if (this.variables.pests.level === 0) { // Remove if level reaches 0
+                         this.variables.pests.type = null;
+                         globalState.emit?.(SimulationEvents.PEST_REMOVED, { key: this.key, pestType: 'Aphids', cause: 'ladybeetles' });
+                     }
                  }
             }
             // High microbe defense against Nematodes
             if (pests.type === 'Nematodes' && (this.soil.microbes || 0) > Config.THRESHOLDS.highMicrobesForNematodeDefense) {
-                 if (Math.random() < 0.2) { // Example: 20% chance per tick
+                 if (globalState.random.next() < 0.2) { // Example: 20% chance per tick
                      // console.log(`High microbes removed Nematodes at ${this.key}!`); // DEBUG
                      this.variables.pests = { type: null, level: 0 }; // Remove completely
+                     globalState.emit?.(SimulationEvents.PEST_REMOVED, { key: this.key, pestType: 'Nematodes', cause: 'microbes' });
                  }
             }
              // Pests die off if plant host is removed
-             if (!this.plant) {
+             if (!this.plant && this.variables.pests.type) {
+                 globalState.emit?.(SimulationEvents.PEST_REMOVED, { key: this.key, pestType: this.variables.pests.type, cause: 'hostLost' });
                  this.variables.pests = { type: null, level: 0 };
              }
         }
@@ -411,7 +422,8 @@ export class Square {
     updateDisplayText() {
         const soil = this.soil;
         // Update moisture text
-        if ((soil.moisture || 0) >= SimulationConfig.THRESHOLDS.wet) this.display.moistureText = "wet";
+        if (soil.isFrozen) this.display.moistureText = "frozen";
+        else if ((soil.moisture || 0) >= SimulationConfig.THRESHOLDS.wet) this.display.moistureText = "wet";
         else if ((soil.moisture || 0) >= SimulationConfig.THRESHOLDS.moist) this.display.moistureText = "moist";
         else this.display.moistureText = "dry";
 
@@ -421,6 +433,25 @@ export class Square {
         // Note: Status text (this.display.statusText) is updated within updateEntities based on plant.update result
     }
 
+    /**
+     * Creates a frozen, read-only copy of the state neighbors may read during a tick.
+     * Used by two-phase ticks so every square sees its neighbors as they were at the start of the tick.
+     * Copies are shallow: nested objects such as plant properties are shared, not cloned.
+     * @returns {object} Snapshot with the same shape as a Square (key, soil, plant, structure, variables).
+     */
+    createReadSnapshot() {
+        return Object.freeze({
+            key: this.key,
+            x: this.x,
+            y: this.y,
+            index: this.index,
+            soil: Object.freeze({ ...this.soil }),
+            plant: this.plant ? Object.freeze({ ...this.plant }) : undefined,
+            structure: this.structure ? Object.freeze({ ...this.structure }) : null,
+            variables: Object.freeze({ ...this.variables, pests: Object.freeze({ ...this.variables.pests }) })
+        });
+    }
+
     // =============================================
     // --- Action Methods ---
     // These are called by the main event handler when a square is clicked in a specific mode.
@@ -434,8 +465,8 @@ export class Square {
      */
     addWater(squareState) {
         let splash = 0;
-        // Check if Olla exists
-        if (this.structure?.type === 'Olla') {
+        // Check if Olla exists (a cracked Olla holds no water, so it goes into the soil)
+        if (this.structure?.type === 'Olla' && !this.structure.isCracked) {
             const waterNeeded = (SimulationConfig.THRESHOLDS.ollaMaxWater || 200) - (this.structure.waterLevel || 0);
             // Add water up to capacity, amount based on config but maybe higher for refill?
             const waterAdded = Math.min((SimulationConfig.RATES.waterMoistureAdd || 7) * 4, waterNeeded); // Example: 4x normal water amount for refill
@@ -456,8 +487,7 @@ export class Square {
 
         // Apply splash effect to neighbors (if any) - requires squareState map
         if (splash > 0) {
-            const [x, y] = this.key.split(',').map(Number);
-            getNeighbors(x, y, true, 1).forEach(nk => { // Affect radius 1 neighbors
+            getNeighbors(this.x, this.y, true, 1, this.grid).forEach(nk => { // Affect radius 1 neighbors
                  const neighborSq = squareState.get(nk);
                  if (neighborSq?.soil) { neighborSq.soil.addMoisture(splash); } // Add splash moisture
             });
@@ -533,7 +563,7 @@ export class Square {
             // --- Clear connections on neighbors ---
             // Requires squareState map
             if (this.structure.connections) {
-                 const [x, y] = this.key.split(',').map(Number);
+                 const { x, y } = this;
                  Object.entries(this.structure.connections).forEach(([dir, isConnected]) => {
                       if (isConnected) {
                            let nx = x, ny = y;
@@ -621,14 +651,14 @@ export class Square {
     }
 
     /**
-     * Attempts to harvest the plant in this square.
-     * Success depends on plant type, growth stage, and pollination status.
-     * Calculates yield based on conditions and plant properties. (Instruction E.3)
-     * @returns {object} Result object: { harvested: boolean, yield?: number, value?: number, type?: string, reason?: string }.
+     * Checks whether the plant in this square can be harvested now and what it would yield.
+     * Uses the plant's harvestableStage, requiresPollination, trellisBonus and minHarvestYield properties.
+     * Shared by harvestPlant() and the UI yield display.
+     * @returns {{ready: boolean, yield: number, value: number, reason?: string}} Harvest readiness and expected yield.
      */
-    harvestPlant() {
+    getHarvestInfo() {
         if (!this.plant) {
-            return { harvested: false, reason: 'empty' }; // Nothing to harvest
+            return { ready: false, yield: 0, value: 0, reason: 'empty' }; // Nothing to harvest
         }
 
         const plant = this.plant;
@@ -637,70 +667,73 @@ export class Square {
 
         // Check for senescence first (Instruction E.3)
         if (plant.growthStage === 4) {
-            return { harvested: false, reason: 'senescent', type: plant.type };
-        }
-
-        // Determine the minimum stage required for harvest based on plant type
-        let harvestableStage = 3; // Default: Fruiting stage
-        if (['Flower', 'Marigold', 'Basil'].includes(plant.type)) {
-            harvestableStage = 2; // Flowers/Herbs harvested earlier (Flowering stage)
+            return { ready: false, yield: 0, value: 0, reason: 'senescent' };
         }
 
         // Check if plant is mature enough and pollinated (if required) (Instruction E.3)
-        const requiresPollination = (plantProps.maxYield || 0) > 0 || ['Beans', 'Squash', 'Tomato'].includes(plant.type); // Assume these need pollination for fruit/pods
-        if (plant.growthStage >= harvestableStage && (!requiresPollination || plant.wasPollinated)) {
-            // --- Calculate Yield ---
-            const soilCondFactor = clamp((this.soil.soilCondition || 0) / 100, 0, 1);
-            const rootHealthFactor = clamp((plant.rootHealth || 0) / 100, 0, 1);
-            // Base yield factor on average of soil and root health
-            let potentialYieldFactor = clamp((soilCondFactor + rootHealthFactor) / 2, 0, 1);
-
-            // Apply Trellis bonus for specific plants
-            if (this.structure?.type === 'Trellis' && ['Beans', 'Squash', 'Tomato'].includes(plant.type)) {
-                potentialYieldFactor = Math.min(1.0, potentialYieldFactor * 1.3); // 30% bonus
-            }
-            // Apply Pest reduction
-            if (this.variables.pests?.type) {
-                potentialYieldFactor *= (1 - (Config.RATES.pestYieldFactorReduction || 0));
-            }
-
-            // Calculate final yield (round, non-negative)
-            let harvestedYield = Math.max(0, Math.round((plantProps.maxYield || 0) * potentialYieldFactor));
+        const harvestableStage = plantProps.harvestableStage ?? 3; // Default: Fruiting stage
+        const requiresPollination = !!plantProps.requiresPollination;
+        if (plant.growthStage < harvestableStage || (requiresPollination && !plant.wasPollinated)) {
+            let reason = `stage ${plant.growthStage}`;
+            if (plant.growthStage < harvestableStage) reason = 'immature';
+            if (requiresPollination && !plant.wasPollinated) reason = 'unpollinated';
+            return { ready: false, yield: 0, value: 0, reason };
+        }
 
-            // Special case for 'yield 0' plants (flowers, basil) - harvest action gives 1 unit if ready
-            if ((plantProps.maxYield === 0) && harvestedYield === 0 && ['Flower', 'Marigold', 'Basil'].includes(plant.type)) {
-                 harvestedYield = 1; // Harvesting action itself provides the 'yield'
-            }
+        // --- Calculate Yield ---
+        const soilCondFactor = clamp((this.soil.soilCondition || 0) / 100, 0, 1);
+        const rootHealthFactor = clamp((plant.rootHealth || 0) / 100, 0, 1);
+        // Base yield factor on average of soil and root health
+        let potentialYieldFactor = clamp((soilCondFactor + rootHealthFactor) / 2, 0, 1);
 
-            // Calculate money earned
-            const moneyEarned = harvestedYield * (plantProps.price || 0);
+        // Apply Trellis bonus for plants that climb
+        if (this.structure?.type === 'Trellis' && plantProps.trellisBonus) {
+            potentialYieldFactor = Math.min(1.0, potentialYieldFactor * (plantProps.trellisBonus.yieldMultiplier ?? 1));
+        }
+        // Apply Pest reduction
+        if (this.variables.pests?.type) {
+            potentialYieldFactor *= (1 - (Config.RATES.pestYieldFactorReduction || 0));
+        }
 
-            // console.log(`Harvesting ${plant.type} at stage ${plant.growthStage}, yield ${harvestedYield}, value ${moneyEarned}`); // DEBUG
+        // Calculate final yield (round, non-negative); plants valued for the harvest itself give at least minHarvestYield
+        const harvestYield = Math.max(plantProps.minHarvestYield || 0, Math.round((plantProps.maxYield || 0) * potentialYieldFactor));
+        return { ready: true, yield: harvestYield, value: harvestYield * (plantProps.price || 0) };
+    }
 
-            // Remove the plant after harvest (unless perennial - TODO: handle perennials)
-            if (!plantProps.isPerennial) {
-                 this.plant = undefined; // Remove plant instance
-                 this.display.statusText = '-'; // Reset status
-            } else {
-                 // TODO: Handle perennial harvest - maybe reset maturity/stage? Reduce size?
-                 console.warn("Perennial harvest logic not implemented.");
-                 // For now, remove even perennials until logic is added
-                 this.plant = undefined;
-                 this.display.statusText = '-';
-            }
+    /**
+     * Attempts to harvest the plant in this square.
+     * Success depends on the plant's growth stage and pollination status (see getHarvestInfo()).
+     * Calculates yield based on conditions and plant properties. (Instruction E.3)
+     * @returns {object} Result object: { harvested: boolean, yield?: number, value?: number, type?: string, reason?: string }.
+     */
+    harvestPlant() {
+        if (!this.plant) {
+            return { harvested: false, reason: 'empty' }; // Nothing to harvest
+        }
 
+        const plant = this.plant;
+        const harvestInfo = this.getHarvestInfo();
+        if (!harvestInfo.ready) {
+            // console.log(`Harvest failed for ${plant.type}: ${harvestInfo.reason}`); // DEBUG
+            return { harvested: false, reason: harvestInfo.reason, type: plant.type };
+        }
 
-            // Return success result
-            return { harvested: true, yield: harvestedYield, value: moneyEarned, type: plant.type };
+        // console.log(`Harvesting ${plant.type} at stage ${plant.growthStage}, yield ${harvestInfo.yield}, value ${harvestInfo.value}`); // DEBUG
 
+        // Remove the plant after harvest (unless perennial - TODO: handle perennials)
+        if (!plant.properties.isPerennial) {
+             this.plant = undefined; // Remove plant instance
+             this.display.statusText = '-'; // Reset status
         } else {
-            // Harvest failed - determine reason
-            let reason = `stage ${plant.growthStage}`;
-            if (plant.growthStage < harvestableStage) reason = 'immature';
-            if (requiresPollination && !plant.wasPollinated) reason = 'unpollinated';
-            // console.log(`Harvest failed for ${plant.type}: ${reason}`); // DEBUG
-            return { harvested: false, reason: reason, type: plant.type };
+             // TODO: Handle perennial harvest - maybe reset maturity/stage? Reduce size?
+             console.warn("Perennial harvest logic not implemented.");
+             // For now, remove even perennials until logic is added
+             this.plant = undefined;
+             this.display.statusText = '-';
         }
+
+        // Return success result
+        return { harvested: true, yield: harvestInfo.yield, value: harvestInfo.value, type: plant.type };
     } // End harvestPlant
 
     /**
@@ -719,7 +752,7 @@ export class Square {
             removed = this.structure.type;
             // If removing Trellis or Net, clear connections on neighbors (Instruction E.5)
             if ((removed === 'Trellis' || removed === 'Net') && this.structure.connections) {
-                const [x, y] = this.key.split(',').map(Number);
+                const { x, y } = this;
                 Object.entries(this.structure.connections).forEach(([dir, isConnected]) => {
                      if (isConnected) {
                           let nx = x, ny = y;
@@ -775,13 +808,14 @@ export class Square {
     /**
      * Attempts to add a structure (Olla, Trellis, Net) to the square.
      * Fails if the square already contains a plant or structure.
-     * Handles connection logic for Trellis/Net, including user confirmation prompt.
-     * Requires squareState map. (Instruction E.6)
+     * Handles connection logic for Trellis/Net. Whether to connect is decided by the caller
+     * (the UI asks the user), so this method never blocks. Requires squareState map. (Instruction E.6)
      * @param {string} structureType - The type of structure to add.
      * @param {Map<string, Square>} squareState - Map of all square states.
+     * @param {boolean} [connect=true] - Whether to connect a Trellis/Net to adjacent ones of the same type.
      * @returns {boolean} True if structure placement was successful, false otherwise.
      */
-    tryAddingStructure(structureType, squareState) {
+    tryAddingStructure(structureType, squareState, connect = true) {
         // Check if structure type is valid
         if (!SimulationConfig.STRUCTURE_INFO[structureType]) {
              console.warn(`Invalid structure type: ${structureType}`);
@@ -798,8 +832,8 @@ export class Square {
 
         // Handle connection logic for Trellis and Net (Instruction E.6)
         if (structureType === 'Trellis' || structureType === 'Net') {
-            const [x, y] = this.key.split(',').map(Number);
-            const neighbors = getNeighbors(x, y, true, 1); // Check adjacent neighbors
+            const { x, y } = this;
+            const neighbors = getNeighbors(x, y, true, 1, this.grid); // Check adjacent neighbors
             const adjacentActiveNeighbors = []; // Store info about neighbors with same structure type
 
             // Find neighbors with the same structure type
@@ -809,8 +843,8 @@ export class Square {
                      adjacentActiveNeighbors.push({
                          key: nKey,
                          square: neighborSq,
-                         x: parseInt(nKey.split(',')[0]),
-                         y: parseInt(nKey.split(',')[1])
+                         x: neighborSq.x,
+                         y: neighborSq.y
                      });
                 }
             });
@@ -818,11 +852,9 @@ export class Square {
             let placeAndConnect = false;
             let userConfirmed = true; // Assume yes if no neighbors
 
-            // If adjacent structures found, ask user to confirm connection
+            // If adjacent structures found, connect only if the caller asked for it
             if (adjacentActiveNeighbors.length > 0) {
-                // TODO: Replace confirm() with a non-blocking UI modal if possible.
-                // Using confirm() blocks the simulation loop, which is bad practice.
-                userConfirmed = confirm(`Adjacent ${structureType} found. Connect them? (Cancel to place standalone)`);
+                userConfirmed = connect;
                 if (userConfirmed) {
                      placeAndConnect = true;
                 } else {
@@ -887,4 +919,49 @@ export class Square {
         }
     } // End tryAddingStructure
 
+    // =============================================
+    // --- Serialization ---
+    // =============================================
+
+    /**
+     * Returns a plain-object snapshot of the square for saving.
+     * DOM references and the display cache are not stored.
+     * @returns {object} Serializable square state.
+     */
+    toJSON() {
+        return {
+            key: this.key,
+            variables: structuredClone(this.variables),
+            soil: this.soil.toJSON(),
+            plant: this.plant ? this.plant.toJSON() : null,
+            structure: this.structure ? this.structure.toJSON() : null
+        };
+    }
+
+    /**
+     * Recreates a Square instance from a snapshot produced by toJSON().
+     * @param {object} data - Serialized square state.
+     * @param {object} [elementRefs=null] - DOM references to attach, if already available.
+     * @returns {Square} The restored square.
+     */
+    static fromJSON(data, elementRefs = null) {
+        const square = new Square(data.key, elementRefs, data.variables);
+        square.loadJSON(data);
+        return square;
+    }
+
+    /**
+     * Overwrites this square's state with a snapshot produced by toJSON().
+     * The instance, its DOM references and its neighbor links are kept, so nothing needs relinking.
+     * @param {object} data - Serialized square state (of this square's key).
+     */
+    loadJSON(data) {
+        this.variables = structuredClone(data.variables);
+        this.soil = Soil.fromJSON(data.soil);
+        this.plant = data.plant ? Plant.fromJSON(data.plant) : undefined;
+        this.structure = data.structure ? Structure.fromJSON(data.structure) : null;
+        this.display.statusText = this.plant?.displayStatus || '-';
+        this.updateDisplayText();
+    }
+
 } // --- End Square Class ---
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * State diffs for the Gardening Grid Simulation.
+ * The engine runs in a Web Worker (see simulationHost.js); the UI thread keeps a read-only mirror Simulation
+ * for rendering and hover info. After every batch of ticks or player action, the worker sends a diff:
+ * the global state (weather, time, money, RNG position; small) plus the squares whose serialized state
+ * (Square.toJSON()) changed since they were last sent. The mirror applies them in place, so it matches the engine
+ * after every diff; saves are still made by the engine (HostRequests.CREATE_SAVE), which needs no round trip.
+ */
+
+/**
+ * Tracks what has been sent to the mirror and builds the next diff (engine side).
+ */
+export class StateDiffer {
+    /**
+     * Creates a differ that has sent nothing yet, so its first diff is a full state.
+     */
+    constructor() {
+        this.sentSquares = new Map(); // Square key -> JSON string of the square as last sent
+        this.sentGrid = null; // { cols, rows } of the last full state
+    }
+
+    /**
+     * Forgets what was sent, so the next diff is a full state (after a reset, load or replay start).
+     */
+    invalidate() {
+        this.sentSquares.clear();
+        this.sentGrid = null;
+    }
+
+    /**
+     * Makes the next diff include every square, without replacing the grid (e.g., after a single step,
+     * so the hover box shows the state of that exact tick).
+     */
+    resendAllSquares() {
+        this.sentSquares.clear();
+    }
+
+    /**
+     * Builds a diff from the last sent state to the simulation's current state.
+     * A full state is sent first and whenever the garden size changed.
+     * @param {Simulation} simulation - The engine's simulation.
+     * @returns {{full: true, state: object} | {full: false, globals: object, squares: object[]}} The diff;
+     * `squares` holds Square.toJSON() data of the squares whose state changed.
+     */
+    createDiff(simulation) {
+        const globals = simulation.globalsToJSON();
+        const { cols, rows } = globals.grid;
+
+        if (!this.sentGrid || this.sentGrid.cols !== cols || this.sentGrid.rows !== rows) {
+            this.sentSquares.clear();
+            const state = simulation.toJSON();
+            state.squares.forEach(sqData => this.sentSquares.set(sqData.key, JSON.stringify(sqData)));
+            this.sentGrid = { cols, rows };
+            return { full: true, state };
+        }
+
+        const changedSquares = [];
+        simulation.squareState.forEach(sq => {
+            const sqData = sq.toJSON();
+            const json = JSON.stringify(sqData);
+            if (this.sentSquares.get(sq.key) === json) return;
+            this.sentSquares.set(sq.key, json);
+            changedSquares.push(sqData);
+        });
+        return { full: false, globals, squares: changedSquares };
+    }
+} // --- End StateDiffer Class ---
+
+/**
+ * Applies a diff from StateDiffer.createDiff() to a mirror simulation (UI side).
+ * Changed squares are overwritten in place (see Square.loadJSON), keeping their DOM references and neighbor links;
+ * squares are only recreated and relinked when a full state arrives.
+ * @param {Simulation} simulation - The mirror simulation.
+ * @param {object} diff - The diff to apply.
+ * @returns {boolean} True if the whole state was replaced (the grid view must be rebuilt).
+ */
+export function applyStateDiff(simulation, diff) {
+    if (diff.full) {
+        simulation.loadFromJSON(diff.state);
+        return true;
+    }
+    simulation.loadGlobalsFromJSON(diff.globals);
+    diff.squares.forEach(sqData => simulation.squareState.get(sqData.key)?.loadJSON(sqData));
+    return false;
+}
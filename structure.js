@@ -12,9 +12,10 @@ export class Structure {
     /**
      * Creates a new Structure instance.
      * @param {string} type - The type of structure (e.g., 'Olla', 'Trellis', 'Net').
-     * @param {object} [state={}] - Optional initial state, primarily for loading saved games (not currently used for initialization).
+     * @param {object} [state={}] - Optional initial state, primarily for loading saved games (see fromJSON).
      * @param {object} [state.connections] - Initial connection state for Trellis/Net.
      * @param {number} [state.waterLevel] - Initial water level for Olla.
+     * @param {boolean} [state.isCracked] - Whether an Olla has cracked in a hard freeze.
      */
     constructor(type, state = {}) {
         this.type = type; // 'Olla', 'Trellis', 'Net'
@@ -32,6 +33,7 @@ export class Structure {
         if (type === 'Olla') {
             // Start Ollas full unless specified otherwise in state
             this.waterLevel = state.waterLevel ?? SimulationConfig.THRESHOLDS.ollaMaxWater;
+            this.isCracked = state.isCracked ?? false; // A cracked Olla holds no water until replaced
         }
         // Add other type-specific initializations here if needed
     }
@@ -44,7 +46,7 @@ export class Structure {
      */
     update(square) {
         let releasedWater = 0;
-        if (this.type === 'Olla' && this.waterLevel > 0) {
+        if (this.type === 'Olla' && !this.isCracked && this.waterLevel > 0) {
             // Release water up to the configured rate, but not more than available
             const releaseAmount = Math.min(this.waterLevel, SimulationConfig.RATES.ollaWaterRelease);
             this.waterLevel -= releaseAmount;
@@ -54,5 +56,44 @@ export class Structure {
         // Add update logic for other structure types here if needed
         return releasedWater;
     }
+
+    /**
+     * Cracks an Olla that is well filled during a hard freeze (the water inside expands as it freezes).
+     * The water is lost and the Olla stops working until it is removed and replaced.
+     * @param {number} temperature - The temperature of the square this tick.
+     * @returns {boolean} True if the Olla cracked this tick.
+     */
+    checkFreezeCracking(temperature) {
+        const Config = SimulationConfig;
+        if (this.type !== 'Olla' || this.isCracked || temperature > Config.THRESHOLDS.hardFreezeTemp) return false;
+        if (this.waterLevel < Config.THRESHOLDS.ollaMaxWater * Config.THRESHOLDS.ollaCrackFillRatio) return false;
+        this.isCracked = true;
+        this.waterLevel = 0;
+        return true;
+    }
+
+    // --- Serialization ---
+
+    /**
+     * Returns a plain-object snapshot of the structure for saving.
+     * @returns {object} Serializable structure state.
+     */
+    toJSON() {
+        const data = { type: this.type, connections: { ...this.connections } };
+        if (this.type === 'Olla') {
+            data.waterLevel = this.waterLevel;
+            data.isCracked = this.isCracked;
+        }
+        return data;
+    }
+
+    /**
+     * Recreates a Structure instance from a snapshot produced by toJSON().
+     * @param {object} data - Serialized structure state.
+     * @returns {Structure} The restored structure.
+     */
+    static fromJSON(data) {
+        return new Structure(data.type, { connections: data.connections ? { ...data.connections } : undefined, waterLevel: data.waterLevel, isCracked: data.isCracked });
+    }
 }
 // --- End Structure Class --- (Original script has no explicit end comment here, ends before UIManager section)
\ No newline at end of file
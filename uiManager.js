@@ -3,10 +3,15 @@
  */
 import { SimulationConfig } from './config.js';
 import { clamp } from './utils.js';
+import { BreakpointTypes } from './breakpoints.js';
+import { describeRain, WEATHER_EVENT_NAMES } from './eventLog.js';
+import { getCalendarDate, formatCalendarDate, formatShortDate, getFrostFreeWindow, formatFrostFreeWindow } from './calendar.js';
 // Import class definitions if needed for instanceof checks or static properties in the future
 import { Plant } from './plant.js';
 import { Structure } from './structure.js';
 
+// --- Thumbnail Colors (mirror the structure colors in style.css; plant colors come from PLANT_PROPERTIES) ---
+const THUMBNAIL_STRUCTURE_COLORS = { 'Olla': '#A0522D', 'Trellis': '#8B4513', 'Net': '#EEEEEE' };
 
 /**
  * Manages all User Interface updates and interactions with the DOM.
@@ -29,10 +34,44 @@ export class UIManager {
         this.plantTypeControl = document.getElementById('plant-type-control'); // Div containing plant selector
         this.plantTypeSelect = document.getElementById('plant-type'); // The <select> element for plants
         this.resetButton = document.getElementById('reset-button');
+        this.seedInput = document.getElementById('seed-input'); // Optional seed used on Reset Grid
+        this.seedDisplay = document.getElementById('seed-display'); // Seed of the current garden
+        this.tickDisplay = document.getElementById('tick-display'); // Simulated day and tick counter
+        this.dateDisplay = document.getElementById('date-display'); // Calendar date and season
+        this.frostFreeDisplay = document.getElementById('frost-free-display'); // Frost-free months of the current climate
+        this.statusMessage = document.getElementById('status-message'); // Short feedback on player actions
+        this.statusMessageTimeoutId = null; // Clears the status message
+        this.tickModeSelect = document.getElementById('tick-mode-select'); // Two-phase or legacy tick
+        this.gardenColsInput = document.getElementById('garden-cols-input'); // Garden width for Resize
+        this.gardenRowsInput = document.getElementById('garden-rows-input'); // Garden height for Resize
+        this.resizeGardenButton = document.getElementById('resize-garden-button');
+        this.saveButton = document.getElementById('save-button'); // Quick save to localStorage
+        this.loadButton = document.getElementById('load-button'); // Quick load from localStorage
+        this.downloadSaveButton = document.getElementById('download-save-button'); // Save as .json file
+        this.uploadSaveButton = document.getElementById('upload-save-button'); // Opens the file picker below
+        this.uploadSaveInput = document.getElementById('upload-save-input'); // Hidden <input type="file">
+        this.slotManagerButton = document.getElementById('slot-manager-button'); // Opens the slot manager
+        this.downloadReplayButton = document.getElementById('download-replay-button');
+        this.playReplayButton = document.getElementById('play-replay-button'); // Opens the file picker below
+        this.playReplayInput = document.getElementById('play-replay-input'); // Hidden <input type="file">
+        this.replayStatus = document.getElementById('replay-status'); // Playback progress
+        this.stopReplayButton = document.getElementById('stop-replay-button');
         this.currentTimeDisplay = document.getElementById('current-time'); // Real-world time display
         this.timeControls = document.getElementById('time-controls'); // Container for speed/pause
         this.pauseResumeButton = document.getElementById('pause-resume-button');
         this.speedButtons = document.querySelectorAll('.speed-button'); // NodeList of speed buttons
+        this.speedSlider = document.getElementById('speed-slider'); // Index into SimulationConfig.SPEED_STEPS
+        this.speedLabel = document.getElementById('speed-label'); // Current speed, e.g. "0.25x"
+        this.stepButton = document.getElementById('step-button'); // Single tick while paused
+        this.skipControls = document.getElementById('skip-controls'); // Skip ahead inputs
+        this.skipDaysInput = document.getElementById('skip-days-input');
+        this.skipUntilSelect = document.getElementById('skip-until-select'); // Optional stop condition
+        this.skipAheadButton = document.getElementById('skip-ahead-button');
+        this.skipResult = document.getElementById('skip-result'); // How the last skip ended
+        this.skipProgress = document.getElementById('skip-progress'); // Progress bar + cancel, shown while skipping
+        this.skipProgressBar = document.getElementById('skip-progress-bar');
+        this.skipProgressText = document.getElementById('skip-progress-text');
+        this.cancelSkipButton = document.getElementById('cancel-skip-button');
         this.climateSelect = document.getElementById('climate-select');
         this.weatherDisplay = document.getElementById('weather-display');
         this.simTimeDisplay = document.getElementById('sim-time-display'); // Simulation time display
@@ -56,6 +95,10 @@ export class UIManager {
         this.buySoilConditionerButton = document.getElementById('buy-soil-conditioner');
         this.harvestTableTotalVal = document.getElementById('harvest-total-val'); // Footer cell for total harvest value
 
+        // --- Plant Registry Driven Elements ---
+        this.populatePlantTypeSelect(); // Options generated from PLANT_PROPERTIES
+        this.populateHarvestTableRows(); // Rows generated from PLANT_PROPERTIES (must run before caching cells)
+
         // --- Harvest Table Cell References ---
         this.harvestTableCells = {}; // Cache references to harvest table cells for updates
         Object.keys(SimulationConfig.PLANT_PROPERTIES).forEach(plantType => {
@@ -74,15 +117,102 @@ export class UIManager {
         this.lightboxOverlay = document.getElementById('lightbox-overlay');
         this.closeLightboxButton = document.getElementById('close-lightbox-button');
 
+        // --- Event Log Elements ---
+        this.eventLogList = document.getElementById('event-log-list');
+        this.eventLogCategorySelect = document.getElementById('event-log-category');
+        this.eventLogSquareInput = document.getElementById('event-log-square');
+        this.eventLogClearFilterButton = document.getElementById('event-log-clear-filter');
+
+        // --- Breakpoint Elements ---
+        this.breakpointOptions = document.getElementById('breakpoint-options'); // Container of all breakpoint inputs
+        this.breakpointPestCheckbox = document.getElementById('breakpoint-pest');
+        this.breakpointStageCheckbox = document.getElementById('breakpoint-stage');
+        this.breakpointStageSelect = document.getElementById('breakpoint-stage-select');
+        this.breakpointOllaCheckbox = document.getElementById('breakpoint-olla');
+        this.breakpointMoneyCheckbox = document.getElementById('breakpoint-money');
+        this.breakpointMoneyInput = document.getElementById('breakpoint-money-input');
+        this.breakpointStatus = document.getElementById('breakpoint-status'); // Last breakpoint hit
+
+        // --- Forecast Elements ---
+        this.forecastDaysSelect = document.getElementById('forecast-days');
+        this.forecastTableBody = document.querySelector('#forecast-table tbody');
+
+        // --- Slot Manager Elements ---
+        this.slotManagerOverlay = document.getElementById('slot-manager-overlay');
+        this.slotManagerPanel = document.getElementById('slot-manager');
+        this.closeSlotManagerButton = document.getElementById('close-slot-manager-button');
+        this.slotNameInput = document.getElementById('slot-name-input');
+        this.createSlotButton = document.getElementById('create-slot-button');
+        this.slotList = document.getElementById('slot-list'); // Named slots
+        this.autosaveList = document.getElementById('autosave-list'); // Autosave history
+        this.autosaveIntervalInput = document.getElementById('autosave-interval-input');
+
         // --- Internal State ---
         this.currentlyHoveredKey = null; // Tracks the key ("x,y") of the currently hovered square
+        this.cellSize = SimulationConfig.GRID_CELL_SIZE_PX; // On-screen square size, set by initializeGridDOM()
     } // End constructor
 
     /**
-     * Creates the grid squares in the DOM based on configuration.
-     * Called once during initialization.
-     * @param {number} rows - Number of grid rows from SimulationConfig.
-     * @param {number} cols - Number of grid columns from SimulationConfig.
+     * Fills the plant type <select> with one option per entry in PLANT_PROPERTIES,
+     * labelled with the plant's name and color (e.g., "Corn (Yellow)").
+     */
+    populatePlantTypeSelect() {
+        if (!this.plantTypeSelect) {
+            console.warn("Plant type select not found.");
+            return;
+        }
+        this.plantTypeSelect.innerHTML = ''; // Clear existing options
+        Object.entries(SimulationConfig.PLANT_PROPERTIES).forEach(([key, props]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${props.name || key} (${props.colorName || props.color})`;
+            this.plantTypeSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Creates the harvest summary table rows (cells with ids harvest-yield-X, harvest-ppu-X, harvest-valTot-X)
+     * for every plant in PLANT_PROPERTIES. Debug-only plants are listed last.
+     */
+    populateHarvestTableRows() {
+        const tableBody = document.getElementById('harvest-table')?.querySelector('tbody');
+        if (!tableBody) {
+            console.warn("Harvest table body not found.");
+            return;
+        }
+        tableBody.innerHTML = ''; // Clear existing rows
+        const plantEntries = Object.entries(SimulationConfig.PLANT_PROPERTIES);
+        const orderedEntries = [
+            ...plantEntries.filter(([, props]) => !props.debugOnly),
+            ...plantEntries.filter(([, props]) => props.debugOnly)
+        ];
+        orderedEntries.forEach(([key, props]) => {
+            const row = tableBody.insertRow();
+            row.insertCell().textContent = props.name || key;
+            ['yield', 'ppu', 'valTot'].forEach(column => {
+                const cell = row.insertCell();
+                cell.id = `harvest-${column}-${key}`;
+                cell.textContent = column === 'valTot' ? '$0' : '0';
+            });
+        });
+    }
+
+    /**
+     * Applies a plant's configured color (and optional border color) to a dot element.
+     * @param {HTMLElement} dotElement - The dot element to color.
+     * @param {object} plantProps - The plant's entry in PLANT_PROPERTIES.
+     */
+    applyPlantColor(dotElement, plantProps) {
+        dotElement.style.backgroundColor = plantProps?.color || '';
+        dotElement.style.borderColor = plantProps?.borderColor || ''; // Empty string restores the stylesheet default
+    }
+
+    /**
+     * Creates the grid squares in the DOM for the simulation's current garden size.
+     * Called on initialization and whenever the grid is rebuilt (reset, load, resize).
+     * Squares shrink for wide gardens so the grid stays within SimulationConfig.MAX_GRID_WIDTH_PX.
+     * @param {number} rows - Number of grid rows.
+     * @param {number} cols - Number of grid columns.
      * @param {function} createSquareCallback - A callback function (`(key, elementRefs) => void`) provided by the main script
      * to create the corresponding Square state instance when a DOM element is created.
      */
@@ -92,8 +222,12 @@ export class UIManager {
             return;
         }
         this.gridContainer.innerHTML = ''; // Clear previous grid
-        this.gridContainer.style.gridTemplateColumns = `repeat(${cols}, 40px)`;
-        this.gridContainer.style.gridTemplateRows = `repeat(${rows}, 40px)`;
+        const Config = SimulationConfig;
+        // 2px grid gap per column
+        this.cellSize = clamp(Math.floor(Config.MAX_GRID_WIDTH_PX / cols) - 2, Config.MIN_GRID_CELL_SIZE_PX, Config.GRID_CELL_SIZE_PX);
+        this.gridContainer.style.setProperty('--cell-size', `${this.cellSize}px`); // Used by .square in style.css
+        this.gridContainer.style.gridTemplateColumns = `repeat(${cols}, ${this.cellSize}px)`;
+        this.gridContainer.style.gridTemplateRows = `repeat(${rows}, ${this.cellSize}px)`;
 
         // Create grid elements
         for (let y = 0; y < rows; y++) {
@@ -208,7 +342,8 @@ export class UIManager {
         if (isOlla) {
             // Color Olla based on water level
             const waterPercent = (structure.waterLevel || 0) / (SimulationConfig.THRESHOLDS.ollaMaxWater || 1);
-            const fillColor = waterPercent > 0.1 ? '#ADD8E6' : '#A0522D'; // Blueish if water > 10%, else terracotta
+            let fillColor = waterPercent > 0.1 ? '#ADD8E6' : '#A0522D'; // Blueish if water > 10%, else terracotta
+            if (structure.isCracked) fillColor = '#777'; // Gray: cracked, holds no water
             elementRefs.ollaVisual.style.backgroundColor = fillColor;
         }
 
@@ -245,48 +380,22 @@ export class UIManager {
         // --- Update Plant Visuals ---
         // Check if there is a plant and it has size
         if (plant instanceof Plant && plant.size > 0) {
-            const currentSquareWidth = 40; // Assume fixed square size for calc
+            const currentSquareWidth = this.cellSize; // Shrinks for large gardens
             // Calculate dot size, clamping between 0 and 95% of square width (Instruction G.1)
             const dotDiameter = clamp(plant.size * currentSquareWidth, 0, currentSquareWidth * 0.95);
             elementRefs.dot.style.width = `${dotDiameter}px`;
             elementRefs.dot.style.height = `${dotDiameter}px`;
-            // Reset class list and apply base + color class
+            // Reset class list and apply base class + plant-specific color
             elementRefs.dot.className = 'dot-element'; // Base class
-            if (plantProps?.colorClass) {
-                 elementRefs.dot.classList.add(plantProps.colorClass); // Add plant-specific color
-            }
+            this.applyPlantColor(elementRefs.dot, plantProps);
             // Add tier class for potential stage-specific styling
             elementRefs.dot.classList.add(`plant-tier-${plant.growthStage ?? 0}`);
             elementRefs.dot.style.display = 'flex'; // Use flex to center yield text
 
             // --- Update Yield Display ---
-            let displayYieldNum = 0;
-            // Determine harvestable stage based on plant type
-            let harvestableStageCheck = 3; // Default for fruiting crops
-            if (['Flower', 'Marigold', 'Basil'].includes(plant.type)) {
-                harvestableStageCheck = 2; // Flowers/herbs harvestable earlier
-            }
-            // Check if plant is at or beyond harvestable stage, not senescent, has properties, and was pollinated
-            if (plant.growthStage >= harvestableStageCheck && plant.growthStage !== 4 && plantProps && plant.wasPollinated) {
-                 // Calculate potential yield based on soil condition and root health
-                 const soilCondFactor = clamp((soil.soilCondition || 0) / 100, 0, 1);
-                 const rootHealthFactor = clamp((plant.rootHealth || 0) / 100, 0, 1);
-                 let potentialYieldFactor = clamp((soilCondFactor + rootHealthFactor) / 2, 0, 1);
-                 // Apply Trellis bonus if applicable
-                 if (structure?.type === 'Trellis' && ['Beans', 'Squash', 'Tomato'].includes(plant.type)) {
-                     potentialYieldFactor = Math.min(1.0, potentialYieldFactor * 1.3); // 30% bonus
-                 }
-                 // Apply pest reduction if applicable
-                 if (pests.type) {
-                     potentialYieldFactor *= (1 - (SimulationConfig.RATES.pestYieldFactorReduction || 0));
-                 }
-                 // Calculate final yield, round, ensure non-negative
-                 displayYieldNum = Math.max(0, Math.round((plantProps.maxYield || 0) * potentialYieldFactor));
-                 // Ensure non-yield plants (flowers) show '1' if ready
-                 if (plantProps.maxYield === 0 && displayYieldNum === 0) {
-                     displayYieldNum = 1;
-                 }
-            }
+            // Same readiness and yield rules as harvesting (stage, pollination, trellis, pests)
+            const harvestInfo = squareInstance.getHarvestInfo();
+            const displayYieldNum = harvestInfo.ready ? harvestInfo.yield : 0;
             // Update and show/hide the yield text element
             elementRefs.yieldDisplay.textContent = displayYieldNum;
             elementRefs.yieldDisplay.style.display = displayYieldNum > 0 ? 'block' : 'none';
@@ -320,6 +429,21 @@ export class UIManager {
         });
     } // End updateSquareVisuals
 
+    /**
+     * Formats forecast and active multi-day weather events for the weather display, e.g. "|Heatwave 3d left" or "|Drought in 2d".
+     * @param {Array<object>} [weatherEvents=[]] - Events { type, startDay, endDay, started }.
+     * @param {number} day - Fractional simulated days elapsed.
+     * @returns {string} The text to append (empty without events).
+     */
+    formatWeatherEvents(weatherEvents = [], day) {
+        return weatherEvents.map(event => {
+            const name = WEATHER_EVENT_NAMES[event.type] ?? event.type;
+            return event.started
+                ? `|${name} ${Math.ceil(event.endDay - day)}d left`
+                : `|${name} in ${Math.ceil(event.startDay - day)}d`;
+        }).join('');
+    }
+
     /**
      * Updates all UI elements that display global simulation state (time, weather, money, etc.)
      * and triggers updates for all individual squares.
@@ -330,9 +454,17 @@ export class UIManager {
      * @param {number} globalState.currentWindSpeed - Current wind speed.
      * @param {string} globalState.currentWindDirection - Current wind direction ('N', 'E', 'S', 'W', 'None').
      * @param {boolean} globalState.isPollinated - Whether pollination conditions are met.
+     * @param {number} globalState.rainIntensity - Current rain intensity (0 when dry).
+     * @param {boolean} globalState.isStorm - Whether the current rain is a storm.
+     * @param {Array<object>} globalState.weatherEvents - Forecast or active multi-day weather events { type, startDay, endDay, started }.
+     * @param {Array<object>} globalState.forecast - Weather forecast days (see Simulation.getForecast).
      * @param {number} globalState.simulatedTimeOfDay - Current simulated time (minutes past midnight).
      * @param {number} globalState.playerMoney - Current player money.
      * @param {object} globalState.beePosition - Current position {x, y} of the bee visual.
+     * @param {number} globalState.seed - Seed of the random number generator for the current garden.
+     * @param {number} globalState.tickCounter - Ticks simulated since the garden was created.
+     * @param {number} globalState.simulatedDaysElapsed - Simulated days since the garden was created (fractional).
+     * @param {string} globalState.currentClimate - Name of the active climate.
      */
     updateAllVisuals(stateMap, globalState) {
         // --- Update Individual Squares ---
@@ -340,7 +472,7 @@ export class UIManager {
 
         // --- Update Global Displays ---
         // Weather display including wind direction (Instruction G.3)
-        this.weatherDisplay.textContent = `Temp:${globalState.ambientTemperature.toFixed(1)}|Hum:${globalState.currentHumidity.toFixed(0)}|Wind:${globalState.currentWindSpeed.toFixed(1)}${globalState.currentWindDirection !== 'None' ? ' ' + globalState.currentWindDirection : ''}${globalState.isPollinated ? '(P)' : ''}`;
+        this.weatherDisplay.textContent = `Temp:${globalState.ambientTemperature.toFixed(1)}|Hum:${globalState.currentHumidity.toFixed(0)}|Wind:${globalState.currentWindSpeed.toFixed(1)}${globalState.currentWindDirection !== 'None' ? ' ' + globalState.currentWindDirection : ''}${globalState.isPollinated ? '(P)' : ''}${globalState.rainIntensity > 0 ? (globalState.isStorm ? '|Storm' : `|Rain:${describeRain(globalState.rainIntensity)}`) : ''}${globalState.ambientTemperature <= SimulationConfig.THRESHOLDS.frostTemp ? '|Frost' : ''}${this.formatWeatherEvents(globalState.weatherEvents, globalState.simulatedDaysElapsed)}`;
 
         // Simulation time display
         const hours = Math.floor(globalState.simulatedTimeOfDay / 60);
@@ -353,6 +485,26 @@ export class UIManager {
         // Player money display
         this.moneyDisplay.textContent = `Money:$${globalState.playerMoney}`;
 
+        // Seed display
+        if (this.seedDisplay) {
+            this.seedDisplay.textContent = `Seed:${globalState.seed}`;
+        }
+
+        // Day and tick counter (for stepping through ticks)
+        if (this.tickDisplay) {
+            this.tickDisplay.textContent = `Day ${Math.floor(globalState.simulatedDaysElapsed || 0)} | Tick ${globalState.tickCounter ?? 0}`;
+        }
+
+        // Calendar date, season and the climate's frost-free window
+        if (this.dateDisplay) {
+            this.dateDisplay.textContent = formatCalendarDate(getCalendarDate(globalState.simulatedDaysElapsed));
+        }
+        const climateProps = SimulationConfig.CLIMATE_PROPERTIES[globalState.currentClimate];
+        if (this.frostFreeDisplay && climateProps) {
+            this.frostFreeDisplay.textContent = `Frost-free: ${formatFrostFreeWindow(getFrostFreeWindow(climateProps))}`;
+        }
+        this.updateForecastPanel(globalState.forecast);
+
         // --- Update Aggregate/Helper Visuals ---
         this.updateAverageGardenInfo(stateMap);
         this.updateShopButtons(globalState.playerMoney); // Enable/disable shop buttons based on cost
@@ -361,6 +513,44 @@ export class UIManager {
     } // End updateAllVisuals
 
 
+    /**
+     * Fills the forecast table with as many days as chosen in the Days select (3-7).
+     * @param {Array<object>} [forecast=[]] - Forecast days from Simulation.getForecast().
+     */
+    updateForecastPanel(forecast = []) {
+        if (!this.forecastTableBody) return;
+        const days = parseInt(this.forecastDaysSelect?.value, 10) || 5;
+        const cell = (value, error) => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            if (error) {
+                const errorSpan = document.createElement('span');
+                errorSpan.className = 'forecast-error';
+                errorSpan.textContent = ` ±${error}`;
+                td.appendChild(errorSpan);
+            }
+            return td;
+        };
+        const rows = forecast.slice(0, days).map(day => {
+            const row = document.createElement('tr');
+            const eventCell = cell(day.weatherType ? WEATHER_EVENT_NAMES[day.weatherType] ?? day.weatherType : '');
+            if (!day.weatherType && day.stormChance >= 0.05) {
+                eventCell.textContent = `Storm ${Math.round(day.stormChance * 100)}%`;
+                eventCell.className = 'forecast-storm';
+            }
+            row.append(
+                cell(formatShortDate(getCalendarDate(day.day))),
+                cell(`${day.high.toFixed(0)} / ${day.low.toFixed(0)}`, day.tempError.toFixed(0)),
+                cell(`${day.humidity.toFixed(0)}%`, day.humidityError.toFixed(0)),
+                cell(day.wind.toFixed(1), day.windError.toFixed(1)),
+                cell(`${Math.round(day.rainChance * 100)}%`, Math.round(day.rainChanceError * 100)),
+                eventCell
+            );
+            return row;
+        });
+        this.forecastTableBody.replaceChildren(...rows);
+    }
+
     /**
      * Updates the harvest summary table in the footer.
      * @param {object} currentHarvestData - Object containing harvest totals { plantType: { yield: number, price: number } }.
@@ -461,7 +651,7 @@ export class UIManager {
         if (this.plantInfoTableBody) {
             this.plantInfoTableBody.innerHTML = ''; // Clear existing rows
             Object.entries(SimulationConfig.PLANT_PROPERTIES).forEach(([key, props]) => {
-                if (key === 'Test') return; // Skip test plant
+                if (props.debugOnly) return; // Skip debug plants (e.g., Test)
                 const row = this.plantInfoTableBody.insertRow();
 
                 // Visual Cell
@@ -470,7 +660,8 @@ export class UIManager {
                 const visDiv = document.createElement('div');
                 visDiv.classList.add('visual-sample');
                 const dotDiv = document.createElement('div');
-                dotDiv.classList.add('dot-element', props.colorClass || 'dot-Test'); // Use color class
+                dotDiv.classList.add('dot-element');
+                this.applyPlantColor(dotDiv, props); // Use configured color
                 visDiv.appendChild(dotDiv);
                 visCell.appendChild(visDiv);
 
@@ -551,25 +742,87 @@ export class UIManager {
 
 
     /**
-     * Updates the visual style of the speed control buttons to indicate the active speed.
-     * @param {number} currentSpeed - The current simulation speed multiplier (1, 2, 3, or 4).
+     * Updates the speed buttons, slider and label to show the active speed.
+     * @param {number} currentSpeed - The current simulation speed multiplier (one of SimulationConfig.SPEED_STEPS).
      */
     updateSpeedButtonStyles(currentSpeed) {
-        if (!this.speedButtons) return;
-        this.speedButtons.forEach(btn => {
-            // Add 'active-speed' class if button's data-speed matches currentSpeed
-            btn.classList.toggle('active-speed', parseInt(btn.dataset.speed) === currentSpeed);
+        if (this.speedButtons) {
+            this.speedButtons.forEach(btn => {
+                // Add 'active-speed' class if button's data-speed matches currentSpeed
+                btn.classList.toggle('active-speed', parseFloat(btn.dataset.speed) === currentSpeed);
+            });
+        }
+        if (this.speedSlider) {
+            const steps = SimulationConfig.SPEED_STEPS;
+            this.speedSlider.max = steps.length - 1;
+            // Nearest step, in case a replay recorded a speed that is not on the slider
+            let nearestIndex = 0;
+            steps.forEach((speed, index) => {
+                if (Math.abs(speed - currentSpeed) < Math.abs(steps[nearestIndex] - currentSpeed)) nearestIndex = index;
+            });
+            this.speedSlider.value = nearestIndex;
+        }
+        if (this.speedLabel) this.speedLabel.textContent = `${currentSpeed}x`;
+    }
+
+    /**
+     * Shows the current garden size in the Resize inputs and applies the allowed size range.
+     * @param {number} cols - Current number of columns.
+     * @param {number} rows - Current number of rows.
+     */
+    updateGardenSizeInputs(cols, rows) {
+        [[this.gardenColsInput, cols], [this.gardenRowsInput, rows]].forEach(([input, value]) => {
+            if (!input) return;
+            input.min = SimulationConfig.MIN_GRID_SIZE;
+            input.max = SimulationConfig.MAX_GRID_SIZE;
+            input.value = value;
         });
     }
 
     /**
-     * Updates the text of the pause/resume button.
+     * Shows skip-ahead progress in place of the skip controls, or restores the controls.
+     * @param {number | null} progress - Fraction done (0 to 1), or null when no skip is running.
+     * @param {number} [day] - Simulated day reached so far.
+     */
+    updateSkipProgress(progress, day) {
+        const isSkipping = progress !== null && progress !== undefined;
+        if (this.skipControls) this.skipControls.classList.toggle('hidden', isSkipping);
+        if (this.skipProgress) this.skipProgress.classList.toggle('hidden', !isSkipping);
+        if (!isSkipping) return;
+        if (this.skipProgressBar) this.skipProgressBar.value = progress;
+        if (this.skipProgressText) {
+            this.skipProgressText.textContent = `Day ${Math.floor(day || 0)} (${Math.round(progress * 100)}%)`;
+        }
+    }
+
+    /**
+     * Shows how the last skip ahead ended next to the skip controls.
+     * @param {string} text - Short summary (empty to clear).
+     */
+    showSkipResult(text) {
+        if (this.skipResult) this.skipResult.textContent = text;
+    }
+
+    /**
+     * Shows short feedback on a player action in the status bar (e.g., "Not enough money") for a few seconds.
+     * @param {string} text - The message.
+     */
+    showStatusMessage(text) {
+        if (!this.statusMessage) return;
+        this.statusMessage.textContent = text;
+        clearTimeout(this.statusMessageTimeoutId);
+        this.statusMessageTimeoutId = setTimeout(() => { this.statusMessage.textContent = ''; }, 4000);
+    }
+
+    /**
+     * Updates the text of the pause/resume button and enables the Step button while paused.
      * @param {boolean} isCurrentlyPaused - Whether the simulation is currently paused.
      */
     updatePauseButton(isCurrentlyPaused) {
         if (this.pauseResumeButton) {
              this.pauseResumeButton.textContent = isCurrentlyPaused ? 'Resume' : 'Pause';
         }
+        if (this.stepButton) this.stepButton.disabled = !isCurrentlyPaused; // Stepping only while paused
     }
 
     /**
@@ -703,7 +956,7 @@ export class UIManager {
                          + `<b>Stem:</b>${fmt(plant.stemDevelopment, 1)} <b>Leaf:</b>${fmt(plant.leafDensity, 1)}\n` // Display Stem/Leaf Dev
                          + `${plant.wasPollinated ? 'Pollinated' : 'Not Pollinated'}`;
         } else if (structure?.type === 'Olla') {
-            plantDetails = `${structure.type} (${fmt(structure.waterLevel, 0)} H2O)`; // Show Olla water level
+            plantDetails = structure.isCracked ? `${structure.type} (cracked)` : `${structure.type} (${fmt(structure.waterLevel, 0)} H2O)`; // Show Olla water level
         } else if (structure) {
             plantDetails = structure.type; // Just show type for other structures
         }
@@ -757,6 +1010,211 @@ export class UIManager {
         }
     }
 
+    /**
+     * Renders garden log entries (newest first) into the event log panel.
+     * Each item carries data-key so main.js can highlight its square on click.
+     * @param {object[]} entries - Entries from EventLog.filter().
+     * @param {number} [maxShown=200] - Maximum number of entries rendered.
+     */
+    renderEventLog(entries, maxShown = 200) {
+        if (!this.eventLogList) return;
+        this.eventLogList.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.classList.add('event-log-empty');
+            empty.textContent = "Nothing logged yet.";
+            this.eventLogList.appendChild(empty);
+            return;
+        }
+        entries.slice(0, maxShown).forEach(entry => {
+            const item = document.createElement('li');
+            item.classList.add('event-log-entry', `event-log-${entry.category}`);
+            if (entry.key) {
+                item.dataset.key = entry.key;
+                item.title = `Click to highlight square ${entry.key}`;
+            }
+            const time = document.createElement('span');
+            time.classList.add('event-log-time');
+            time.textContent = entry.timestamp;
+            item.append(time, ` \u2013 ${entry.text}`);
+            this.eventLogList.appendChild(item);
+        });
+    }
+
+    /**
+     * Reads the breakpoints ticked in the Breakpoints panel.
+     * @returns {object[]} Breakpoints { type: one of BreakpointTypes, value } for HostRequests.SET_BREAKPOINTS.
+     */
+    getBreakpoints() {
+        const breakpoints = [];
+        if (this.breakpointPestCheckbox?.checked) {
+            breakpoints.push({ type: BreakpointTypes.PEST_SPAWNED });
+        }
+        if (this.breakpointStageCheckbox?.checked) {
+            const stage = this.breakpointStageSelect?.value;
+            breakpoints.push(stage === 'harvestable'
+                ? { type: BreakpointTypes.PLANT_HARVESTABLE }
+                : { type: BreakpointTypes.PLANT_STAGE, value: parseInt(stage, 10) || 3 });
+        }
+        if (this.breakpointOllaCheckbox?.checked) {
+            breakpoints.push({ type: BreakpointTypes.OLLA_EMPTY });
+        }
+        if (this.breakpointMoneyCheckbox?.checked) {
+            const amount = parseFloat(this.breakpointMoneyInput?.value);
+            if (Number.isFinite(amount)) breakpoints.push({ type: BreakpointTypes.MONEY_AT_LEAST, value: amount });
+        }
+        return breakpoints;
+    }
+
+    /**
+     * Shows which breakpoint paused the simulation.
+     * @param {string} text - Description of the hit, including its timestamp (empty to clear).
+     */
+    showBreakpointHit(text) {
+        if (this.breakpointStatus) this.breakpointStatus.textContent = text;
+    }
+
+    /**
+     * Briefly highlights a grid square (e.g., the square of a clicked log entry).
+     * @param {Square} squareInstance - The square to highlight.
+     */
+    highlightSquare(squareInstance) {
+        const squareElement = squareInstance?.elementRefs?.square;
+        if (!squareElement) return;
+        squareElement.classList.remove('highlighted'); // Restart the animation if already running
+        void squareElement.offsetWidth; // Force reflow so the animation restarts
+        squareElement.classList.add('highlighted');
+        squareElement.scrollIntoView({ block: 'nearest', inline: 'nearest', behavior: 'smooth' });
+        setTimeout(() => {
+            squareElement.classList.remove('highlighted');
+        }, 2000); // Matches animation duration in style.css
+    }
+
+    /**
+     * Shows replay playback progress, or hides the playback controls when no replay is playing.
+     * @param {number | null} progress - Playback progress from 0 to 1, or null when not playing.
+     */
+    updateReplayStatus(progress) {
+        const isPlaying = progress !== null && progress !== undefined;
+        if (this.replayStatus) {
+            this.replayStatus.classList.toggle('hidden', !isPlaying);
+            if (isPlaying) this.replayStatus.textContent = `Replay: ${Math.round(progress * 100)}%`;
+        }
+        if (this.stopReplayButton) this.stopReplayButton.classList.toggle('hidden', !isPlaying);
+        if (this.playReplayButton) this.playReplayButton.disabled = isPlaying;
+        if (this.downloadReplayButton) this.downloadReplayButton.disabled = isPlaying;
+    }
+
+    /** Displays the save slot manager modal. */
+    showSlotManager() {
+        if (this.slotManagerOverlay) {
+             this.slotManagerOverlay.classList.add('lightbox-visible');
+        }
+    }
+
+    /** Hides the save slot manager modal. */
+    hideSlotManager() {
+        if (this.slotManagerOverlay) {
+             this.slotManagerOverlay.classList.remove('lightbox-visible');
+        }
+    }
+
+    /**
+     * Draws a small top-down image of the garden for save slot thumbnails.
+     * Each square becomes a block colored by its most visible content: plant, structure, weeds, or soil moisture.
+     * @param {Map<string, Square>} stateMap - Map of square keys to Square instances.
+     * @param {number} rows - Grid rows.
+     * @param {number} cols - Grid columns.
+     * @returns {string | null} PNG data URL, or null if canvas is unavailable.
+     */
+    createGridThumbnail(stateMap, rows, cols) {
+        const cellSize = 4; // Pixels per square
+        const canvas = document.createElement('canvas');
+        canvas.width = cols * cellSize;
+        canvas.height = rows * cellSize;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+
+        stateMap.forEach(sq => {
+            const { x, y } = sq;
+            let color;
+            if (sq.plant && sq.plant.size > 0) {
+                color = SimulationConfig.PLANT_PROPERTIES[sq.plant.type]?.color || '#228B22';
+            } else if (sq.structure) {
+                color = THUMBNAIL_STRUCTURE_COLORS[sq.structure.type] || '#999';
+            } else if ((sq.variables?.weeds || 0) > 0) {
+                color = '#556B2F'; // Matches .weed-dot
+            } else {
+                // Dry soil is tan, wet soil darker (same base color as .moisture-visual)
+                const wetness = clamp((sq.soil?.moisture || 0) / 100, 0, 1);
+                color = `rgb(${Math.round(210 - 80 * wetness)}, ${Math.round(180 - 80 * wetness)}, ${Math.round(140 - 60 * wetness)})`;
+            }
+            ctx.fillStyle = color;
+            ctx.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+        });
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Renders the slot and autosave lists of the slot manager.
+     * Buttons carry data-slot-id and data-slot-action attributes; click handling is delegated in main.js.
+     * @param {object[]} slots - Named slot metadata (from SaveSlotStore.listSlots()).
+     * @param {object[]} autosaves - Autosave metadata, newest first.
+     * @param {number} autosaveIntervalDays - Current autosave interval for the interval input.
+     */
+    renderSlotManager(slots, autosaves, autosaveIntervalDays) {
+        const renderList = (container, entries, actions, emptyText) => {
+            if (!container) return;
+            container.innerHTML = '';
+            if (entries.length === 0) {
+                const empty = document.createElement('p');
+                empty.classList.add('slot-empty');
+                empty.textContent = emptyText;
+                container.appendChild(empty);
+                return;
+            }
+            entries.forEach(meta => {
+                const row = document.createElement('div');
+                row.classList.add('slot-row');
+
+                const thumb = document.createElement('img');
+                thumb.classList.add('slot-thumbnail');
+                if (meta.thumbnail) thumb.src = meta.thumbnail;
+                thumb.alt = '';
+                row.appendChild(thumb);
+
+                const info = document.createElement('div');
+                info.classList.add('slot-info');
+                const name = document.createElement('b');
+                name.textContent = meta.name;
+                const details = document.createElement('span');
+                const savedAt = meta.savedAt ? new Date(meta.savedAt).toLocaleString() : '--';
+                details.textContent = `Day ${meta.day} | ${meta.climate ?? '--'} | $${meta.money ?? '--'} | Seed ${meta.seed ?? '--'} | ${savedAt}`;
+                info.append(name, details);
+                row.appendChild(info);
+
+                actions.forEach(([action, label]) => {
+                    const button = document.createElement('button');
+                    button.textContent = label;
+                    button.dataset.slotId = meta.id;
+                    button.dataset.slotAction = action;
+                    row.appendChild(button);
+                });
+                container.appendChild(row);
+            });
+        };
+
+        renderList(this.slotList, slots,
+            [['load', 'Load'], ['overwrite', 'Overwrite'], ['rename', 'Rename'], ['duplicate', 'Duplicate'], ['delete', 'Delete']],
+            "No saved slots yet.");
+        renderList(this.autosaveList, autosaves,
+            [['load', 'Load'], ['duplicate', 'Keep as Slot'], ['delete', 'Delete']],
+            "No autosaves yet.");
+        if (this.autosaveIntervalInput) {
+            this.autosaveIntervalInput.value = autosaveIntervalDays;
+        }
+    }
+
     /**
      * Updates the opacity of the day/night overlay based on the simulated time of day.
      * @param {number} timeOfDay - Simulated time in minutes past midnight (0 - 1439).
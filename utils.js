@@ -11,13 +11,15 @@ import { SimulationConfig } from './config.js';
  * @param {number} y - The y-coordinate of the center square.
  * @param {boolean} [includeDiagonals=false] - Whether to include diagonal neighbors.
  * @param {number} [radius=1] - The radius around the center square to check for neighbors.
+ * @param {{cols: number, rows: number} | null} [bounds=null] - Live grid dimensions (e.g., a Grid);
+ *   the configured default size if omitted.
  * @returns {string[]} An array of coordinate strings ("x,y") for valid neighbors within the grid boundaries and radius.
  */
-export function getNeighbors(x, y, includeDiagonals = false, radius = 1) {
+export function getNeighbors(x, y, includeDiagonals = false, radius = 1, bounds = null) {
     const neighbors = [];
-    // Ensure SimulationConfig and its properties are accessible
-    const COLS = SimulationConfig.GRID_COLS ?? 15; // Provide default if needed during transition
-    const ROWS = SimulationConfig.GRID_ROWS ?? 15; // Provide default if needed during transition
+    // Use the live garden size when known; the configured default otherwise
+    const COLS = bounds?.cols ?? SimulationConfig.GRID_COLS ?? 15;
+    const ROWS = bounds?.rows ?? SimulationConfig.GRID_ROWS ?? 15;
 
     for (let dy = -radius; dy <= radius; dy++) {
         for (let dx = -radius; dx <= radius; dx++) {